@@ -1,31 +1,721 @@
 // --- OPTIMIZED VERSION ---
 // Combined all optimizations: useMemo, custom hooks, error boundaries, and enhanced features
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { Plus, Trash2, Check, TrendingUp, Award, Camera, DollarSign, FileText, Target, Users, Bed, Download, Upload, AlertCircle } from 'lucide-react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import React, { useState, useEffect, useMemo, useCallback, useRef, createContext, useContext } from 'react';
+import { Plus, Trash2, Check, TrendingUp, Award, Camera, DollarSign, FileText, Target, Users, Bed, Download, Upload, AlertCircle, X, Calendar, ChevronLeft, ChevronRight, Pencil, Repeat, Settings, History, Search, Lightbulb, ClipboardList, Printer } from 'lucide-react';
+import { BarChart, Bar, ComposedChart, Line, ReferenceLine, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
-// Custom hook for localStorage with error handling
-function useLocalStorage(key, initialValue) {
-  const [value, setValue] = useState(() => {
+// IndexedDB-backed storage. Collections are stored as structured-clone values
+// and photos as Blobs in their own store, referenced by `photoId` from items or
+// from the entries of an item's `photos` list.
+const DB_NAME = 'soumik-lifestyle';
+const DB_VERSION = 1;
+const COLLECTIONS_STORE = 'collections';
+const PHOTOS_STORE = 'photos';
+const META_STORE = 'meta';
+
+// Keys previously written to localStorage by useLocalStorage
+const LEGACY_STORAGE_KEYS = ['habits', 'todos', 'expenses', 'notes', 'memories', 'loans', 'rewards', 'sleepSessions'];
+
+// Collections whose items may reference a photo Blob
+const PHOTO_COLLECTIONS = ['todos', 'memories'];
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:');
+
+const createPhotoId = () => `photo-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Item ids are numbers: the time in milliseconds times 1000 plus a random 0-999, so items
+// added in the same millisecond, in another tab or on another device don't share an id.
+// Within a session they only ever increase.
+let lastItemId = 0;
+function createId() {
+  lastItemId = Math.max(Date.now() * 1000 + Math.floor(Math.random() * 1000), lastItemId + 1);
+  return lastItemId;
+}
+
+function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(',');
+  const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// A stored photo has a display-sized image and may have a thumbnail and the original
+// upload. Each stored-id field maps to the field carrying it as a data URL in backups.
+const PHOTO_FIELDS = {
+  photoId: 'photo',
+  thumbnailId: 'thumbnail',
+  originalId: 'original'
+};
+
+// Clears an item's photo references, e.g. before giving it a new photo
+const EMPTY_PHOTO_IDS = Object.fromEntries(Object.keys(PHOTO_FIELDS).map(idField => [idField, null]));
+
+// Every photo Blob an item refers to
+const getPhotoIds = (item) => [
+  ...Object.keys(PHOTO_FIELDS).map(idField => item?.[idField]),
+  ...(Array.isArray(item?.photos) ? item.photos.flatMap(getPhotoIds) : [])
+].filter(Boolean);
+
+// Replace inline data URL photos with ids, queueing the Blobs to be stored
+function externalizePhoto(item, pendingPhotos) {
+  if (Array.isArray(item?.photos)) {
+    return { ...item, photos: item.photos.map(photo => externalizePhoto(photo, pendingPhotos)) };
+  }
+  if (!item) return item;
+  const result = { ...item };
+  Object.entries(PHOTO_FIELDS).forEach(([idField, dataField]) => {
+    if (!isDataUrl(item[dataField])) return;
+    const photoId = createPhotoId();
+    pendingPhotos.push({ photoId, blob: dataUrlToBlob(item[dataField]) });
+    delete result[dataField];
+    result[idField] = photoId;
+  });
+  return result;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      [COLLECTIONS_STORE, PHOTOS_STORE, META_STORE].forEach(name => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name);
+        }
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// One-time move of localStorage data into IndexedDB. localStorage is only
+// cleared after the IndexedDB transaction has committed.
+async function migrateFromLocalStorage(db) {
+  const metaStore = db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+  if (await requestToPromise(metaStore.get('migratedFromLocalStorage'))) return;
+
+  const legacyData = {};
+  LEGACY_STORAGE_KEYS.forEach(key => {
     try {
       const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
+      if (item !== null) legacyData[key] = JSON.parse(item);
     } catch (error) {
-      console.error(`Error reading localStorage key "${key}":`, error);
-      return initialValue;
+      console.error(`Skipping unreadable localStorage key "${key}":`, error);
     }
   });
 
-  const setStoredValue = useCallback((newValue) => {
+  const pendingPhotos = [];
+  PHOTO_COLLECTIONS.forEach(key => {
+    if (Array.isArray(legacyData[key])) {
+      legacyData[key] = legacyData[key].map(item => externalizePhoto(item, pendingPhotos));
+    }
+  });
+
+  const transaction = db.transaction([COLLECTIONS_STORE, PHOTOS_STORE, META_STORE], 'readwrite');
+  Object.entries(legacyData).forEach(([key, value]) => {
+    transaction.objectStore(COLLECTIONS_STORE).put(value, key);
+  });
+  pendingPhotos.forEach(({ photoId, blob }) => {
+    transaction.objectStore(PHOTOS_STORE).put(blob, photoId);
+  });
+  transaction.objectStore(META_STORE).put(new Date().toISOString(), 'migratedFromLocalStorage');
+  await transactionDone(transaction);
+
+  LEGACY_STORAGE_KEYS.forEach(key => {
     try {
-      setValue(newValue);
-      window.localStorage.setItem(key, JSON.stringify(newValue));
+      window.localStorage.removeItem(key);
     } catch (error) {
-      console.error(`Error setting localStorage key "${key}":`, error);
+      console.error(`Error clearing localStorage key "${key}":`, error);
+    }
+  });
+}
+
+// Remove photo Blobs no longer referenced by any item, including items in the Trash.
+// Deleting, purging and replacing photos leave Blobs in place until this runs at the
+// next start, so those changes can be undone for the rest of the session.
+async function prunePhotos(db) {
+  const transaction = db.transaction([COLLECTIONS_STORE, PHOTOS_STORE], 'readwrite');
+  const collections = transaction.objectStore(COLLECTIONS_STORE);
+  const photos = transaction.objectStore(PHOTOS_STORE);
+  const referenced = new Set();
+  for (const key of PHOTO_COLLECTIONS) {
+    const items = await requestToPromise(collections.get(key));
+    (items || []).forEach(item => getPhotoIds(item).forEach(id => referenced.add(id)));
+  }
+  const trash = await requestToPromise(collections.get('trash'));
+  (trash || []).forEach(entry => getPhotoIds(entry?.item).forEach(id => referenced.add(id)));
+  const photoIds = await requestToPromise(photos.getAllKeys());
+  photoIds.filter(id => !referenced.has(id)).forEach(id => photos.delete(id));
+  await transactionDone(transaction);
+}
+
+// Tasks completed before `completedAt` existed take it from when their points were earned
+async function migrateTodoCompletion(db) {
+  const transaction = db.transaction(COLLECTIONS_STORE, 'readwrite');
+  const collections = transaction.objectStore(COLLECTIONS_STORE);
+  const todos = await requestToPromise(collections.get('todos'));
+  if (Array.isArray(todos) && todos.some(t => t.completed && t.completedAt === undefined)) {
+    const ledger = (await requestToPromise(collections.get('pointLedger'))) || [];
+    collections.put(todos.map(todo => {
+      if (!todo.completed || todo.completedAt !== undefined) return todo;
+      const earned = findReversibleEntry(ledger, 'todo', todo.id, null);
+      return { ...todo, completedAt: earned ? earned.createdAt : todo.createdAt };
+    }), 'todos');
+  }
+  await transactionDone(transaction);
+}
+
+// Drops Trash entries past the retention period, with the history of expired notes.
+// Runs when the app starts, before photos of expired items are pruned.
+async function expireTrash(db) {
+  const transaction = db.transaction(COLLECTIONS_STORE, 'readwrite');
+  const collections = transaction.objectStore(COLLECTIONS_STORE);
+  const trash = await requestToPromise(collections.get('trash'));
+  const settings = await requestToPromise(collections.get('settings'));
+  const retentionDays = settings?.trashRetentionDays ?? DEFAULT_SETTINGS.trashRetentionDays;
+  if (Array.isArray(trash) && retentionDays > 0) {
+    const cutoff = Date.now() - retentionDays * 24 * HOUR_MS;
+    const expired = trash.filter(entry => new Date(entry.deletedAt).getTime() < cutoff);
+    if (expired.length > 0) {
+      collections.put(trash.filter(entry => !expired.includes(entry)), 'trash');
+      const noteIds = new Set(expired.filter(entry => entry.type === 'note').map(entry => entry.item.id));
+      if (noteIds.size > 0) {
+        const revisions = (await requestToPromise(collections.get('noteRevisions'))) || [];
+        collections.put(revisions.filter(r => !noteIds.has(r.noteId)), 'noteRevisions');
+      }
+    }
+  }
+  await transactionDone(transaction);
+}
+
+// Single-photo memories become memories with a `photos` list
+async function migrateMemoryPhotos(db) {
+  const transaction = db.transaction(COLLECTIONS_STORE, 'readwrite');
+  const collections = transaction.objectStore(COLLECTIONS_STORE);
+  const memories = await requestToPromise(collections.get('memories'));
+  if (Array.isArray(memories) && memories.some(isOldMemory)) {
+    collections.put(memories.map(m => (isOldMemory(m) ? upgradeMemory(m) : m)), 'memories');
+  }
+  await transactionDone(transaction);
+}
+
+// Duration-only sleep sessions become start/end sessions
+async function migrateSleepSessions(db) {
+  const transaction = db.transaction(COLLECTIONS_STORE, 'readwrite');
+  const collections = transaction.objectStore(COLLECTIONS_STORE);
+  const sessions = await requestToPromise(collections.get('sleepSessions'));
+  if (Array.isArray(sessions) && sessions.some(s => !s.start)) {
+    collections.put(sessions.map(upgradeSleepSession), 'sleepSessions');
+  }
+  await transactionDone(transaction);
+}
+
+// The single `rewards` number became a point ledger; carry the balance over once
+async function migrateRewardsToLedger(db) {
+  const transaction = db.transaction(COLLECTIONS_STORE, 'readwrite');
+  const collections = transaction.objectStore(COLLECTIONS_STORE);
+  const rewards = await requestToPromise(collections.get('rewards'));
+  if (rewards !== undefined) {
+    const ledger = (await requestToPromise(collections.get('pointLedger'))) || [];
+    if (typeof rewards === 'number' && rewards !== 0) {
+      collections.put([createCarryOverEntry(rewards, createId()), ...ledger], 'pointLedger');
+    }
+    collections.delete('rewards');
+  }
+  await transactionDone(transaction);
+}
+
+// Repairs stored data when the app starts (see repairData). The first run after ids
+// became unique also renumbers items that were given the same Date.now() id.
+async function repairStoredCollections(db) {
+  const transaction = db.transaction(COLLECTIONS_STORE, 'readwrite');
+  const collections = transaction.objectStore(COLLECTIONS_STORE);
+  const stored = {};
+  for (const key of Object.keys(INTEGRITY_SCHEMA)) {
+    stored[key] = await requestToPromise(collections.get(key));
+  }
+  const { data, repairs } = repairData(stored);
+  Object.keys(INTEGRITY_SCHEMA).forEach(key => {
+    if (data[key] !== stored[key]) collections.put(data[key], key);
+  });
+  await transactionDone(transaction);
+  return repairs;
+}
+
+const storage = (() => {
+  let dbPromise = null;
+  let startupRepairs = {};
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase().then(async (db) => {
+        await migrateFromLocalStorage(db);
+        await migrateRewardsToLedger(db);
+        await migrateSleepSessions(db);
+        await migrateTodoCompletion(db);
+        await migrateMemoryPhotos(db);
+        startupRepairs = await repairStoredCollections(db).catch(error => {
+          console.error('Error checking stored data:', error);
+          return {};
+        });
+        await expireTrash(db).catch(error => console.error('Error expiring trash:', error));
+        await prunePhotos(db).catch(error => console.error('Error pruning photos:', error));
+        navigator.storage?.persist?.().catch(() => {});
+        return db;
+      });
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  };
+
+  const run = async (storeName, mode, operation) => {
+    const db = await getDb();
+    const transaction = db.transaction(storeName, mode);
+    const [result] = await Promise.all([
+      requestToPromise(operation(transaction.objectStore(storeName))),
+      transactionDone(transaction)
+    ]);
+    return result;
+  };
+
+  const putPhoto = async (blob) => {
+    const photoId = createPhotoId();
+    await run(PHOTOS_STORE, 'readwrite', store => store.put(blob, photoId));
+    return photoId;
+  };
+
+  return {
+    get: (key) => run(COLLECTIONS_STORE, 'readonly', store => store.get(key)),
+    set: (key, value) => run(COLLECTIONS_STORE, 'readwrite', store => store.put(value, key)),
+    getPhoto: (photoId) => run(PHOTOS_STORE, 'readonly', store => store.get(photoId)),
+    deletePhoto: (photoId) => run(PHOTOS_STORE, 'readwrite', store => store.delete(photoId)),
+    putPhoto,
+
+    // What the check at startup repaired, by collection
+    getStartupRepairs: async () => {
+      await getDb();
+      return startupRepairs;
+    },
+
+    // Backups are plain JSON, so photos travel as data URLs
+    inlinePhotos: async function inlinePhotos(items = []) {
+      return Promise.all(items.map(async (item) => {
+        if (Array.isArray(item?.photos)) return { ...item, photos: await inlinePhotos(item.photos) };
+        if (!item) return item;
+        const result = { ...item };
+        for (const [idField, dataField] of Object.entries(PHOTO_FIELDS)) {
+          if (!item[idField]) continue;
+          const blob = await run(PHOTOS_STORE, 'readonly', store => store.get(item[idField]));
+          delete result[idField];
+          result[dataField] = blob ? await blobToDataUrl(blob) : null;
+        }
+        return result;
+      }));
+    },
+
+    externalizePhotos: async (items = []) => {
+      const pendingPhotos = [];
+      const converted = items.map(item => externalizePhoto(item, pendingPhotos));
+      for (const { photoId, blob } of pendingPhotos) {
+        await run(PHOTOS_STORE, 'readwrite', store => store.put(blob, photoId));
+      }
+      return converted;
     }
+  };
+})();
+
+function describeStorageError(error) {
+  if (error?.name === 'QuotaExceededError') {
+    return 'Storage is full. Export a backup and remove some photos to free up space.';
+  }
+  return error?.message || 'Unknown storage error';
+}
+
+// Custom hook for state persisted to IndexedDB. Writes only start once the
+// stored value has loaded, so a failed read never overwrites saved data.
+function usePersistentState(key, initialValue, onError) {
+  const [value, setValue] = useState(initialValue);
+  const [status, setStatus] = useState('loading');
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    let cancelled = false;
+    storage.get(key)
+      .then(stored => {
+        if (cancelled) return;
+        if (stored !== undefined) setValue(stored);
+        setStatus('ready');
+      })
+      .catch(error => {
+        console.error(`Error reading stored key "${key}":`, error);
+        if (cancelled) return;
+        setStatus('failed');
+        onErrorRef.current?.({ key, action: 'read', error });
+      });
+    return () => { cancelled = true; };
   }, [key]);
 
-  return [value, setStoredValue];
+  useEffect(() => {
+    if (status !== 'ready') return;
+    storage.set(key, value).catch(error => {
+      console.error(`Error writing stored key "${key}":`, error);
+      onErrorRef.current?.({ key, action: 'write', error });
+    });
+  }, [key, value, status]);
+
+  return [value, setValue, status !== 'loading'];
+}
+
+// App-wide undo/redo. Changes made in the same tick form one undoable step, so an
+// action that touches several collections (e.g. a to-do and the point ledger) undoes at once.
+const UNDO_LIMIT = 50;
+
+const hasItemIds = (value) => Array.isArray(value) && value.every(item => item && typeof item === 'object' && item.id != null);
+
+// Fields whose value differs, mapped to their value in `from` (undefined when absent)
+const pickChangedFields = (from, to) => Object.fromEntries(
+  [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => from[field] !== to[field])
+    .map(field => [field, from[field]])
+);
+
+// A change to a list of items is kept as the items it added and removed and the fields
+// it changed, by id, so undo and redo leave alone whatever the app changed since without
+// recording it (e.g. generated recurring expenses). Other values, and reorders, are kept whole.
+function createUndoPatch(before, after) {
+  if (!hasItemIds(before) || !hasItemIds(after)) return { value: { before, after } };
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+  const keptOrder = (items, ids) => items.filter(item => ids.has(item.id)).map(item => item.id).join();
+  if (keptOrder(before, afterIds) !== keptOrder(after, beforeById)) return { value: { before, after } };
+
+  const items = { added: [], removed: [], changed: [] };
+  before.forEach((item, index) => {
+    if (!afterIds.has(item.id)) items.removed.push({ item, index });
+  });
+  after.forEach((item, index) => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      items.added.push({ item, index });
+    } else if (previous !== item) {
+      const fields = { before: pickChangedFields(previous, item), after: pickChangedFields(item, previous) };
+      if (Object.keys(fields.before).length > 0) items.changed.push({ id: item.id, ...fields });
+    }
+  });
+  const isEmpty = items.added.length === 0 && items.removed.length === 0 && items.changed.length === 0;
+  return isEmpty ? null : { items };
+}
+
+// Brings `current` to the `before` (undo) or `after` (redo) side of a patch
+function applyUndoPatch(current, patch, side) {
+  if (patch.value) return patch.value[side];
+  const { added, removed, changed } = patch.items;
+  const [dropped, restored] = side === 'before' ? [added, removed] : [removed, added];
+  const droppedIds = new Set(dropped.map(({ item }) => item.id));
+  const fieldsById = new Map(changed.map(change => [change.id, change[side]]));
+  const next = (Array.isArray(current) ? current : [])
+    .filter(item => !droppedIds.has(item.id))
+    .map(item => {
+      const fields = fieldsById.get(item.id);
+      if (!fields) return item;
+      const result = { ...item };
+      Object.entries(fields).forEach(([field, value]) => {
+        if (value === undefined) delete result[field];
+        else result[field] = value;
+      });
+      return result;
+    });
+  const presentIds = new Set(next.map(item => item.id));
+  restored.forEach(({ item, index }) => {
+    if (!presentIds.has(item.id)) next.splice(Math.min(index, next.length), 0, item);
+  });
+  return next;
+}
+
+function useUndoHistory() {
+  // `event` is the latest do/undo/redo, for the toast
+  const [stacks, setStacks] = useState({ undo: [], redo: [], event: null });
+  const pendingRef = useRef(null);
+  const appliersRef = useRef(new Map());
+  const pausedRef = useRef(false);
+
+  const getPending = useCallback(() => {
+    if (!pendingRef.current) {
+      pendingRef.current = { id: Date.now(), label: null, changes: new Map() };
+      queueMicrotask(() => {
+        const pending = pendingRef.current;
+        pendingRef.current = null;
+        const patches = [...pending.changes]
+          .map(([key, { before, after }]) => [key, createUndoPatch(before, after)])
+          .filter(([, patch]) => patch);
+        const step = { ...pending, changes: new Map(patches) };
+        if (step.changes.size > 0) {
+          setStacks(prev => ({ undo: [...prev.undo, step].slice(-UNDO_LIMIT), redo: [], event: { type: 'do', step, at: Date.now() } }));
+        }
+      });
+    }
+    return pendingRef.current;
+  }, []);
+
+  const register = useCallback((key, apply) => {
+    appliersRef.current.set(key, apply);
+    return () => appliersRef.current.delete(key);
+  }, []);
+
+  const record = useCallback((key, before, after) => {
+    if (pausedRef.current) return;
+    const { changes } = getPending();
+    changes.set(key, { before: changes.has(key) ? changes.get(key).before : before, after });
+  }, [getPending]);
+
+  // Names the step the next changes belong to, e.g. "Deleted expense"
+  const label = useCallback((text) => {
+    getPending().label = text;
+  }, [getPending]);
+
+  // Runs `fn` without recording its changes, for updates the user didn't make
+  const untracked = useCallback((fn) => {
+    pausedRef.current = true;
+    try {
+      fn();
+    } finally {
+      pausedRef.current = false;
+    }
+  }, []);
+
+  const apply = (step, side) => {
+    step.changes.forEach((patch, key) => appliersRef.current.get(key)?.(current => applyUndoPatch(current, patch, side)));
+  };
+
+  const undo = useCallback(() => {
+    const step = stacks.undo[stacks.undo.length - 1];
+    if (!step) return;
+    apply(step, 'before');
+    setStacks(prev => ({ undo: prev.undo.slice(0, -1), redo: [...prev.redo, step], event: { type: 'undo', step, at: Date.now() } }));
+  }, [stacks.undo]);
+
+  const redo = useCallback(() => {
+    const step = stacks.redo[stacks.redo.length - 1];
+    if (!step) return;
+    apply(step, 'after');
+    setStacks(prev => ({ undo: [...prev.undo, step], redo: prev.redo.slice(0, -1), event: { type: 'redo', step, at: Date.now() } }));
+  }, [stacks.redo]);
+
+  return {
+    register,
+    record,
+    label,
+    untracked,
+    undo,
+    redo,
+    canUndo: stacks.undo.length > 0,
+    canRedo: stacks.redo.length > 0,
+    event: stacks.event
+  };
+}
+
+// usePersistentState whose changes are recorded in `history`. Functional updates run
+// immediately and exactly once against the latest value, so callers may read what an
+// updater computed (e.g. the item it removed) right after calling the setter.
+function useUndoableState(key, initialValue, onError, history) {
+  const [value, setValue, loaded] = usePersistentState(key, initialValue, onError);
+  const valueRef = useRef(value);
+  valueRef.current = value;
+  const { register, record } = history;
+
+  useEffect(() => register(key, (update) => {
+    const next = update(valueRef.current);
+    valueRef.current = next;
+    setValue(next);
+  }), [key, register, setValue]);
+
+  const set = useCallback((update) => {
+    const before = valueRef.current;
+    const next = typeof update === 'function' ? update(before) : update;
+    if (next === before) return;
+    valueRef.current = next;
+    setValue(next);
+    // Nothing is recorded until the stored value has loaded
+    if (loaded) record(key, before, next);
+  }, [key, loaded, record, setValue]);
+
+  return [value, set, loaded];
+}
+
+// Resolves a stored photo Blob to an object URL for the lifetime of the component
+function usePhotoUrl(photoId) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!photoId) {
+      setUrl(null);
+      return undefined;
+    }
+    let objectUrl = null;
+    let cancelled = false;
+    storage.getPhoto(photoId)
+      .then(blob => {
+        if (cancelled || !blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(error => console.error(`Error loading photo "${photoId}":`, error));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [photoId]);
+
+  return url;
+}
+
+// Installable app. manifest.webmanifest, sw.js and icon.svg are served next to the page;
+// the page may not link the manifest itself, so it is added here.
+const SERVICE_WORKER_URL = 'sw.js';
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Script and stylesheet URLs in an HTML page; keep in step with findAssetUrls in sw.js
+function findAssetUrls(html) {
+  return [...html.matchAll(/<(script|link)\b[^>]*>/gi)].flatMap(([tag, name]) => {
+    const attribute = (key) => tag.match(new RegExp(`\\s${key}=["']?([^"'\\s>]+)`, 'i'))?.[1];
+    if (name.toLowerCase() === 'script') return attribute('src') ? [attribute('src')] : [];
+    return attribute('rel')?.toLowerCase() === 'stylesheet' && attribute('href') ? [attribute('href')] : [];
+  });
+}
+
+// Bundlers put a content hash in asset file names, so the assets a page references
+// identify its build. The service worker is registered once per build id.
+function getBuildId(assetUrls) {
+  let hash = 0;
+  for (const char of assetUrls.join('\n')) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return (hash >>> 0).toString(36);
+}
+
+// Read while the page still only holds the tags from its HTML
+const BUILD_ID = typeof document === 'undefined' ? '' : getBuildId(
+  [...document.querySelectorAll('script[src], link[rel="stylesheet"][href]')]
+    .map(element => element.getAttribute('src') || element.getAttribute('href'))
+);
+
+const getWorkerBuild = (worker) => (worker ? new URL(worker.scriptURL).searchParams.get('build') : null);
+
+function addToHead(tagName, attributes) {
+  const selector = `${tagName}[${Object.entries(attributes)[0].join('="')}"]`;
+  if (document.head.querySelector(selector)) return;
+  const element = document.createElement(tagName);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  document.head.appendChild(element);
+}
+
+// Registers the service worker and reports when a newer build is available. The
+// check fetches the start page and compares the build id of its assets with ours,
+// so no version has to be bumped by hand. Pages load network first, so a freshly
+// loaded page already runs the newest build and its worker takes over quietly; only
+// a page left open across a deploy is offered the update. The new version only takes
+// over, and the page only reloads, once `applyUpdate` is called.
+function useServiceWorker() {
+  // { worker } for a waiting worker, { worker: null } when another tab already switched
+  const [update, setUpdate] = useState(null);
+  const updateRequestedRef = useRef(false);
+
+  useEffect(() => {
+    addToHead('link', { rel: 'manifest', href: 'manifest.webmanifest' });
+    addToHead('link', { rel: 'icon', href: 'icon.svg', type: 'image/svg+xml' });
+    addToHead('link', { rel: 'apple-touch-icon', href: 'icon.svg' });
+    addToHead('meta', { name: 'theme-color', content: '#9333ea' });
+    if (!('serviceWorker' in navigator)) return undefined;
+
+    const { serviceWorker } = navigator;
+    let cancelled = false;
+    let timer = null;
+    // The newest build the start page was seen referencing
+    let latestBuild = BUILD_ID;
+    const register = (buildId) => serviceWorker.register(`${SERVICE_WORKER_URL}?build=${buildId}`);
+    // A waiting worker for the build this page runs takes over quietly, and one for the
+    // latest build is offered. Any other is older and is replaced by ours once installed.
+    const offer = (worker) => {
+      if (cancelled) return;
+      const build = getWorkerBuild(worker);
+      if (build === BUILD_ID) worker.postMessage({ type: 'SKIP_WAITING' });
+      else if (build === latestBuild) setUpdate({ worker });
+    };
+    const watch = (worker) => worker?.addEventListener('statechange', () => {
+      // With no controller this is the first install, not an update
+      if (worker.state === 'installed' && serviceWorker.controller) offer(worker);
+    });
+    const checkForUpdate = async (registration) => {
+      const response = await fetch('./', { cache: 'no-store' });
+      if (!response.ok) return;
+      latestBuild = getBuildId(findAssetUrls(await response.text()));
+      // A new script URL makes the browser install the worker for that build
+      if (latestBuild !== BUILD_ID) await register(latestBuild);
+      else await registration.update();
+    };
+    // A switch to another build after this page loaded means another tab moved on to a
+    // newer one; a switch to our own build is the quiet takeover above
+    const handleControllerChange = () => {
+      if (updateRequestedRef.current) window.location.reload();
+      else if (getWorkerBuild(serviceWorker.controller) !== BUILD_ID && !cancelled) {
+        setUpdate(current => current || { worker: null });
+      }
+    };
+
+    register(BUILD_ID)
+      .then(registration => {
+        if (cancelled) return;
+        if (registration.waiting && serviceWorker.controller) offer(registration.waiting);
+        watch(registration.installing);
+        registration.addEventListener('updatefound', () => watch(registration.installing));
+        timer = setInterval(() => checkForUpdate(registration).catch(() => {}), UPDATE_CHECK_INTERVAL);
+      })
+      .catch(error => console.error('Error registering the service worker:', error));
+    serviceWorker.addEventListener('controllerchange', handleControllerChange);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+    };
+  }, []);
+
+  const applyUpdate = useCallback(() => {
+    if (!update) return;
+    updateRequestedRef.current = true;
+    if (update.worker) update.worker.postMessage({ type: 'SKIP_WAITING' });
+    else window.location.reload();
+  }, [update]);
+
+  return { updateAvailable: Boolean(update), applyUpdate, dismissUpdate: () => setUpdate(null) };
 }
 
 // Error Boundary Component
@@ -68,478 +758,6085 @@ class ErrorBoundary extends React.Component {
   }
 }
 
-// Data export/import functionality
-const useDataManager = () => {
-  const exportData = useCallback((allData) => {
-    const dataStr = JSON.stringify(allData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(dataBlob);
-    link.download = `soumik-lifestyle-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(link.href);
-  }, []);
-
-  const importData = useCallback((file, setAllData) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const importedData = JSON.parse(e.target.result);
-        
-        // Validate the imported data structure
-        if (typeof importedData !== 'object' || importedData === null) {
-          throw new Error('Invalid data format');
-        }
-        
-        setAllData(importedData);
-        alert('Data imported successfully!');
-      } catch (error) {
-        console.error('Error importing data:', error);
-        alert('Error importing data. Please check the file format.');
-      }
-    };
-    reader.readAsText(file);
-  }, []);
+// Date helpers. Days are compared as local calendar days.
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
 
-  return { exportData, importData };
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
 };
 
-export default function SoumikLifestyle() {
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [habits, setHabits] = useLocalStorage('habits', []);
-  const [todos, setTodos] = useLocalStorage('todos', []);
-  const [expenses, setExpenses] = useLocalStorage('expenses', []);
-  const [notes, setNotes] = useLocalStorage('notes', []);
-  const [memories, setMemories] = useLocalStorage('memories', []);
-  const [loans, setLoans] = useLocalStorage('loans', []);
-  const [rewards, setRewards] = useLocalStorage('rewards', 0);
-  const [sleepSessions, setSleepSessions] = useLocalStorage('sleepSessions', []);
-  const [showImportModal, setShowImportModal] = useState(false);
+// Weeks start on Sunday, matching Date#getDay
+const startOfWeek = (date) => addDays(startOfDay(date), -new Date(date).getDay());
 
-  const { exportData, importData } = useDataManager();
+const isSameMonth = (a, b) => {
+  const first = new Date(a);
+  const second = new Date(b);
+  return first.getFullYear() === second.getFullYear() && first.getMonth() === second.getMonth();
+};
 
-  // Memoized calculations for better performance
-  const completedTodosCount = useMemo(() => 
-    todos.filter(t => t.completed).length, 
-    [todos]
-  );
+// Converts between Dates and the local "YYYY-MM-DD" values used by <input type="date">
+const toDateInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
 
-  const pendingLoansAmount = useMemo(() => 
-    loans.filter(l => !l.returned).reduce((sum, l) => sum + l.amount, 0), 
-    [loans]
-  );
+const fromDateInputValue = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
 
-  const totalExpenses = useMemo(() => 
-    expenses.reduce((sum, e) => sum + e.amount, 0), 
-    [expenses]
-  );
+// Local "YYYY-MM-DDTHH:mm" for <input type="datetime-local">; `new Date(value)` reads it back as local time
+const toDateTimeInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${toDateInputValue(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
 
-  const todayStr = new Date().toDateString();
-  const todaySleep = useMemo(() => 
-    sleepSessions
-      .filter(s => new Date(s.date).toDateString() === todayStr)
-      .reduce((sum, s) => sum + s.duration, 0),
-    [sleepSessions, todayStr]
-  );
+// ISO timestamp for a picked day. Keeps the time of `original` (or now) so items
+// logged on the same day stay in the order they were entered.
+function toStoredDate(value, original = new Date()) {
+  const time = new Date(original);
+  const date = fromDateInputValue(value);
+  date.setHours(time.getHours(), time.getMinutes(), time.getSeconds(), time.getMilliseconds());
+  return date.toISOString();
+}
 
-  // Combined data for export
-  const allData = useMemo(() => ({
-    habits,
-    todos,
-    expenses,
-    notes,
-    memories,
-    loans,
-    rewards,
-    sleepSessions,
-    exportDate: new Date().toISOString()
-  }), [habits, todos, expenses, notes, memories, loans, rewards, sleepSessions]);
+// Habit completedDates hold `toDateString()` values; normalise anything else to the same form
+function toDayKey(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toDateString();
+}
 
-  const setAllData = useCallback((newData) => {
-    if (newData.habits) setHabits(newData.habits);
-    if (newData.todos) setTodos(newData.todos);
-    if (newData.expenses) setExpenses(newData.expenses);
-    if (newData.notes) setNotes(newData.notes);
-    if (newData.memories) setMemories(newData.memories);
-    if (newData.loans) setLoans(newData.loans);
-    if (newData.rewards) setRewards(newData.rewards);
-    if (newData.sleepSessions) setSleepSessions(newData.sleepSessions);
-  }, [setHabits, setTodos, setExpenses, setNotes, setMemories, setLoans, setRewards, setSleepSessions]);
+// User preferences, persisted as a single `settings` object
+const DEFAULT_SETTINGS = {
+  baseCurrency: 'USD',
+  locale: typeof navigator !== 'undefined' && navigator.language ? navigator.language : 'en-US',
+  sleepTargetHours: 8,
+  trashRetentionDays: 30,
+  dashboard: null,
+  photoMaxDimension: 2048,
+  photoQuality: 0.85,
+  keepOriginalPhotos: false
+};
 
-  const addHabit = useCallback((name) => {
-    const newHabit = {
-      id: Date.now(),
-      name,
-      completedDates: [],
-      createdAt: new Date().toISOString()
-    };
-    setHabits(prev => [...prev, newHabit]);
-  }, [setHabits]);
+// Money. Each expense, loan and recurring template keeps its own currency (missing means
+// the base currency); totals, budgets and charts are converted with user-entered rates.
 
-  const toggleHabit = useCallback((id) => {
-    const today = new Date().toDateString();
-    setHabits(prev => prev.map(h => {
-      if (h.id === id) {
-        const dates = h.completedDates || [];
-        if (dates.includes(today)) {
-          return { ...h, completedDates: dates.filter(d => d !== today) };
-        } else {
-          setRewards(prevRewards => prevRewards + 10);
-          return { ...h, completedDates: [...dates, today] };
-        }
-      }
-      return h;
-    }));
-  }, [setHabits, setRewards]);
+const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'BDT', 'JPY', 'CNY', 'CAD', 'AUD', 'CHF', 'SGD', 'AED'];
 
-  const addTodo = useCallback((task) => {
-    const newTodo = {
-      id: Date.now(),
-      task,
-      completed: false,
-      photo: null,
-      createdAt: new Date().toISOString()
-    };
-    setTodos(prev => [...prev, newTodo]);
-  }, [setTodos]);
+const isCurrencyCode = (value) => /^[A-Z]{3}$/.test(value);
 
-  const toggleTodo = useCallback((id) => {
-    setTodos(prev => prev.map(t => {
-      if (t.id === id && !t.completed) {
-        setRewards(prevRewards => prevRewards + 5);
-        return { ...t, completed: !t.completed };
-      }
-      return t.id === id ? { ...t, completed: !t.completed } : t;
-    }));
-  }, [setTodos, setRewards]);
+const moneyFormats = new Map();
 
-  const uploadTodoPhoto = useCallback((id, file) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      setTodos(prev => prev.map(t => 
-        t.id === id ? { ...t, photo: e.target.result } : t
-      ));
-    };
-    reader.readAsDataURL(file);
-  }, [setTodos]);
+// Intl.NumberFormat is slow to construct, so formatters are cached per locale and currency
+function formatMoney(amount, currency, locale) {
+  const key = `${locale}|${currency}`;
+  if (!moneyFormats.has(key)) {
+    let format;
+    try {
+      format = new Intl.NumberFormat(locale, { style: 'currency', currency }).format;
+    } catch {
+      // Unknown locale or currency code: fall back to a plain number with the code
+      format = (value) => `${value.toFixed(2)} ${currency}`;
+    }
+    moneyFormats.set(key, format);
+  }
+  return moneyFormats.get(key)(amount);
+}
 
-  const addExpense = useCallback((description, amount, category) => {
+// `rate` is how many units of `base` one unit of `currency` buys on `date`.
+// Returns `toBase(amount, currency, date)`, which uses the latest rate on or before
+// `date` (or the earliest one if all are later) and gives null when no rate is known.
+function createCurrencyConverter(rates, baseCurrency) {
+  const byCurrency = new Map();
+  const addRate = (currency, date, rate) => {
+    if (!byCurrency.has(currency)) byCurrency.set(currency, []);
+    byCurrency.get(currency).push({ time: new Date(date).getTime(), rate });
+  };
+  rates.forEach(r => {
+    if (!(r.rate > 0)) return;
+    if (r.base === baseCurrency) addRate(r.currency, r.date, r.rate);
+    else if (r.currency === baseCurrency) addRate(r.base, r.date, 1 / r.rate);
+  });
+  byCurrency.forEach(list => list.sort((a, b) => a.time - b.time));
+
+  return (amount, currency = baseCurrency, date = new Date()) => {
+    if (!currency || currency === baseCurrency) return amount;
+    const list = byCurrency.get(currency);
+    if (!list) return null;
+    const time = new Date(date).getTime();
+    let match = list[0];
+    for (const entry of list) {
+      if (entry.time > time) break;
+      match = entry;
+    }
+    return amount * match.rate;
+  };
+}
+
+// Currencies used by `items` that can't be converted to the base currency
+function findUnconvertibleCurrencies(items, toBase) {
+  const missing = new Set();
+  items.forEach(item => {
+    if (item.currency && toBase(1, item.currency, item.date || item.dateGiven) === null) missing.add(item.currency);
+  });
+  return [...missing].sort();
+}
+
+// Expenses with `amount` in the base currency, for totals, budgets and reports.
+// Amounts without a rate count as zero; the UI warns about them separately.
+const convertExpenses = (expenses, toBase) => expenses.map(e =>
+  !e.currency ? e : { ...e, amount: toBase(e.amount, e.currency, e.date) ?? 0 }
+);
+
+const MoneyContext = createContext({
+  baseCurrency: DEFAULT_SETTINGS.baseCurrency,
+  locale: DEFAULT_SETTINGS.locale,
+  currencies: COMMON_CURRENCIES,
+  format: (amount, currency = DEFAULT_SETTINGS.baseCurrency) => formatMoney(amount, currency, DEFAULT_SETTINGS.locale),
+  toBase: createCurrencyConverter([], DEFAULT_SETTINGS.baseCurrency)
+});
+
+const useMoney = () => useContext(MoneyContext);
+
+// Backup file format. Bump BACKUP_VERSION when the shape of a collection
+// changes and add a step to BACKUP_MIGRATIONS that upgrades the old shape.
+const BACKUP_VERSION = 5;
+
+const BACKUP_MIGRATIONS = {
+  // Version 1 files only carried `exportDate`; their collections already match version 2
+  1: (data) => data,
+  // Version 3 replaced the `rewards` number with a point ledger. The carry-over id is
+  // derived from the export date so merging the same backup twice doesn't add it twice.
+  2: ({ rewards, ...data }) => (typeof rewards === 'number' && rewards !== 0
+    ? { ...data, pointLedger: [createCarryOverEntry(rewards, new Date(data.exportDate).getTime() || 1)] }
+    : data),
+  // Version 4 records sleep as start/end timestamps instead of a duration
+  3: (data) => (Array.isArray(data.sleepSessions)
+    ? { ...data, sleepSessions: data.sleepSessions.map(s => (isOldSleepSession(s) ? upgradeSleepSession(s) : s)) }
+    : data),
+  // Version 5 lets a memory hold several photos
+  4: (data) => (Array.isArray(data.memories)
+    ? { ...data, memories: data.memories.map(m => (isOldMemory(m) ? upgradeMemory(m) : m)) }
+    : data)
+};
+
+// Only upgrade entries that look like duration-only sessions; anything else is left for validation to report
+const isOldSleepSession = (session) => typeof session === 'object' && session !== null &&
+  !session.start && typeof session.duration === 'number' && !Number.isNaN(new Date(session.date).getTime());
+
+// Field types per collection. A trailing `?` marks a field that may be missing or null.
+const BACKUP_SCHEMA = {
+  habits: { id: 'number', name: 'string', schedule: 'object?', completedDates: 'string[]', createdAt: 'date?' },
+  todos: { id: 'number', task: 'string', completed: 'boolean', completedAt: 'date?', dueDate: 'date?', priority: 'string?', tags: 'string[]?', subtasks: 'object[]?', recurrence: 'object?', seriesId: 'number?', nextInstanceId: 'number?', photo: 'string?', photoId: 'string?', thumbnail: 'string?', thumbnailId: 'string?', original: 'string?', originalId: 'string?', createdAt: 'date' },
+  expenses: { id: 'number', description: 'string', amount: 'number', category: 'string', currency: 'string?', date: 'date', recurringId: 'number?' },
+  csvImportProfiles: { id: 'number', name: 'string', delimiter: 'string', hasHeader: 'boolean', columns: 'object', dateFormat: 'string', decimalSeparator: 'string', signMode: 'string', debitIndicator: 'string?', currency: 'string?' },
+  categoryRules: { id: 'number', pattern: 'string', category: 'string' },
+  recurringExpenses: { id: 'number', description: 'string', amount: 'number', currency: 'string?', category: 'string', unit: 'string', interval: 'number', startDate: 'date', nextDueDate: 'date', endDate: 'date?', paused: 'boolean', createdAt: 'date' },
+  notes: { id: 'number', title: 'string', content: 'string', tags: 'string[]?', pinned: 'boolean?', createdAt: 'date', updatedAt: 'date?' },
+  memories: { id: 'number', title: 'string', album: 'string?', photos: 'object[]', date: 'date', createdAt: 'date' },
+  loans: { id: 'number', personName: 'string', amount: 'number', currency: 'string?', note: 'string?', direction: 'string?', dueDate: 'date?', repayments: 'object[]?', returned: 'boolean', dateGiven: 'date', dateReturned: 'date?' },
+  sleepSessions: { id: 'number', start: 'date', end: 'date', night: 'string', duration: 'number', isAfternoon: 'boolean', quality: 'number?', estimated: 'boolean?', date: 'date' },
+  pointLedger: { id: 'number', type: 'string', points: 'number', description: 'string', sourceType: 'string?', sourceId: 'number?', sourceDate: 'string?', reverses: 'number?', createdAt: 'date' },
+  rewardItems: { id: 'number', name: 'string', cost: 'number', createdAt: 'date' },
+  expenseCategories: { id: 'number', name: 'string', monthlyBudget: 'number?' },
+  exchangeRates: { id: 'number', currency: 'string', base: 'string', rate: 'number', date: 'date' },
+  noteRevisions: { id: 'number', noteId: 'number', title: 'string', content: 'string', tags: 'string[]', savedAt: 'date' }
+};
+
+// Top-level values that are not lists of items
+const BACKUP_SCALARS = {
+  settings: 'object'
+};
+
+const COLLECTION_LABELS = {
+  habits: 'Habits',
+  todos: 'To-Dos',
+  expenses: 'Expenses',
+  notes: 'Notes',
+  memories: 'Memories',
+  loans: 'Loans',
+  sleepSessions: 'Sleep Sessions',
+  pointLedger: 'Points History',
+  rewardItems: 'Rewards Shop',
+  expenseCategories: 'Expense Categories',
+  recurringExpenses: 'Recurring Expenses',
+  csvImportProfiles: 'CSV Import Profiles',
+  categoryRules: 'Categorization Rules',
+  exchangeRates: 'Exchange Rates',
+  noteRevisions: 'Note History',
+  trash: 'Trash',
+  settings: 'Settings'
+};
+
+const MAX_ERRORS_PER_COLLECTION = 20;
+
+const TYPE_LABELS = {
+  number: 'a number',
+  string: 'text',
+  boolean: 'true/false',
+  date: 'a date',
+  'string[]': 'a list of text',
+  object: 'an object',
+  'object[]': 'a list of objects'
+};
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'an invalid number';
+  return typeof value === 'string' ? `"${value.slice(0, 30)}"` : typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'date': return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+    case 'string[]': return Array.isArray(value) && value.every(v => typeof v === 'string');
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'object[]': return Array.isArray(value) && value.every(v => matchesType(v, 'object'));
+    default: return true;
+  }
+}
+
+// Returns readable messages for every item that doesn't fit the schema
+function validateCollection(key, items) {
+  const schema = BACKUP_SCHEMA[key];
+  if (!Array.isArray(items)) {
+    return [`${COLLECTION_LABELS[key]} should be a list but is ${describeValue(items)}`];
+  }
+
+  const errors = [];
+  items.forEach((item, index) => {
+    const label = `${COLLECTION_LABELS[key]} #${index + 1}${item?.id !== undefined ? ` (id ${item.id})` : ''}`;
+    if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+      errors.push(`${label} should be an object but is ${describeValue(item)}`);
+      return;
+    }
+    Object.entries(schema).forEach(([field, spec]) => {
+      const optional = spec.endsWith('?');
+      const type = optional ? spec.slice(0, -1) : spec;
+      const value = item[field];
+      if (value === undefined || value === null) {
+        if (!optional) errors.push(`${label}: "${field}" is ${value === null ? 'empty' : 'missing'}`);
+      } else if (!matchesType(value, type)) {
+        errors.push(`${label}: "${field}" should be ${TYPE_LABELS[type]} but is ${describeValue(value)}`);
+      }
+    });
+  });
+
+  return limitMessages(errors);
+}
+
+function limitMessages(messages) {
+  if (messages.length <= MAX_ERRORS_PER_COLLECTION) return messages;
+  const hidden = messages.length - MAX_ERRORS_PER_COLLECTION;
+  return [...messages.slice(0, MAX_ERRORS_PER_COLLECTION), `...and ${hidden} more`];
+}
+
+// Integrity checks for stored data and backups. Records that would break the app are
+// repaired rather than rejected: items without a usable id, or sharing one, get a fresh
+// id, and numbers saved as text or NaN are parsed or reset. References between
+// collections are then checked (see repairReferences).
+const INTEGRITY_SCHEMA = {
+  ...BACKUP_SCHEMA,
+  trash: { id: 'number', type: 'string', item: 'object', deletedAt: 'date' }
+};
+
+const NESTED_ITEM_SCHEMAS = {
+  todos: { subtasks: { id: 'number' } },
+  loans: { repayments: { id: 'number', amount: 'number' } }
+};
+
+// Required numbers that can't be recovered become 0, except where 0 would stall the app
+const NUMBER_FALLBACKS = { interval: 1 };
+
+const describeItem = (item, index) => {
+  if (item.type && item.item) return describeItem(item.item, index);
+  const title = [item.name, item.title, item.task, item.description, item.personName]
+    .find(value => typeof value === 'string' && value.trim());
+  return title ? `"${title.slice(0, 30)}"` : `#${index + 1}`;
+};
+
+// Returns the repaired items (the same array when nothing needed fixing), a message per
+// repair and `renamed`, the items that shared an id as `{ from, item }`
+function repairItems(items, schema, label, nestedSchemas = {}) {
+  const problems = [];
+  const renamed = [];
+  const seenIds = new Set();
+  const repaired = items.flatMap((item, index) => {
+    if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+      problems.push(`${label} #${index + 1} was ${describeValue(item)} instead of a record and was removed`);
+      return [];
+    }
+    const name = `${label} ${describeItem(item, index)}`;
+    let result = item;
+    const set = (field, value) => {
+      if (result === item) result = { ...item };
+      result[field] = value;
+    };
+
+    Object.entries(schema).forEach(([field, spec]) => {
+      const optional = spec.endsWith('?');
+      const value = item[field];
+      if (field === 'id' || !spec.startsWith('number')) return;
+      if (typeof value === 'number' && Number.isFinite(value)) return;
+      if ((value === undefined || value === null) && optional) return;
+      const parsed = typeof value === 'string' ? parseFloat(value) : NaN;
+      const fixed = Number.isFinite(parsed) ? parsed : optional ? null : NUMBER_FALLBACKS[field] ?? 0;
+      set(field, fixed);
+      problems.push(`${name}: "${field}" was ${value === undefined ? 'missing' : describeValue(value)}, now ${fixed}`);
+    });
+
+    Object.entries(nestedSchemas).forEach(([field, nestedSchema]) => {
+      if (!Array.isArray(item[field])) return;
+      const nested = repairItems(item[field], nestedSchema, `${name} ${field}`);
+      if (nested.problems.length === 0) return;
+      set(field, nested.items);
+      problems.push(...nested.problems);
+    });
+
+    if (typeof result.id !== 'number' || !Number.isFinite(result.id) || seenIds.has(result.id)) {
+      const shared = seenIds.has(result.id) ? result.id : null;
+      problems.push(shared !== null
+        ? `${name}: shared id ${shared} with another item, given a new id`
+        : `${name}: had ${result.id === undefined ? 'no id' : `an invalid id (${describeValue(result.id)})`}, given a new id`);
+      set('id', createId());
+      if (shared !== null) renamed.push({ from: shared, item: result });
+    }
+    seenIds.add(result.id);
+    return [result];
+  });
+
+  return { items: problems.length > 0 ? repaired : items, problems, renamed };
+}
+
+const repairCollection = (key, items) =>
+  repairItems(items, INTEGRITY_SCHEMA[key], COLLECTION_LABELS[key], NESTED_ITEM_SCHEMAS[key]);
+
+const LEDGER_SOURCES = { habit: 'habits', todo: 'todos', reward: 'rewardItems' };
+
+// References between collections. `owner` tells which of the items that shared an id a
+// reference belongs to. `orphan` is what happens when the item is gone for good, not
+// even in the Trash: 'remove' the record or 'clear' the field. Without it a dangling
+// reference is expected, e.g. points earned from a habit that was later deleted.
+const ITEM_REFERENCES = [
+  { from: 'noteRevisions', field: 'noteId', to: () => 'notes', owner: (revision, note) => revision.title === note.title, orphan: 'remove' },
+  { from: 'expenses', field: 'recurringId', to: () => 'recurringExpenses', owner: (expense, template) => expense.description === template.description && expense.category === template.category, orphan: 'clear' },
+  { from: 'todos', field: 'seriesId', to: () => 'todos', owner: (todo, first) => todo.task === first.task },
+  { from: 'todos', field: 'nextInstanceId', to: () => 'todos', owner: (todo, next) => todo.task === next.task },
+  { from: 'pointLedger', field: 'sourceId', to: (entry) => LEDGER_SOURCES[entry.sourceType], owner: (entry, source) => typeof entry.description === 'string' && entry.description.endsWith(`: ${source.name ?? source.task}`) }
+];
+
+const getTrashedItems = (data, collection) => (data.trash || [])
+  .filter(entry => TRASH_TYPES[entry.type]?.collection === collection && entry.item)
+  .map(entry => entry.item);
+
+// Points references to a renumbered item when the reference clearly belongs to it, and
+// removes or clears references to items that no longer exist. Orphans are only judged
+// when the Trash is part of `data`, since a backup doesn't carry it.
+function repairReferences(data, renamed, report) {
+  ITEM_REFERENCES.forEach(({ from, field, to, owner, orphan }) => {
+    if (!Array.isArray(data[from])) return;
+    let changed = false;
+    const records = data[from].flatMap((record, index) => {
+      const value = record[field];
+      const target = to(record);
+      if (value === null || value === undefined || !target || !Array.isArray(data[target])) return [record];
+      const name = `${COLLECTION_LABELS[from]} ${describeItem(record, index)}`;
+
+      const moved = (renamed[target] || []).filter(r => r.from === value);
+      if (moved.length > 0) {
+        const first = data[target].find(item => item.id === value);
+        const owners = [first, ...moved.map(r => r.item)].filter(item => item && owner(record, item));
+        if (owners.length !== 1 || owners[0] === first) return [record];
+        changed = true;
+        report(from, `${name}: "${field}" now points to the renumbered item ${owners[0].id}`);
+        return [{ ...record, [field]: owners[0].id }];
+      }
+
+      if (!orphan || !Array.isArray(data.trash)) return [record];
+      if ([...data[target], ...getTrashedItems(data, target)].some(item => item.id === value)) return [record];
+      changed = true;
+      if (orphan === 'remove') {
+        report(from, `${name}: removed, it belonged to ${COLLECTION_LABELS[target]} item ${value}, which no longer exists`);
+        return [];
+      }
+      report(from, `${name}: "${field}" pointed to ${COLLECTION_LABELS[target]} item ${value}, which no longer exists, and was cleared`);
+      return [{ ...record, [field]: null }];
+    });
+    if (changed) data[from] = records;
+  });
+}
+
+// Expenses, recurring expenses and rules name their category; a missing one is added back
+function repairCategories(data, report) {
+  if (!Array.isArray(data.expenseCategories)) return;
+  const known = new Set([...data.expenseCategories, ...getTrashedItems(data, 'expenseCategories')].map(c => c.name));
+  const missing = new Map();
+  ['expenses', 'recurringExpenses', 'categoryRules'].forEach(key => (data[key] || []).forEach(item => {
+    if (typeof item.category !== 'string' || known.has(item.category)) return;
+    missing.set(item.category, (missing.get(item.category) || 0) + 1);
+  }));
+  if (missing.size === 0) return;
+  data.expenseCategories = [
+    ...data.expenseCategories,
+    ...[...missing.keys()].map(name => ({ id: createId(), name, monthlyBudget: null }))
+  ];
+  missing.forEach((count, name) => report('expenseCategories', `Added "${name}", which ${count} record${count === 1 ? '' : 's'} used but didn't exist`));
+}
+
+// A trashed item whose id is in use again would come back as a duplicate when restored
+function repairTrashedIds(data, report) {
+  if (!Array.isArray(data.trash)) return;
+  let changed = false;
+  const entries = data.trash.map((entry, index) => {
+    const items = data[TRASH_TYPES[entry.type]?.collection];
+    if (!entry.item || !Array.isArray(items) || !items.some(item => item.id === entry.item.id)) return entry;
+    changed = true;
+    report('trash', `Trash ${describeItem(entry, index)}: id ${entry.item.id} is used by another item, given a new id`);
+    return { ...entry, item: { ...entry.item, id: createId() } };
+  });
+  if (changed) data.trash = entries;
+}
+
+// Repairs each collection in `data`, then the references between them. Returns the
+// collections with changed ones replaced, and the repairs made by collection.
+function repairData(data) {
+  const repaired = { ...data };
+  const renamed = {};
+  const problems = {};
+  const report = (key, message) => {
+    problems[key] = [...(problems[key] || []), message];
+  };
+
+  Object.keys(INTEGRITY_SCHEMA).forEach(key => {
+    if (!Array.isArray(data[key])) return;
+    const result = repairCollection(key, data[key]);
+    repaired[key] = result.items;
+    result.problems.forEach(message => report(key, message));
+    if (result.renamed.length > 0) renamed[key] = result.renamed;
+  });
+  repairReferences(repaired, renamed, report);
+  repairCategories(repaired, report);
+  repairTrashedIds(repaired, report);
+
+  const repairs = Object.fromEntries(Object.entries(problems).map(([key, messages]) => [key, limitMessages(messages)]));
+  return { data: repaired, repairs };
+}
+
+// Parses a backup, upgrades it to the current version, repairs what it can and validates
+// each collection. Collections with errors are left out of `collections` so they can't be imported.
+function parseBackup(text) {
+  const raw = JSON.parse(text);
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error('The file does not contain a backup object.');
+  }
+
+  const version = raw.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown backup version "${version}".`);
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error(`This backup was made by a newer version of the app (version ${version}).`);
+  }
+
+  let data = raw;
+  for (let v = version; v < BACKUP_VERSION; v++) {
+    data = BACKUP_MIGRATIONS[v](data);
+  }
+
+  const { data: repairedData, repairs } = repairData(data);
+  data = repairedData;
+
+  const collections = {};
+  const errors = {};
+  Object.keys(BACKUP_SCHEMA).forEach(key => {
+    if (data[key] === undefined) return;
+    const collectionErrors = validateCollection(key, data[key]);
+    if (collectionErrors.length > 0) {
+      errors[key] = collectionErrors;
+    } else {
+      collections[key] = data[key];
+    }
+  });
+  Object.entries(BACKUP_SCALARS).forEach(([key, type]) => {
+    if (data[key] === undefined) return;
+    if (matchesType(data[key], type)) {
+      collections[key] = data[key];
+    } else {
+      errors[key] = [`${COLLECTION_LABELS[key]} should be ${TYPE_LABELS[type]} but is ${describeValue(data[key])}`];
+    }
+  });
+
+  return { version, exportDate: data.exportDate || null, collections, errors, repairs };
+}
+
+const describeScalar = (value) => (typeof value === 'object' && value !== null
+  ? Object.entries(value).map(([k, v]) => `${k}: ${v}`).join(', ')
+  : String(value));
+
+// Photos differ in representation between a backup (data URLs) and storage (Blob ids),
+// so every photo field is left out, including those of a memory's `photos`
+const PHOTO_KEYS = Object.entries(PHOTO_FIELDS).flat();
+
+function withoutPhotoFields(item) {
+  if (!item || typeof item !== 'object') return item;
+  return Object.fromEntries(Object.entries(item)
+    .filter(([key]) => !PHOTO_KEYS.includes(key))
+    .map(([key, value]) => [key, key === 'photos' && Array.isArray(value) ? value.map(withoutPhotoFields) : value]));
+}
+
+const comparableItem = (item) => JSON.stringify(withoutPhotoFields(item));
+
+function diffCollection(current = [], incoming = []) {
+  const currentById = new Map(current.map(item => [item.id, item]));
+  const incomingIds = new Set(incoming.map(item => item.id));
+  const diff = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+  incoming.forEach(item => {
+    const existing = currentById.get(item.id);
+    if (!existing) {
+      diff.added++;
+    } else if (comparableItem(existing) === comparableItem(item)) {
+      diff.unchanged++;
+    } else {
+      diff.updated++;
+    }
+  });
+  diff.removed = current.filter(item => !incomingIds.has(item.id)).length;
+  return diff;
+}
+
+// Merge by id: incoming items overwrite matching ones, the rest are appended
+function mergeCollection(current = [], incoming = []) {
+  const incomingById = new Map(incoming.map(item => [item.id, item]));
+  const merged = current.map(item => incomingById.get(item.id) || item);
+  const currentIds = new Set(current.map(item => item.id));
+  return [...merged, ...incoming.filter(item => !currentIds.has(item.id))];
+}
+
+// Points ledger: one entry per earn, spend or reversal. The balance is the sum of `points`.
+const HABIT_POINTS = 10;
+const TODO_POINTS = 5;
+
+const createLedgerEntry = (fields) => ({
+  id: createId(),
+  sourceType: null,
+  sourceId: null,
+  sourceDate: null,
+  reverses: null,
+  createdAt: new Date().toISOString(),
+  ...fields
+});
+
+function createCarryOverEntry(points, id) {
+  return createLedgerEntry({ id, type: 'adjustment', points, description: 'Points carried over' });
+}
+
+function findReversibleEntry(ledger, sourceType, sourceId, sourceDate) {
+  const reversedIds = new Set(ledger.map(entry => entry.reverses).filter(Boolean));
+  return [...ledger].reverse().find(entry =>
+    entry.type === 'earn' &&
+    entry.sourceType === sourceType &&
+    entry.sourceId === sourceId &&
+    (entry.sourceDate ?? null) === sourceDate &&
+    !reversedIds.has(entry.id)
+  );
+}
+
+// Data export/import functionality
+const useDataManager = () => {
+  const exportData = useCallback(async (allData) => {
+    // Photos live in IndexedDB as Blobs; inline them so the backup is self-contained
+    const backup = {
+      version: BACKUP_VERSION,
+      exportDate: new Date().toISOString(),
+      ...allData,
+      todos: await storage.inlinePhotos(allData.todos),
+      memories: await storage.inlinePhotos(allData.memories)
+    };
+    const dataStr = JSON.stringify(backup, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `soumik-lifestyle-backup-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  }, []);
+
+  const readBackup = useCallback((file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        resolve(parseBackup(e.target.result));
+      } catch (error) {
+        reject(error instanceof SyntaxError ? new Error('The file is not valid JSON.') : error);
+      }
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  }), []);
+
+  // `modes` maps each collection to 'replace' or 'merge'; for scalars 'merge' keeps the current value
+  const importData = useCallback(async (backup, modes, currentData, setAllData) => {
+    const newData = {};
+    Object.entries(backup.collections).forEach(([key, incoming]) => {
+      const mode = modes[key] || 'merge';
+      if (BACKUP_SCALARS[key]) {
+        if (mode === 'replace') newData[key] = incoming;
+      } else {
+        newData[key] = mode === 'replace' ? incoming : mergeCollection(currentData[key], incoming);
+      }
+    });
+
+    try {
+      await setAllData(newData);
+      alert('Data imported successfully!');
+    } catch (error) {
+      console.error('Error importing data:', error);
+      alert(`Error importing data: ${error.message}`);
+    }
+  }, []);
+
+  return { exportData, readBackup, importData };
+};
+
+export default function SoumikLifestyle() {
+  const [activeTab, setActiveTab] = useState('dashboard');
+  const [storageErrors, setStorageErrors] = useState([]);
+
+  const [dataRepairs, setDataRepairs] = useState({});
+
+  useEffect(() => {
+    storage.getStartupRepairs().then(setDataRepairs).catch(() => {});
+  }, []);
+
+  const reportStorageError = useCallback(({ key, action, error }) => {
+    setStorageErrors(prev => [
+      ...prev.filter(e => e.key !== key),
+      { key, action, message: describeStorageError(error) }
+    ]);
+  }, []);
+
+  const { updateAvailable, applyUpdate, dismissUpdate } = useServiceWorker();
+
+  const undoHistory = useUndoHistory();
+  const { label: labelUndoStep, untracked: withoutUndo } = undoHistory;
+  const [habits, setHabits, habitsLoaded] = useUndoableState('habits', [], reportStorageError, undoHistory);
+  const [todos, setTodos, todosLoaded] = useUndoableState('todos', [], reportStorageError, undoHistory);
+  const [expenses, setExpenses, expensesLoaded] = useUndoableState('expenses', [], reportStorageError, undoHistory);
+  const [notes, setNotes, notesLoaded] = useUndoableState('notes', [], reportStorageError, undoHistory);
+  const [memories, setMemories, memoriesLoaded] = useUndoableState('memories', [], reportStorageError, undoHistory);
+  const [loans, setLoans, loansLoaded] = useUndoableState('loans', [], reportStorageError, undoHistory);
+  const [sleepSessions, setSleepSessions, sleepLoaded] = useUndoableState('sleepSessions', [], reportStorageError, undoHistory);
+  const [pointLedger, setPointLedger, ledgerLoaded] = useUndoableState('pointLedger', [], reportStorageError, undoHistory);
+  const [rewardItems, setRewardItems, rewardItemsLoaded] = useUndoableState('rewardItems', [], reportStorageError, undoHistory);
+  const [expenseCategories, setExpenseCategories, categoriesLoaded] = useUndoableState('expenseCategories', DEFAULT_EXPENSE_CATEGORIES, reportStorageError, undoHistory);
+  const [recurringExpenses, setRecurringExpenses, recurringLoaded] = useUndoableState('recurringExpenses', [], reportStorageError, undoHistory);
+  const [csvImportProfiles, setCsvImportProfiles, csvProfilesLoaded] = useUndoableState('csvImportProfiles', [], reportStorageError, undoHistory);
+  const [categoryRules, setCategoryRules, categoryRulesLoaded] = useUndoableState('categoryRules', [], reportStorageError, undoHistory);
+  const [storedSettings, setSettings, settingsLoaded] = useUndoableState('settings', DEFAULT_SETTINGS, reportStorageError, undoHistory);
+  const [exchangeRates, setExchangeRates, ratesLoaded] = useUndoableState('exchangeRates', [], reportStorageError, undoHistory);
+  const [noteRevisions, setNoteRevisions, noteRevisionsLoaded] = useUndoableState('noteRevisions', [], reportStorageError, undoHistory);
+  const [trash, setTrash, trashLoaded] = useUndoableState('trash', [], reportStorageError, undoHistory);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showReview, setShowReview] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showCsvImport, setShowCsvImport] = useState(false);
+  const [showRewardsModal, setShowRewardsModal] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  // The list item the palette jumped to, as `{ type, id }`
+  const [focusedItem, setFocusedItem] = useState(null);
+  // A note started from the palette, opened in the Notes editor
+  const [noteDraft, setNoteDraft] = useState(null);
+
+  const isLoaded = [
+    habitsLoaded, todosLoaded, expensesLoaded, notesLoaded, memoriesLoaded,
+    loansLoaded, sleepLoaded, ledgerLoaded, rewardItemsLoaded, categoriesLoaded,
+    recurringLoaded, csvProfilesLoaded, categoryRulesLoaded, settingsLoaded, ratesLoaded,
+    noteRevisionsLoaded, trashLoaded
+  ].every(Boolean);
+
+  const { exportData, readBackup, importData } = useDataManager();
+
+  // Settings imported from an older backup may lack newer keys
+  const settings = useMemo(() => ({ ...DEFAULT_SETTINGS, ...storedSettings }), [storedSettings]);
+
+  const toBase = useMemo(() =>
+    createCurrencyConverter(exchangeRates, settings.baseCurrency),
+    [exchangeRates, settings.baseCurrency]
+  );
+
+  const money = useMemo(() => ({
+    baseCurrency: settings.baseCurrency,
+    locale: settings.locale,
+    currencies: [...new Set([settings.baseCurrency, ...exchangeRates.map(r => r.currency), ...COMMON_CURRENCIES])],
+    format: (amount, currency = settings.baseCurrency) => formatMoney(amount, currency, settings.locale),
+    toBase
+  }), [settings, exchangeRates, toBase]);
+
+  const baseExpenses = useMemo(() =>
+    convertExpenses(expenses, toBase),
+    [expenses, toBase]
+  );
+
+  const unconvertibleCurrencies = useMemo(() =>
+    findUnconvertibleCurrencies([...expenses, ...loans, ...recurringExpenses], toBase),
+    [expenses, loans, recurringExpenses, toBase]
+  );
+
+  // Memoized calculations for better performance
+  const completedTodosCount = useMemo(() => 
+    todos.filter(t => t.completed).length, 
+    [todos]
+  );
+
+  const netLoanPosition = useMemo(() =>
+    calculateNetLoanPosition(loans, toBase),
+    [loans, toBase]
+  );
+
+  const totalExpenses = useMemo(() => 
+    baseExpenses.reduce((sum, e) => sum + e.amount, 0), 
+    [baseExpenses]
+  );
+
+  const budgetStatus = useMemo(() =>
+    calculateBudgetStatus(expenseCategories, baseExpenses),
+    [expenseCategories, baseExpenses]
+  );
+
+  // Only categories with a budget count towards what's left this month
+  const remainingBudget = useMemo(() => {
+    const budgeted = budgetStatus.filter(b => b.budget !== null);
+    return budgeted.length > 0 ? budgeted.reduce((sum, b) => sum + b.remaining, 0) : null;
+  }, [budgetStatus]);
+
+  const pointBalance = useMemo(() =>
+    pointLedger.reduce((sum, entry) => sum + entry.points, 0),
+    [pointLedger]
+  );
+
+  const todayStr = new Date().toDateString();
+  const todaySleep = useMemo(() => 
+    sleepSessions
+      .filter(s => new Date(s.date).toDateString() === todayStr)
+      .reduce((sum, s) => sum + s.duration, 0),
+    [sleepSessions, todayStr]
+  );
+
+  // Combined data for export
+  const allData = useMemo(() => ({
+    habits,
+    todos,
+    expenses,
+    notes,
+    memories,
+    loans,
+    sleepSessions,
+    pointLedger,
+    rewardItems,
+    expenseCategories,
+    recurringExpenses,
+    csvImportProfiles,
+    categoryRules,
+    exchangeRates,
+    noteRevisions,
+    settings
+  }), [habits, todos, expenses, notes, memories, loans, sleepSessions, pointLedger, rewardItems, expenseCategories, recurringExpenses, csvImportProfiles, categoryRules, exchangeRates, noteRevisions, settings]);
+
+  // Review reports compare spending, so they get expenses in the base currency
+  const reviewData = useMemo(() => ({
+    habits,
+    todos,
+    expenses: baseExpenses,
+    sleepSessions,
+    loans,
+    memories
+  }), [habits, todos, baseExpenses, sleepSessions, loans, memories]);
+
+  // Photos are stored before any collection changes, so the import is a single undo step
+  const setAllData = useCallback(async (newData) => {
+    const todosWithStoredPhotos = newData.todos && await storage.externalizePhotos(newData.todos);
+    const memoriesWithStoredPhotos = newData.memories && await storage.externalizePhotos(newData.memories);
+    labelUndoStep('Imported backup');
+    if (newData.habits) setHabits(newData.habits);
+    if (todosWithStoredPhotos) setTodos(todosWithStoredPhotos);
+    if (newData.expenses) setExpenses(newData.expenses);
+    if (newData.notes) setNotes(newData.notes);
+    if (memoriesWithStoredPhotos) setMemories(memoriesWithStoredPhotos);
+    if (newData.loans) setLoans(newData.loans);
+    if (newData.sleepSessions) setSleepSessions(newData.sleepSessions);
+    if (newData.pointLedger) setPointLedger(newData.pointLedger);
+    if (newData.rewardItems) setRewardItems(newData.rewardItems);
+    if (newData.expenseCategories) setExpenseCategories(newData.expenseCategories);
+    if (newData.recurringExpenses) setRecurringExpenses(newData.recurringExpenses);
+    if (newData.csvImportProfiles) setCsvImportProfiles(newData.csvImportProfiles);
+    if (newData.categoryRules) setCategoryRules(newData.categoryRules);
+    if (newData.exchangeRates) setExchangeRates(newData.exchangeRates);
+    if (newData.noteRevisions) setNoteRevisions(newData.noteRevisions);
+    if (newData.settings) setSettings(newData.settings);
+  }, [labelUndoStep, setHabits, setTodos, setExpenses, setNotes, setMemories, setLoans, setSleepSessions, setPointLedger, setRewardItems, setExpenseCategories, setRecurringExpenses, setCsvImportProfiles, setCategoryRules, setExchangeRates, setNoteRevisions, setSettings]);
+
+  // Items without a currency are in the base currency, so pin them to the old one
+  // before switching; otherwise their amounts would silently change meaning.
+  // Category budgets have no currency of their own and are converted at the latest rate.
+  const updateSettings = useCallback((changes) => {
+    const previousBase = settings.baseCurrency;
+    if (changes.baseCurrency && changes.baseCurrency !== previousBase) {
+      const toNewBase = createCurrencyConverter(exchangeRates, changes.baseCurrency);
+      const hasBudgets = expenseCategories.some(c => c.monthlyBudget != null);
+      if (hasBudgets && toNewBase(1, previousBase) === null) {
+        alert(`Add an exchange rate between ${previousBase} and ${changes.baseCurrency} first, so your category budgets can be converted.`);
+        return;
+      }
+      const pin = (item) => item.currency ? item : { ...item, currency: previousBase };
+      setExpenses(prev => prev.map(pin));
+      setLoans(prev => prev.map(pin));
+      setRecurringExpenses(prev => prev.map(pin));
+      setExpenseCategories(prev => prev.map(c => (c.monthlyBudget == null
+        ? c
+        : { ...c, monthlyBudget: Math.round(toNewBase(c.monthlyBudget, previousBase) * 100) / 100 })));
+    }
+    setSettings(prev => ({ ...DEFAULT_SETTINGS, ...prev, ...changes }));
+  }, [settings.baseCurrency, exchangeRates, expenseCategories, setSettings, setExpenses, setLoans, setRecurringExpenses, setExpenseCategories]);
+
+  const addExchangeRate = useCallback((currency, rate, date) => {
+    const newRate = {
+      id: createId(),
+      currency,
+      base: settings.baseCurrency,
+      rate: parseFloat(rate),
+      date
+    };
+    setExchangeRates(prev => [...prev, newRate]);
+  }, [settings.baseCurrency, setExchangeRates]);
+
+  // A source that already holds an award that hasn't been reversed doesn't earn again,
+  // so each habit day or to-do instance pays out at most once at a time
+  const earnPoints = useCallback((points, sourceType, sourceId, sourceDate, description) => {
+    setPointLedger(prev => (findReversibleEntry(prev, sourceType, sourceId, sourceDate ?? null)
+      ? prev
+      : [...prev, createLedgerEntry({ type: 'earn', points, sourceType, sourceId, sourceDate, description })]));
+  }, [setPointLedger]);
+
+  // Takes back the latest points earned from a source that haven't been reversed yet
+  const reversePoints = useCallback((sourceType, sourceId, sourceDate = null) => {
+    setPointLedger(prev => {
+      const earned = findReversibleEntry(prev, sourceType, sourceId, sourceDate);
+      if (!earned) return prev;
+      return [
+        ...prev,
+        createLedgerEntry({
+          type: 'reversal',
+          points: -earned.points,
+          sourceType,
+          sourceId,
+          sourceDate,
+          reverses: earned.id,
+          description: `Undone: ${earned.description}`
+        })
+      ];
+    });
+  }, [setPointLedger]);
+
+  const addRewardItem = useCallback((name, cost) => {
+    const newReward = {
+      id: createId(),
+      name,
+      cost: parseInt(cost, 10),
+      createdAt: new Date().toISOString()
+    };
+    setRewardItems(prev => [...prev, newReward]);
+  }, [setRewardItems]);
+
+  const redeemReward = useCallback((id) => {
+    const reward = rewardItems.find(r => r.id === id);
+    if (!reward || reward.cost > pointBalance) return;
+    setPointLedger(prev => [
+      ...prev,
+      createLedgerEntry({
+        type: 'spend',
+        points: -reward.cost,
+        sourceType: 'reward',
+        sourceId: reward.id,
+        description: `Redeemed: ${reward.name}`
+      })
+    ]);
+  }, [rewardItems, pointBalance, setPointLedger]);
+
+  const addHabit = useCallback((name, schedule = DEFAULT_HABIT_SCHEDULE) => {
+    const newHabit = {
+      id: createId(),
+      name,
+      schedule,
+      completedDates: [],
+      createdAt: new Date().toISOString()
+    };
+    setHabits(prev => [...prev, newHabit]);
+  }, [setHabits]);
+
+  const updateHabit = useCallback((id, changes) => {
+    setHabits(prev => prev.map(h => h.id === id ? { ...h, ...changes } : h));
+  }, [setHabits]);
+
+  // `date` defaults to today; past days can be back-filled or corrected from the calendar
+  const toggleHabit = useCallback((id, date = new Date()) => {
+    const habit = habits.find(h => h.id === id);
+    if (!habit) return;
+    const dayKey = date.toDateString();
+    const wasCompleted = (habit.completedDates || []).some(d => toDayKey(d) === dayKey);
+
+    setHabits(prev => prev.map(h => {
+      if (h.id !== id) return h;
+      const dates = h.completedDates || [];
+      return {
+        ...h,
+        completedDates: wasCompleted ? dates.filter(d => toDayKey(d) !== dayKey) : [...dates, dayKey]
+      };
+    }));
+
+    if (wasCompleted) {
+      reversePoints('habit', id, dayKey);
+    } else {
+      earnPoints(HABIT_POINTS, 'habit', id, dayKey, `Completed habit: ${habit.name}`);
+    }
+  }, [habits, setHabits, earnPoints, reversePoints]);
+
+  // `details` may hold `dueDate`, `priority`, `tags` and a `recurrence` rule
+  const addTodo = useCallback((task, { dueDate = null, priority = 'none', tags = [], recurrence = null } = {}) => {
+    const newTodo = {
+      id: createId(),
+      task,
+      completed: false,
+      completedAt: null,
+      dueDate,
+      priority,
+      tags,
+      subtasks: [],
+      recurrence,
+      photoId: null,
+      createdAt: new Date().toISOString()
+    };
+    setTodos(prev => [...prev, newTodo]);
+  }, [setTodos]);
+
+  const updateTodo = useCallback((id, changes) => {
+    setTodos(prev => prev.map(t => t.id === id ? { ...t, ...changes } : t));
+  }, [setTodos]);
+
+  // Completing a repeating to-do adds its next instance, once; un-completing it later
+  // leaves that instance in place
+  const toggleTodo = useCallback((id) => {
+    const todo = todos.find(t => t.id === id);
+    if (!todo) return;
+    const completedAt = new Date();
+    const next = !todo.completed && todo.recurrence && !todo.nextInstanceId
+      ? createNextTodoInstance(todo, completedAt, createId())
+      : null;
+
+    setTodos(prev => {
+      const current = prev.find(t => t.id === id);
+      const spawn = next && current && !current.nextInstanceId;
+      const updated = prev.map(t => t.id === id
+        ? {
+          ...t,
+          completed: !todo.completed,
+          completedAt: todo.completed ? null : completedAt.toISOString(),
+          ...(spawn && { nextInstanceId: next.id })
+        }
+        : t);
+      return spawn ? [...updated, next] : updated;
+    });
+
+    if (todo.completed) {
+      reversePoints('todo', id);
+    } else {
+      earnPoints(TODO_POINTS, 'todo', id, null, `Completed task: ${todo.task}`);
+    }
+  }, [todos, setTodos, earnPoints, reversePoints]);
+
+  const updateSubtasks = useCallback((todoId, update) => {
+    setTodos(prev => prev.map(t => t.id === todoId ? { ...t, subtasks: update(t.subtasks || []) } : t));
+  }, [setTodos]);
+
+  const addSubtask = useCallback((todoId, title) => {
+    updateSubtasks(todoId, subtasks => [...subtasks, { id: createId(), title, completed: false, completedAt: null }]);
+  }, [updateSubtasks]);
+
+  const toggleSubtask = useCallback((todoId, subtaskId) => {
+    updateSubtasks(todoId, subtasks => subtasks.map(s => s.id === subtaskId
+      ? { ...s, completed: !s.completed, completedAt: s.completed ? null : new Date().toISOString() }
+      : s));
+  }, [updateSubtasks]);
+
+  const deleteSubtask = useCallback((todoId, subtaskId) => {
+    updateSubtasks(todoId, subtasks => subtasks.filter(s => s.id !== subtaskId));
+  }, [updateSubtasks]);
+
+  const photoOptions = useMemo(() => ({
+    maxDimension: settings.photoMaxDimension,
+    quality: settings.photoQuality,
+    keepOriginal: settings.keepOriginalPhotos
+  }), [settings.photoMaxDimension, settings.photoQuality, settings.keepOriginalPhotos]);
+
+  const uploadTodoPhoto = useCallback(async (id, file) => {
+    try {
+      const photoIds = await storePhoto(file, photoOptions);
+      setTodos(prev => prev.map(t => t.id === id ? { ...t, ...EMPTY_PHOTO_IDS, ...photoIds } : t));
+    } catch (error) {
+      console.error('Error saving photo:', error);
+      reportStorageError({ key: 'photos', action: 'write', error });
+    }
+  }, [setTodos, reportStorageError, photoOptions]);
+
+  const addExpense = useCallback((description, amount, category, date = new Date().toISOString(), currency = settings.baseCurrency) => {
     const newExpense = {
-      id: Date.now(),
+      id: createId(),
       description,
       amount: parseFloat(amount),
       category,
-      date: new Date().toISOString()
+      currency,
+      date
+    };
+    setExpenses(prev => [...prev, newExpense]);
+  }, [settings.baseCurrency, setExpenses]);
+
+  const updateExpense = useCallback((id, changes) => {
+    setExpenses(prev => prev.map(e => e.id === id ? { ...e, ...changes } : e));
+  }, [setExpenses]);
+
+  const addExpenseCategory = useCallback((name, monthlyBudget) => {
+    if (hasCategoryNamed(expenseCategories, name)) {
+      alert(`A category named "${name}" already exists.`);
+      return;
+    }
+    const newCategory = {
+      id: createId(),
+      name,
+      monthlyBudget: monthlyBudget ? parseFloat(monthlyBudget) : null
+    };
+    setExpenseCategories(prev => [...prev, newCategory]);
+  }, [expenseCategories, setExpenseCategories]);
+
+  // Renaming a category carries its expenses along, since they reference it by name
+  const updateExpenseCategory = useCallback((id, changes) => {
+    const category = expenseCategories.find(c => c.id === id);
+    if (!category) return;
+    if (changes.name && hasCategoryNamed(expenseCategories, changes.name, id)) {
+      alert(`A category named "${changes.name}" already exists.`);
+      return;
+    }
+    setExpenseCategories(prev => prev.map(c => c.id === id ? { ...c, ...changes } : c));
+    if (changes.name && changes.name !== category.name) {
+      setExpenses(prev => prev.map(e => e.category === category.name ? { ...e, category: changes.name } : e));
+      setRecurringExpenses(prev => prev.map(r => r.category === category.name ? { ...r, category: changes.name } : r));
+      setCategoryRules(prev => prev.map(r => r.category === category.name ? { ...r, category: changes.name } : r));
+    }
+  }, [expenseCategories, setExpenseCategories, setExpenses, setRecurringExpenses, setCategoryRules]);
+
+  const importCsvExpenses = useCallback((rows) => {
+    setExpenses(prev => [...prev, ...rows.map(row => ({ id: createId(), ...row }))]);
+    alert(`Imported ${rows.length} expense${rows.length === 1 ? '' : 's'}.`);
+  }, [setExpenses]);
+
+  const saveCsvImportProfile = useCallback((profile) => {
+    setCsvImportProfiles(prev => [
+      // Saving under an existing name updates that profile
+      ...prev.filter(p => p.name !== profile.name),
+      { id: createId(), ...profile }
+    ]);
+  }, [setCsvImportProfiles]);
+
+  const addCategoryRule = useCallback((pattern, category) => {
+    setCategoryRules(prev => [...prev, { id: createId(), pattern, category }]);
+  }, [setCategoryRules]);
+
+  const addRecurringExpense = useCallback((template) => {
+    const newTemplate = {
+      id: createId(),
+      ...template,
+      nextDueDate: template.startDate,
+      paused: false,
+      createdAt: new Date().toISOString()
+    };
+    setRecurringExpenses(prev => [...prev, newTemplate]);
+  }, [setRecurringExpenses]);
+
+  const updateRecurringExpense = useCallback((id, changes) => {
+    setRecurringExpenses(prev => prev.map(r => r.id === id ? { ...r, ...changes } : r));
+  }, [setRecurringExpenses]);
+
+  const skipRecurringExpense = useCallback((id) => {
+    setRecurringExpenses(prev => prev.map(r =>
+      r.id === id ? { ...r, nextDueDate: nextOccurrence(r, new Date(r.nextDueDate)).toISOString() } : r
+    ));
+  }, [setRecurringExpenses]);
+
+  // Runs that fell due while paused are skipped rather than caught up
+  const resumeRecurringExpense = useCallback((id) => {
+    const today = startOfDay(new Date());
+    setRecurringExpenses(prev => prev.map(r => {
+      if (r.id !== id) return r;
+      let due = new Date(r.nextDueDate);
+      while (due < today) due = nextOccurrence(r, due);
+      return { ...r, paused: false, nextDueDate: due.toISOString() };
+    }));
+  }, [setRecurringExpenses]);
+
+  // Turn due recurring runs into expenses on load, whenever templates change and hourly.
+  // Expenses already created for a run are not added again.
+  useEffect(() => {
+    if (!isLoaded) return undefined;
+    // Generated by the app rather than the user, so not offered for undo
+    const run = () => withoutUndo(() => {
+      const { created, templates } = processRecurringExpenses(recurringExpenses);
+      if (created.length === 0) return;
+      setRecurringExpenses(templates);
+      setExpenses(prev => {
+        const existing = new Set(prev.filter(e => e.recurringId).map(e => `${e.recurringId}|${e.date}`));
+        const fresh = created
+          .filter(e => !existing.has(`${e.recurringId}|${e.date}`))
+          .map(e => ({ id: createId(), ...e }));
+        return fresh.length > 0 ? [...prev, ...fresh] : prev;
+      });
+    });
+    run();
+    const timer = setInterval(run, RECURRING_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isLoaded, recurringExpenses, setRecurringExpenses, setExpenses, withoutUndo]);
+
+  const addNote = useCallback((title, content, tags = []) => {
+    const now = new Date().toISOString();
+    const newNote = {
+      id: createId(),
+      title,
+      content,
+      tags,
+      pinned: false,
+      createdAt: now,
+      updatedAt: now
+    };
+    setNotes(prev => [...prev, newNote]);
+    setNoteRevisions(prev => [...prev, createNoteRevision(newNote, createId(), now)]);
+  }, [setNotes, setNoteRevisions]);
+
+  // Each save that changes the text becomes a revision. Notes written before history
+  // existed get their previous text recorded first so the edit can be undone.
+  const updateNote = useCallback((id, changes) => {
+    const note = notes.find(n => n.id === id);
+    if (!note || !noteRevisionChanged(note, changes)) return;
+
+    const updatedAt = new Date().toISOString();
+    const updated = { ...note, ...changes, updatedAt };
+    setNotes(prev => prev.map(n => n.id === id ? updated : n));
+    setNoteRevisions(prev => {
+      const baseline = prev.some(r => r.noteId === id)
+        ? []
+        : [createNoteRevision(note, createId(), note.updatedAt || note.createdAt)];
+      return pruneNoteRevisions([...prev, ...baseline, createNoteRevision(updated, createId(), updatedAt)]);
+    });
+  }, [notes, setNotes, setNoteRevisions]);
+
+  // Pinning is not an edit, so it leaves updatedAt alone
+  const toggleNotePin = useCallback((id) => {
+    setNotes(prev => prev.map(n => n.id === id ? { ...n, pinned: !n.pinned } : n));
+  }, [setNotes]);
+
+  const addMemory = useCallback(async (title, photos, { album = '', date = null, keepOriginal = photoOptions.keepOriginal } = {}) => {
+    const storedIds = [];
+    try {
+      for (const { file } of photos) {
+        storedIds.push(await storePhoto(file, { ...photoOptions, keepOriginal }));
+      }
+      const createdAt = new Date().toISOString();
+      const newMemory = {
+        id: createId(),
+        title,
+        album,
+        photos: photos.map(({ caption, takenAt }, index) => ({ ...storedIds[index], caption: caption.trim(), takenAt })),
+        date: date || createdAt,
+        createdAt
+      };
+      setMemories(prev => [...prev, newMemory]);
+    } catch (error) {
+      console.error('Error saving photo:', error);
+      reportStorageError({ key: 'photos', action: 'write', error });
+      // Don't leave the photos of a half-saved memory behind
+      storedIds.flatMap(getPhotoIds).forEach(photoId => storage.deletePhoto(photoId).catch(() => {}));
+    }
+  }, [setMemories, reportStorageError, photoOptions]);
+
+  const updateMemory = useCallback((id, changes) => {
+    setMemories(prev => prev.map(m => m.id === id ? { ...m, ...changes } : m));
+  }, [setMemories]);
+
+  const addLoan = useCallback((personName, amount, note, direction = 'lent', dueDate = null, currency = settings.baseCurrency) => {
+    const newLoan = {
+      id: createId(),
+      personName,
+      amount: parseFloat(amount),
+      currency,
+      note,
+      direction,
+      dueDate,
+      repayments: [],
+      returned: false,
+      dateGiven: new Date().toISOString()
+    };
+    setLoans(prev => [...prev, newLoan]);
+  }, [settings.baseCurrency, setLoans]);
+
+  const addLoanRepayment = useCallback((id, amount, date = new Date().toISOString()) => {
+    setLoans(prev => prev.map(l =>
+      l.id === id
+        ? withRepayments(l, [...getLoanRepayments(l), { id: createId(), amount: parseFloat(amount), date }])
+        : l
+    ));
+  }, [setLoans]);
+
+  const deleteLoanRepayment = useCallback((id, repaymentId) => {
+    setLoans(prev => prev.map(l =>
+      l.id === id ? withRepayments(l, getLoanRepayments(l).filter(r => r.id !== repaymentId)) : l
+    ));
+  }, [setLoans]);
+
+  // Records whatever is still outstanding as a final repayment
+  const settleLoan = useCallback((id) => {
+    const loan = loans.find(l => l.id === id);
+    if (!loan) return;
+    const { remaining } = getLoanSummary(loan);
+    if (remaining > 0) addLoanRepayment(id, remaining);
+  }, [loans, addLoanRepayment]);
+  
+  // `fields` holds `start`, `end`, `isAfternoon` (a nap) and an optional 1-5 `quality`
+  const addSleepSession = useCallback((fields) => {
+    const newSession = {
+      id: createId(),
+      ...createSleepSession(fields)
+    };
+    setSleepSessions(prev => [...prev, newSession]);
+  }, [setSleepSessions]);
+  
+  const itemSetters = useMemo(() => ({
+    habit: setHabits,
+    todo: setTodos,
+    expense: setExpenses,
+    note: setNotes,
+    memory: setMemories,
+    loan: setLoans,
+    sleep: setSleepSessions,
+    rewardItem: setRewardItems,
+    expenseCategory: setExpenseCategories,
+    recurringExpense: setRecurringExpenses,
+    csvImportProfile: setCsvImportProfiles,
+    categoryRule: setCategoryRules,
+    exchangeRate: setExchangeRates
+  }), [setHabits, setTodos, setExpenses, setNotes, setMemories, setLoans, setSleepSessions, setRewardItems, setExpenseCategories, setRecurringExpenses, setCsvImportProfiles, setCategoryRules, setExchangeRates]);
+
+  // Deleted items move to the Trash, where they can be restored until they expire
+  const deleteItem = useCallback((type, id) => {
+    const setter = itemSetters[type];
+    if (!setter) return;
+    let removed = null;
+    labelUndoStep(`Deleted ${TRASH_TYPES[type].label}`);
+    setter(prev => {
+      removed = prev.find(item => item.id === id) || null;
+      return removed ? prev.filter(item => item.id !== id) : prev;
+    });
+    if (removed) {
+      setTrash(prev => [...prev, { id: createId(), type, item: removed, deletedAt: new Date().toISOString() }]);
+    }
+  }, [itemSetters, labelUndoStep, setTrash]);
+
+  const restoreFromTrash = useCallback((entryId) => {
+    const entry = trash.find(e => e.id === entryId);
+    if (!entry) return;
+    labelUndoStep(`Restored ${TRASH_TYPES[entry.type].label}`);
+    itemSetters[entry.type](prev => (prev.some(item => item.id === entry.item.id) ? prev : [...prev, entry.item]));
+    setTrash(prev => prev.filter(e => e.id !== entryId));
+  }, [trash, itemSetters, labelUndoStep, setTrash]);
+
+  // A purged note takes its revision history with it
+  const purgeFromTrash = useCallback((entryIds) => {
+    const purged = trash.filter(e => entryIds.includes(e.id));
+    if (purged.length === 0) return;
+    labelUndoStep(purged.length === 1 ? `Permanently deleted ${TRASH_TYPES[purged[0].type].label}` : 'Emptied Trash');
+    setTrash(prev => prev.filter(e => !entryIds.includes(e.id)));
+    const noteIds = new Set(purged.filter(e => e.type === 'note').map(e => e.item.id));
+    if (noteIds.size > 0) setNoteRevisions(prev => prev.filter(r => !noteIds.has(r.noteId)));
+  }, [trash, labelUndoStep, setTrash, setNoteRevisions]);
+
+  // Ctrl+K / Cmd+K toggles the command palette from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowPalette(open => !open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside text fields, which keep their own undo
+  const { undo, redo } = undoHistory;
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Only indexed while the palette is open
+  const searchItems = useMemo(() =>
+    showPalette ? buildSearchItems({ habits, todos, expenses, notes, memories, loans }, money.format) : [],
+    [showPalette, habits, todos, expenses, notes, memories, loans, money.format]
+  );
+
+  const quickActionContext = useMemo(() => ({
+    categories: expenseCategories,
+    currencies: money.currencies
+  }), [expenseCategories, money.currencies]);
+
+  const jumpToItem = useCallback(({ type, id, tab }) => {
+    setActiveTab(tab);
+    setFocusedItem({ type, id });
+    setShowPalette(false);
+  }, []);
+
+  // Scroll to and briefly highlight the item once its tab has rendered it
+  useEffect(() => {
+    if (!focusedItem) return undefined;
+    let frame;
+    let attempts = 0;
+    let timer;
+    const find = () => {
+      const element = document.getElementById(getItemElementId(focusedItem.type, focusedItem.id));
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('ring-4', 'ring-purple-400');
+        timer = setTimeout(() => {
+          element.classList.remove('ring-4', 'ring-purple-400');
+          setFocusedItem(null);
+        }, 2000);
+      } else if (++attempts < 30) {
+        frame = requestAnimationFrame(find);
+      }
+    };
+    frame = requestAnimationFrame(find);
+    return () => {
+      cancelAnimationFrame(frame);
+      clearTimeout(timer);
+    };
+  }, [focusedItem, activeTab]);
+
+  const runQuickAction = useCallback((actionId, args) => {
+    switch (actionId) {
+      case 'addExpense':
+        addExpense(args.description, args.amount, args.category, new Date().toISOString(), args.currency || settings.baseCurrency);
+        setActiveTab('expenses');
+        break;
+      case 'logSleep': {
+        const end = new Date();
+        const session = { start: new Date(end.getTime() - args.hours * HOUR_MS), end };
+        const error = validateSleepSession(session, sleepSessions);
+        if (error) {
+          alert(error);
+          return;
+        }
+        addSleepSession({ ...session, isAfternoon: args.isAfternoon, quality: null });
+        setActiveTab('sleep');
+        break;
+      }
+      case 'addTodo':
+        addTodo(args.task);
+        setActiveTab('todos');
+        break;
+      case 'addNote':
+        setNoteDraft({ title: args.title });
+        setActiveTab('notes');
+        break;
+      default:
+        return;
+    }
+    setShowPalette(false);
+  }, [addExpense, addSleepSession, addTodo, sleepSessions, settings.baseCurrency]);
+
+  if (!isLoaded) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center">
+        <p className="text-gray-600">Loading your data...</p>
+      </div>
+    );
+  }
+
+  const page = (
+    <ErrorBoundary>
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50">
+        <div className="max-w-7xl mx-auto p-4">
+          <StorageErrorBanner
+            errors={storageErrors}
+            onDismiss={(key) => setStorageErrors(prev => prev.filter(e => e.key !== key))}
+          />
+          <DataRepairNotice repairs={dataRepairs} onDismiss={() => setDataRepairs({})} />
+
+          <header className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+              <div>
+                <h1 className="text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-600 to-blue-600">
+                  Soumik's Lifestyle
+                </h1>
+                <p className="text-gray-600 mt-2">Track your life, one day at a time</p>
+              </div>
+              <div className="mt-4 sm:mt-0 flex items-center gap-4">
+                <button
+                  onClick={() => setShowRewardsModal(true)}
+                  className="bg-yellow-50 px-4 py-2 rounded-lg flex items-center gap-2 hover:bg-yellow-100 transition"
+                  title="Rewards shop and points history"
+                >
+                  <Award className="text-yellow-500" size={24} />
+                  <span className="text-xl font-bold text-yellow-700">{pointBalance} Points</span>
+                </button>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setShowPalette(true)}
+                    className="bg-gray-100 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-200 flex items-center gap-2 transition"
+                    title="Search and commands (Ctrl+K)"
+                  >
+                    <Search size={18} />
+                    <kbd className="text-xs text-gray-500">Ctrl K</kbd>
+                  </button>
+                  <button
+                    onClick={() => setShowReview(true)}
+                    className="bg-gray-100 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-200 transition"
+                    title="Weekly and monthly review"
+                  >
+                    <ClipboardList size={18} />
+                  </button>
+                  <button
+                    onClick={() => exportData(allData)}
+                    className="bg-green-500 text-white px-4 py-2 rounded-lg hover:bg-green-600 flex items-center gap-2 transition"
+                    title="Export all data"
+                  >
+                    <Download size={18} />
+                    Export
+                  </button>
+                  <button
+                    onClick={() => setShowImportModal(true)}
+                    className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 flex items-center gap-2 transition"
+                    title="Import data"
+                  >
+                    <Upload size={18} />
+                    Import
+                  </button>
+                  <button
+                    onClick={() => setShowTrash(true)}
+                    className="relative bg-gray-100 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-200 transition"
+                    title="Trash"
+                  >
+                    <Trash2 size={18} />
+                    {trash.length > 0 && (
+                      <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full px-1.5">{trash.length}</span>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => setShowSettings(true)}
+                    className="bg-gray-100 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-200 transition"
+                    title="Settings"
+                  >
+                    <Settings size={18} />
+                  </button>
+                </div>
+              </div>
+            </div>
+          </header>
+
+          {showRewardsModal && (
+            <RewardsModal
+              balance={pointBalance}
+              ledger={pointLedger}
+              rewardItems={rewardItems}
+              onAddReward={addRewardItem}
+              onRedeem={redeemReward}
+              onDeleteReward={(id) => deleteItem('rewardItem', id)}
+              onClose={() => setShowRewardsModal(false)}
+            />
+          )}
+
+          {showSettings && (
+            <SettingsModal
+              settings={settings}
+              exchangeRates={exchangeRates}
+              missingCurrencies={unconvertibleCurrencies}
+              onUpdate={updateSettings}
+              onAddRate={addExchangeRate}
+              onDeleteRate={(id) => deleteItem('exchangeRate', id)}
+              onClose={() => setShowSettings(false)}
+            />
+          )}
+
+          {showReview && (
+            <ReviewModal
+              data={reviewData}
+              sleepTargetHours={settings.sleepTargetHours}
+              onClose={() => setShowReview(false)}
+            />
+          )}
+
+          {showTrash && (
+            <TrashModal
+              entries={trash}
+              retentionDays={settings.trashRetentionDays}
+              onRestore={restoreFromTrash}
+              onPurge={purgeFromTrash}
+              onClose={() => setShowTrash(false)}
+            />
+          )}
+
+          <UndoToast
+            event={undoHistory.event}
+            canUndo={undoHistory.canUndo}
+            canRedo={undoHistory.canRedo}
+            onUndo={undoHistory.undo}
+            onRedo={undoHistory.redo}
+          />
+
+          {updateAvailable && <UpdatePrompt onReload={applyUpdate} onDismiss={dismissUpdate} />}
+
+          {showPalette && (
+            <CommandPalette
+              searchItems={searchItems}
+              quickActionContext={quickActionContext}
+              onSelect={jumpToItem}
+              onGoToTab={(tab) => {
+                setActiveTab(tab);
+                setShowPalette(false);
+              }}
+              onRunAction={runQuickAction}
+              onClose={() => setShowPalette(false)}
+            />
+          )}
+
+          {showCsvImport && (
+            <CsvImportModal
+              expenses={expenses}
+              categories={expenseCategories}
+              profiles={csvImportProfiles}
+              rules={categoryRules}
+              onImport={(rows) => {
+                importCsvExpenses(rows);
+                setShowCsvImport(false);
+              }}
+              onSaveProfile={saveCsvImportProfile}
+              onDeleteProfile={(id) => deleteItem('csvImportProfile', id)}
+              onAddRule={addCategoryRule}
+              onDeleteRule={(id) => deleteItem('categoryRule', id)}
+              onClose={() => setShowCsvImport(false)}
+            />
+          )}
+
+          {showImportModal && (
+            <ImportModal
+              currentData={allData}
+              onRead={readBackup}
+              onClose={() => setShowImportModal(false)}
+              onImport={(backup, modes) => {
+                importData(backup, modes, allData, setAllData);
+                setShowImportModal(false);
+              }}
+            />
+          )}
+
+          <nav className="bg-white rounded-lg shadow-md p-2 mb-6 flex flex-wrap gap-2">
+            {TABS.map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition ${
+                  activeTab === tab.id
+                    ? 'bg-purple-600 text-white'
+                    : 'bg-gray-100 hover:bg-gray-200'
+                }`}
+              >
+                <tab.icon size={18} />
+                {tab.label}
+              </button>
+            ))}
+          </nav>
+
+          {['dashboard', 'expenses', 'loans'].includes(activeTab) && (
+            <MissingRatesNotice currencies={unconvertibleCurrencies} onOpenSettings={() => setShowSettings(true)} />
+          )}
+
+          {activeTab === 'dashboard' && (
+            <DashboardView
+              habits={habits}
+              todos={todos}
+              loans={loans}
+              sleepSessions={sleepSessions}
+              expenses={baseExpenses}
+              budgetStatus={budgetStatus}
+              completedTodosCount={completedTodosCount}
+              netLoanPosition={netLoanPosition}
+              remainingBudget={remainingBudget}
+              todaySleep={todaySleep}
+              sleepTargetHours={settings.sleepTargetHours}
+              layout={settings.dashboard}
+              onChangeLayout={(dashboard) => updateSettings({ dashboard })}
+            />
+          )}
+
+          {activeTab === 'insights' && (
+            <InsightsView
+              habits={habits}
+              todos={todos}
+              expenses={baseExpenses}
+              sleepSessions={sleepSessions}
+            />
+          )}
+
+          {activeTab === 'habits' && (
+            <HabitTracker 
+              habits={habits}
+              onAdd={addHabit}
+              onToggle={toggleHabit}
+              onUpdate={updateHabit}
+              onDelete={(id) => deleteItem('habit', id)}
+            />
+          )}
+
+          {activeTab === 'todos' && (
+            <TodoList
+              todos={todos}
+              focusId={focusedItem?.type === 'todo' ? focusedItem.id : null}
+              onAdd={addTodo}
+              onToggle={toggleTodo}
+              onUpdate={updateTodo}
+              onUploadPhoto={uploadTodoPhoto}
+              onDelete={(id) => deleteItem('todo', id)}
+              onAddSubtask={addSubtask}
+              onToggleSubtask={toggleSubtask}
+              onDeleteSubtask={deleteSubtask}
+            />
+          )}
+        
+          {activeTab === 'sleep' && (
+            <SleepTracker
+              sleepSessions={sleepSessions}
+              targetHours={settings.sleepTargetHours}
+              onAdd={addSleepSession}
+              onUpdateTarget={(hours) => updateSettings({ sleepTargetHours: hours })}
+              onDelete={(id) => deleteItem('sleep', id)}
+            />
+          )}
+
+          {activeTab === 'expenses' && (
+            <div className="space-y-6">
+              <ExpenseTracker
+                expenses={expenses}
+                baseExpenses={baseExpenses}
+                totalExpenses={totalExpenses}
+                categories={expenseCategories}
+                budgetStatus={budgetStatus}
+                onAdd={addExpense}
+                onUpdate={updateExpense}
+                onDelete={(id) => deleteItem('expense', id)}
+                onImportCsv={() => setShowCsvImport(true)}
+                onAddCategory={addExpenseCategory}
+                onUpdateCategory={updateExpenseCategory}
+                onDeleteCategory={(id) => deleteItem('expenseCategory', id)}
+              />
+              <RecurringExpenses
+                templates={recurringExpenses}
+                categories={expenseCategories}
+                onAdd={addRecurringExpense}
+                onUpdate={updateRecurringExpense}
+                onSkip={skipRecurringExpense}
+                onResume={resumeRecurringExpense}
+                onDelete={(id) => deleteItem('recurringExpense', id)}
+              />
+            </div>
+          )}
+
+          {activeTab === 'loans' && (
+            <LoanTracker
+              loans={loans}
+              onAdd={addLoan}
+              onAddRepayment={addLoanRepayment}
+              onDeleteRepayment={deleteLoanRepayment}
+              onSettle={settleLoan}
+              onDelete={(id) => deleteItem('loan', id)}
+            />
+          )}
+
+          {activeTab === 'notes' && (
+            <NotesSection
+              notes={notes}
+              revisions={noteRevisions}
+              draft={noteDraft}
+              onDraftOpened={() => setNoteDraft(null)}
+              onAdd={addNote}
+              onUpdate={updateNote}
+              onTogglePin={toggleNotePin}
+              onDelete={(id) => deleteItem('note', id)}
+            />
+          )}
+
+          {activeTab === 'memories' && (
+            <MemoriesSection
+              memories={memories}
+              keepOriginalPhotos={settings.keepOriginalPhotos}
+              onAdd={addMemory}
+              onUpdate={updateMemory}
+              onDelete={(id) => deleteItem('memory', id)}
+            />
+          )}
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+  return <MoneyContext.Provider value={money}>{page}</MoneyContext.Provider>;
+}
+
+// Storage Error Banner Component
+function StorageErrorBanner({ errors, onDismiss }) {
+  if (errors.length === 0) return null;
+
+  return (
+    <div className="space-y-2 mb-6">
+      {errors.map(error => (
+        <div key={error.key} className="flex items-start gap-3 p-4 bg-red-50 border-l-4 border-red-500 rounded-lg">
+          <AlertCircle className="text-red-500 flex-shrink-0" size={20} />
+          <div className="flex-1">
+            <p className="font-bold text-red-700">
+              {error.action === 'read'
+                ? `Couldn't load ${error.key}. Changes to it won't be saved.`
+                : `Couldn't save ${error.key}. Your latest changes will be lost on reload.`}
+            </p>
+            <p className="text-sm text-red-600">{error.message}</p>
+          </div>
+          <button onClick={() => onDismiss(error.key)} className="text-red-500 hover:text-red-700 transition">
+            <X size={18} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RepairList({ repairs }) {
+  return Object.entries(repairs).map(([key, messages]) => (
+    <div key={key} className="mb-2">
+      <p className="font-medium">{COLLECTION_LABELS[key]}</p>
+      <ul className="list-disc list-inside text-sm">
+        {messages.map((message, index) => <li key={index}>{message}</li>)}
+      </ul>
+    </div>
+  ));
+}
+
+function DataRepairNotice({ repairs, onDismiss }) {
+  const count = Object.values(repairs).reduce((sum, messages) => sum + messages.length, 0);
+  if (count === 0) return null;
+
+  return (
+    <div className="flex items-start gap-3 p-4 mb-6 bg-yellow-50 border-l-4 border-yellow-500 rounded-lg text-yellow-800">
+      <AlertCircle className="text-yellow-600 flex-shrink-0" size={20} />
+      <details className="flex-1">
+        <summary className="font-bold cursor-pointer">
+          Some saved records were damaged and have been repaired. Check them before relying on them.
+        </summary>
+        <div className="mt-2">
+          <RepairList repairs={repairs} />
+        </div>
+      </details>
+      <button onClick={onDismiss} className="text-yellow-600 hover:text-yellow-800 transition">
+        <X size={18} />
+      </button>
+    </div>
+  );
+}
+
+// Displays a photo stored as a Blob, falling back to a legacy inline data URL
+function StoredPhoto({ photoId, src, alt, className }) {
+  const url = usePhotoUrl(photoId);
+  const resolved = url || src;
+  if (!resolved) return null;
+  return <img src={resolved} alt={alt} className={className} />;
+}
+
+// Only the start of a file is read; JPEG EXIF data lives in the first APP1 segment
+const EXIF_SCAN_BYTES = 128 * 1024;
+const EXIF_TAGS = { orientation: 0x0112, dateTime: 0x0132, exifIfd: 0x8769, dateTimeOriginal: 0x9003 };
+const EXIF_TYPE_ASCII = 2;
+const EXIF_TYPE_SHORT = 3;
+const EXIF_TYPE_LONG = 4;
+
+// Reads the tags of IFD0 and the EXIF sub-IFD starting at the TIFF header at `tiff`
+function readTiffTags(view, tiff) {
+  const little = view.getUint16(tiff) === 0x4949;
+  const tags = {};
+  const readIfd = (ifdOffset) => {
+    const start = tiff + ifdOffset;
+    const count = view.getUint16(start, little);
+    for (let i = 0; i < count; i++) {
+      const entry = start + 2 + i * 12;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const length = view.getUint32(entry + 4, little);
+      if (type === EXIF_TYPE_ASCII) {
+        const valueStart = length > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+        let text = '';
+        for (let k = 0; k < length && view.getUint8(valueStart + k) !== 0; k++) {
+          text += String.fromCharCode(view.getUint8(valueStart + k));
+        }
+        tags[tag] = text;
+      } else if (type === EXIF_TYPE_SHORT) {
+        tags[tag] = view.getUint16(entry + 8, little);
+      } else if (type === EXIF_TYPE_LONG) {
+        tags[tag] = view.getUint32(entry + 8, little);
+      }
+    }
+  };
+
+  readIfd(view.getUint32(tiff + 4, little));
+  if (tags[EXIF_TAGS.exifIfd]) readIfd(tags[EXIF_TAGS.exifIfd]);
+  return tags;
+}
+
+// EXIF tags of a JPEG, or {} for other formats and damaged files
+function readExifTags(view) {
+  try {
+    if (view.getUint16(0) !== 0xFFD8) return {};
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      // Start of scan: the image data follows and there are no more metadata segments
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return {};
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+        return readTiffTags(view, offset + 10);
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch (error) {
+    // A truncated segment runs past the end of the scanned bytes
+    if (!(error instanceof RangeError)) throw error;
+  }
+  return {};
+}
+
+// EXIF dates are local "YYYY:MM:DD HH:MM:SS" strings
+function parseExifDate(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match || match[1] === '0000') return null;
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Capture date and EXIF orientation (1-8, 1 meaning upright) of an uploaded photo
+async function readPhotoMetadata(file) {
+  try {
+    const view = new DataView(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+    const tags = readExifTags(view);
+    const orientation = tags[EXIF_TAGS.orientation];
+    return {
+      takenAt: parseExifDate(tags[EXIF_TAGS.dateTimeOriginal] || tags[EXIF_TAGS.dateTime]),
+      orientation: orientation >= 1 && orientation <= 8 ? orientation : 1
+    };
+  } catch (error) {
+    console.error(`Error reading EXIF data of "${file.name}":`, error);
+    return { takenAt: null, orientation: 1 };
+  }
+}
+
+// Uploads are re-encoded as JPEG no larger than `photoMaxDimension` for display, plus a
+// small thumbnail for lists. The camera original is only stored when asked for.
+const THUMBNAIL_DIMENSION = 480;
+const THUMBNAIL_QUALITY = 0.7;
+const PHOTO_MAX_DIMENSIONS = [1280, 2048, 3072, 4096];
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be encoded'))), type, quality);
+});
+
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The image could not be decoded'));
+    };
+    image.src = url;
+  });
+}
+
+// Current browsers rotate JPEGs by their EXIF orientation while decoding; older ones
+// don't. Find out once by decoding a 2×1 JPEG tagged "rotate 90°" and checking its size.
+let exifOrientationCheck = null;
+function browserAppliesExifOrientation() {
+  if (!exifOrientationCheck) {
+    exifOrientationCheck = (async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 2;
+      canvas.height = 1;
+      const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 1)).arrayBuffer());
+      // Big-endian TIFF header with a single IFD0 entry: Orientation (SHORT) = 6
+      const tiff = [0x4D, 0x4D, 0, 0x2A, 0, 0, 0, 8, 0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 6, 0, 0, 0, 0, 0, 0];
+      const app1 = [0xFF, 0xE1, 0, 8 + tiff.length, 0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+      const tagged = new Blob([jpeg.slice(0, 2), new Uint8Array(app1), jpeg.slice(2)], { type: 'image/jpeg' });
+      const image = await loadImage(tagged);
+      return image.naturalWidth === 1;
+    })().catch(() => true);
+  }
+  return exifOrientationCheck;
+}
+
+// Draws `image` scaled to fit `maxDimension`, turning it upright for `orientation`
+// unless the browser already did while decoding
+function renderPhoto(image, { maxDimension, orientation }) {
+  const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.round(image.naturalWidth * scale);
+  const height = Math.round(image.naturalHeight * scale);
+  const sideways = orientation >= 5;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = sideways ? height : width;
+  canvas.height = sideways ? width : height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; keep transparent PNG areas white rather than black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  switch (orientation) {
+    case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: context.transform(-1, 0, 0, -1, width, height); break;
+    case 4: context.transform(1, 0, 0, -1, 0, height); break;
+    case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: context.transform(0, 1, -1, 0, height, 0); break;
+    case 7: context.transform(0, -1, -1, 0, height, width); break;
+    case 8: context.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+  context.drawImage(image, 0, 0, width, height);
+  return { canvas, scaled: scale < 1 };
+}
+
+// Returns the Blobs to store for an upload: `display`, `thumbnail` and, when
+// `keepOriginal` is set, the untouched `original`
+async function processPhoto(file, { maxDimension, quality, keepOriginal }) {
+  let image;
+  try {
+    image = await loadImage(file);
+  } catch (error) {
+    // Formats the browser can't decode (e.g. HEIC in most browsers) are kept as they are
+    console.error(`Error decoding "${file.name}", storing it unchanged:`, error);
+    return { display: file, thumbnail: null, original: null };
+  }
+
+  const { orientation: exifOrientation } = await readPhotoMetadata(file);
+  const orientation = (await browserAppliesExifOrientation()) ? 1 : exifOrientation;
+
+  const display = renderPhoto(image, { maxDimension, orientation });
+  const encoded = await canvasToBlob(display.canvas, 'image/jpeg', quality);
+  const thumbnail = await canvasToBlob(
+    renderPhoto(image, { maxDimension: THUMBNAIL_DIMENSION, orientation }).canvas,
+    'image/jpeg',
+    THUMBNAIL_QUALITY
+  );
+  // A small, upright photo can come out larger after re-encoding; keep the upload then
+  const keepUpload = !display.scaled && orientation === 1 && encoded.size >= file.size;
+
+  return {
+    display: keepUpload ? file : encoded,
+    thumbnail,
+    original: keepOriginal && !keepUpload ? file : null
+  };
+}
+
+// Processes and stores an upload, returning the photo id fields for the item
+async function storePhoto(file, options) {
+  const { display, thumbnail, original } = await processPhoto(file, options);
+  const ids = {};
+  try {
+    ids.photoId = await storage.putPhoto(display);
+    if (thumbnail) ids.thumbnailId = await storage.putPhoto(thumbnail);
+    if (original) ids.originalId = await storage.putPhoto(original);
+  } catch (error) {
+    Object.values(ids).forEach(photoId => storage.deletePhoto(photoId).catch(() => {}));
+    throw error;
+  }
+  return ids;
+}
+
+// Import Modal Component
+function ImportModal({ currentData, onRead, onClose, onImport }) {
+  const [backup, setBackup] = useState(null);
+  const [readError, setReadError] = useState(null);
+  const [modes, setModes] = useState({});
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setBackup(null);
+    setReadError(null);
+    if (!file) return;
+    try {
+      const result = await onRead(file);
+      setBackup(result);
+      setModes(Object.fromEntries(Object.keys(result.collections).map(key => [key, 'merge'])));
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      setReadError(error.message);
+    }
+  };
+
+  const previews = useMemo(() => {
+    if (!backup) return [];
+    return Object.entries(backup.collections).map(([key, incoming]) => ({
+      key,
+      isScalar: Boolean(BACKUP_SCALARS[key]),
+      incoming,
+      diff: BACKUP_SCALARS[key] ? null : diffCollection(currentData[key], incoming)
+    }));
+  }, [backup, currentData]);
+
+  const handleImport = () => {
+    if (backup && previews.length > 0) {
+      onImport(backup, modes);
+    }
+  };
+
+  const invalidCollections = backup ? Object.entries(backup.errors) : [];
+  const hasRepairs = backup ? Object.keys(backup.repairs).length > 0 : false;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-2xl w-full max-h-full overflow-y-auto">
+        <h3 className="text-xl font-bold mb-4">Import Data</h3>
+        <p className="text-gray-600 mb-4">
+          Select a JSON backup to preview what will change. Choose for each collection whether to
+          replace your current data or merge the backup into it by id.
+        </p>
+        <input
+          type="file"
+          accept=".json"
+          onChange={handleFileChange}
+          className="w-full px-3 py-2 border rounded-lg mb-4"
+        />
+
+        {readError && (
+          <div className="flex items-start gap-2 p-3 mb-4 bg-red-50 border-l-4 border-red-500 rounded-lg text-red-700">
+            <AlertCircle size={18} className="flex-shrink-0 mt-0.5" />
+            <span>{readError}</span>
+          </div>
+        )}
+
+        {backup && (
+          <p className="text-sm text-gray-500 mb-4">
+            Backup version {backup.version}
+            {backup.exportDate && ` · exported ${new Date(backup.exportDate).toLocaleString()}`}
+          </p>
+        )}
+
+        {invalidCollections.length > 0 && (
+          <div className="p-3 mb-4 bg-red-50 border-l-4 border-red-500 rounded-lg">
+            <p className="font-bold text-red-700 mb-2">These collections have errors and will not be imported:</p>
+            {invalidCollections.map(([key, errors]) => (
+              <div key={key} className="mb-2">
+                <p className="font-medium text-red-700">{COLLECTION_LABELS[key]}</p>
+                <ul className="list-disc list-inside text-sm text-red-600">
+                  {errors.map((error, index) => <li key={index}>{error}</li>)}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {hasRepairs && (
+          <div className="p-3 mb-4 bg-yellow-50 border-l-4 border-yellow-500 rounded-lg text-yellow-800">
+            <p className="font-bold mb-2">These records were repaired and will be imported as shown:</p>
+            <RepairList repairs={backup.repairs} />
+          </div>
+        )}
+
+        {previews.length > 0 && (
+          <div className="overflow-x-auto mb-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-2">Collection</th>
+                  <th className="py-2 pr-2">New</th>
+                  <th className="py-2 pr-2">Changed</th>
+                  <th className="py-2 pr-2">Same</th>
+                  <th className="py-2 pr-2">Removed on replace</th>
+                  <th className="py-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previews.map(({ key, isScalar, incoming, diff }) => (
+                  <tr key={key} className="border-b">
+                    <td className="py-2 pr-2 font-medium">{COLLECTION_LABELS[key]}</td>
+                    {isScalar ? (
+                      <td colSpan={4} className="py-2 pr-2 text-gray-600">
+                        {describeScalar(currentData[key])} → {describeScalar(incoming)}
+                      </td>
+                    ) : (
+                      <>
+                        <td className="py-2 pr-2 text-green-600">{diff.added}</td>
+                        <td className="py-2 pr-2 text-blue-600">{diff.updated}</td>
+                        <td className="py-2 pr-2 text-gray-500">{diff.unchanged}</td>
+                        <td className={`py-2 pr-2 ${diff.removed > 0 && modes[key] === 'replace' ? 'text-red-600 font-bold' : 'text-gray-500'}`}>
+                          {diff.removed}
+                        </td>
+                      </>
+                    )}
+                    <td className="py-2">
+                      <select
+                        value={modes[key]}
+                        onChange={(e) => setModes(prev => ({ ...prev, [key]: e.target.value }))}
+                        className="px-2 py-1 border rounded-lg"
+                      >
+                        <option value="merge">{isScalar ? 'Keep current' : 'Merge by id'}</option>
+                        <option value="replace">Replace</option>
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {backup && previews.length === 0 && invalidCollections.length === 0 && (
+          <p className="text-gray-500 mb-4">This backup contains no data to import.</p>
+        )}
+
+        <div className="flex gap-2 justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={previews.length === 0}
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Rewards Modal Component: spend points in the shop and review the ledger
+function RewardsModal({ balance, ledger, rewardItems, onAddReward, onRedeem, onDeleteReward, onClose }) {
+  const [name, setName] = useState('');
+  const [cost, setCost] = useState('');
+
+  const handleAdd = () => {
+    if (name.trim() && parseInt(cost, 10) > 0) {
+      onAddReward(name, cost);
+      setName('');
+      setCost('');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Rewards</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 transition">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="mb-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200 flex items-center gap-2">
+          <Award className="text-yellow-500" size={24} />
+          <span className="text-2xl font-bold text-yellow-700">{balance} Points available</span>
+        </div>
+
+        <h4 className="font-bold mb-2">Shop</h4>
+        <div className="flex gap-2 mb-3">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Reward (e.g. Movie night)..."
+            className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-600"
+          />
+          <input
+            type="number"
+            min="1"
+            value={cost}
+            onChange={(e) => setCost(e.target.value)}
+            placeholder="Cost"
+            className="w-24 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-600"
+          />
+          <button onClick={handleAdd} className="bg-yellow-600 text-white px-4 py-2 rounded-lg hover:bg-yellow-700 flex items-center gap-2 transition">
+            <Plus size={20} /> Add
+          </button>
+        </div>
+        <div className="space-y-2 mb-6">
+          {rewardItems.map(reward => (
+            <div key={reward.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+              <span className="flex-1 font-medium">{reward.name}</span>
+              <span className="text-sm text-yellow-700 font-bold">{reward.cost} pts</span>
+              <button
+                onClick={() => onRedeem(reward.id)}
+                disabled={reward.cost > balance}
+                className="bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition"
+              >
+                Redeem
+              </button>
+              <button onClick={() => onDeleteReward(reward.id)} className="text-red-500 hover:text-red-700 transition">
+                <Trash2 size={18} />
+              </button>
+            </div>
+          ))}
+          {rewardItems.length === 0 && (
+            <p className="text-gray-500 text-center py-4">No rewards yet. Add something worth working for!</p>
+          )}
+        </div>
+
+        <h4 className="font-bold mb-2">History</h4>
+        <div className="space-y-1">
+          {ledger.slice().reverse().map(entry => (
+            <div key={entry.id} className="flex items-center justify-between p-2 border-b text-sm">
+              <div>
+                <p>{entry.description}</p>
+                <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</p>
+              </div>
+              <span className={`font-bold ${entry.points >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {entry.points >= 0 ? '+' : ''}{entry.points}
+              </span>
+            </div>
+          ))}
+          {ledger.length === 0 && (
+            <p className="text-gray-500 text-center py-4">No points earned yet</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const TABS = [
+  { id: 'dashboard', label: 'Dashboard', icon: TrendingUp },
+  { id: 'insights', label: 'Insights', icon: Lightbulb },
+  { id: 'habits', label: 'Habits', icon: Target },
+  { id: 'todos', label: 'To-Do', icon: Check },
+  { id: 'sleep', label: 'Sleep', icon: Bed },
+  { id: 'expenses', label: 'Expenses', icon: DollarSign },
+  { id: 'loans', label: 'Loans', icon: Users },
+  { id: 'notes', label: 'Notes', icon: FileText },
+  { id: 'memories', label: 'Memories', icon: Camera }
+];
+
+// Command palette. Every searchable item becomes `{ key, type, id, tab, title, detail, text, date }`;
+// `text` is the lower-cased haystack and `type` matches the element id used to scroll to it.
+const PALETTE_RESULT_LIMIT = 30;
+const SEARCH_STOP_WORDS = new Set(['a', 'about', 'an', 'did', 'for', 'from', 'i', 'is', 'my', 'of', 'that', 'the', 'to', 'what', 'with']);
+
+const PALETTE_TYPE_LABELS = {
+  habit: 'Habit',
+  todo: 'To-Do',
+  expense: 'Expense',
+  note: 'Note',
+  memory: 'Memory',
+  loan: 'Loan'
+};
+
+// DOM id of a list item, so a palette result can scroll to it
+const getItemElementId = (type, id) => `item-${type}-${id}`;
+
+function buildSearchItems({ habits, todos, expenses, notes, memories, loans }, format) {
+  const item = (type, tab, id, title, detail, extra, date) => ({
+    key: `${type}-${id}`,
+    type,
+    id,
+    tab,
+    title,
+    detail,
+    text: `${PALETTE_TYPE_LABELS[type]} ${title} ${detail} ${extra}`.toLowerCase(),
+    date
+  });
+
+  return [
+    ...habits.map(h => item('habit', 'habits', h.id, h.name, '', '', h.createdAt)),
+    ...todos.map(t => item('todo', 'todos', t.id, t.task,
+      t.completed ? 'Done' : (t.dueDate ? `Due ${new Date(t.dueDate).toLocaleDateString()}` : 'Open'),
+      `task ${(t.tags || []).join(' ')} ${(t.subtasks || []).map(s => s.title).join(' ')}`, t.createdAt)),
+    ...expenses.map(e => item('expense', 'expenses', e.id, e.description,
+      `${format(e.amount, e.currency)} · ${e.category} · ${new Date(e.date).toLocaleDateString()}`, 'spent', e.date)),
+    ...notes.map(n => item('note', 'notes', n.id, n.title, (n.tags || []).map(tag => `#${tag}`).join(' '), n.content, n.updatedAt || n.createdAt)),
+    ...memories.map(m => item('memory', 'memories', m.id, m.title,
+      `${new Date(m.date).toLocaleDateString()}${m.album ? ` · ${m.album}` : ''}`,
+      `photo ${m.photos.map(p => p.caption).join(' ')}`, m.date)),
+    ...loans.map(l => item('loan', 'loans', l.id, l.personName,
+      `${l.direction === 'borrowed' ? 'Borrowed' : 'Lent'} ${format(l.amount, l.currency)}${l.returned ? ' · settled' : ''}`,
+      `${l.direction === 'borrowed' ? 'borrow owe' : 'lend owed'} ${l.note || ''}`, l.dateGiven))
+  ];
+}
+
+const getPaletteTerms = (query) =>
+  getSearchTerms(query).filter(term => !SEARCH_STOP_WORDS.has(term));
+
+// Ranks items by how many terms they contain, weighting title matches (word starts
+// most), then by recency. Items that match no term are left out.
+function rankSearchItems(items, terms) {
+  if (terms.length === 0) return [];
+  return items
+    .map(entry => {
+      const title = entry.title.toLowerCase();
+      let matched = 0;
+      let score = 0;
+      terms.forEach(term => {
+        if (!entry.text.includes(term)) return;
+        matched++;
+        if (title.startsWith(term) || title.includes(` ${term}`)) score += 3;
+        else if (title.includes(term)) score += 2;
+        else score += 1;
+      });
+      return { entry, matched, score };
+    })
+    .filter(({ matched }) => matched > 0)
+    .sort((a, b) => b.matched - a.matched || b.score - a.score || new Date(b.entry.date) - new Date(a.entry.date))
+    .slice(0, PALETTE_RESULT_LIMIT)
+    .map(({ entry }) => entry);
+}
+
+// Quick actions typed into the palette. `parse` returns the arguments for `run` or null;
+// `describe` previews what will happen.
+const QUICK_ACTIONS = [
+  {
+    id: 'addExpense',
+    example: 'add expense 12.50 Food lunch',
+    parse: (query, { categories, currencies }) => {
+      const match = query.match(/^add expense\s+(\d+(?:[.,]\d+)?)(?:\s+(.*))?$/i);
+      if (!match) return null;
+      const amount = parseFloat(match[1].replace(',', '.'));
+      if (!(amount > 0)) return null;
+      const words = (match[2] || '').split(/\s+/).filter(Boolean);
+      const currency = words[0] && currencies.includes(words[0].toUpperCase()) ? words.shift().toUpperCase() : null;
+      const category = categories.find(c => c.name.toLowerCase() === (words[0] || '').toLowerCase());
+      if (category) words.shift();
+      const categoryName = category?.name || 'Other';
+      return { amount, currency, category: categoryName, description: words.join(' ') || categoryName };
+    },
+    describe: ({ amount, currency, category, description }, format) =>
+      `Add expense ${format(amount, currency || undefined)} · ${category} · ${description}`
+  },
+  {
+    id: 'logSleep',
+    example: 'log sleep 7.5',
+    parse: (query) => {
+      const match = query.match(/^log (sleep|nap)\s+(\d+(?:[.,]\d+)?)\s*h?$/i);
+      if (!match) return null;
+      const hours = parseFloat(match[2].replace(',', '.'));
+      return hours > 0 && hours <= 24 ? { hours, isAfternoon: match[1].toLowerCase() === 'nap' } : null;
+    },
+    describe: ({ hours, isAfternoon }) => `Log ${hours}h ${isAfternoon ? 'nap' : 'sleep'} ending now`
+  },
+  {
+    id: 'addTodo',
+    example: 'add todo call the bank',
+    parse: (query) => {
+      const match = query.match(/^add (?:todo|task)\s+(.+)$/i);
+      return match ? { task: match[1].trim() } : null;
+    },
+    describe: ({ task }) => `Add to-do "${task}"`
+  },
+  {
+    id: 'addNote',
+    example: 'add note Landlord phone number',
+    parse: (query) => {
+      const match = query.match(/^add note\s+(.+)$/i);
+      return match ? { title: match[1].trim() } : null;
+    },
+    describe: ({ title }) => `Start note "${title}" in Notes`
+  }
+];
+
+function CommandPalette({ searchItems, quickActionContext, onSelect, onGoToTab, onRunAction, onClose }) {
+  const { format } = useMoney();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => {
+    const trimmed = query.trim();
+    const actions = QUICK_ACTIONS
+      .map(action => ({ action, args: action.parse(trimmed, quickActionContext) }))
+      .filter(({ args }) => args)
+      .map(({ action, args }) => ({ key: `action-${action.id}`, kind: 'action', label: action.describe(args, format), action, args }));
+    const lower = trimmed.toLowerCase();
+    const tabs = lower
+      ? TABS.filter(tab => tab.label.toLowerCase().includes(lower.replace(/^go to\s*/, '')))
+        .map(tab => ({ key: `tab-${tab.id}`, kind: 'tab', label: `Go to ${tab.label}`, tab }))
+      : [];
+    const items = rankSearchItems(searchItems, getPaletteTerms(trimmed)).map(entry => ({ ...entry, kind: 'item' }));
+    return [...actions, ...tabs, ...items];
+  }, [query, searchItems, quickActionContext, format]);
+
+  useEffect(() => setActiveIndex(0), [query]);
+
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const choose = (result) => {
+    if (!result) return;
+    if (result.kind === 'action') onRunAction(result.action.id, result.args);
+    else if (result.kind === 'tab') onGoToTab(result.tab.id);
+    else onSelect(result);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 p-4 pt-24" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full" onClick={(e) => e.stopPropagation()}>
+        <input
+          type="text"
+          autoFocus
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search everything, or type a command like “add expense 12.50 Food lunch”"
+          className="w-full px-4 py-3 text-lg border-b rounded-t-lg focus:outline-none"
+        />
+        <ul ref={listRef} className="max-h-96 overflow-y-auto py-2">
+          {results.map((result, index) => (
+            <li key={result.key}>
+              <button
+                onClick={() => choose(result)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`w-full text-left px-4 py-2 flex items-center justify-between gap-4 ${index === activeIndex ? 'bg-purple-100' : ''}`}
+              >
+                {result.kind === 'item' ? (
+                  <>
+                    <span className="truncate">
+                      <span className="font-medium">{result.title}</span>
+                      {result.detail && <span className="text-sm text-gray-500"> · {result.detail}</span>}
+                    </span>
+                    <span className="text-xs text-gray-400 flex-shrink-0">{PALETTE_TYPE_LABELS[result.type]}</span>
+                  </>
+                ) : (
+                  <>
+                    <span className="font-medium text-purple-700">{result.label}</span>
+                    <span className="text-xs text-gray-400 flex-shrink-0">{result.kind === 'action' ? 'Action' : 'Tab'}</span>
+                  </>
+                )}
+              </button>
+            </li>
+          ))}
+          {query.trim() && results.length === 0 && (
+            <li className="px-4 py-2 text-gray-500">Nothing found</li>
+          )}
+          {!query.trim() && (
+            <li className="px-4 py-2 text-sm text-gray-500">
+              Try: {QUICK_ACTIONS.map(action => `“${action.example}”`).join(', ')}
+            </li>
+          )}
+        </ul>
+        <p className="px-4 py-2 border-t text-xs text-gray-400">↑↓ to move · Enter to open · Esc to close</p>
+      </div>
+    </div>
+  );
+}
+
+// Which collection each deleteItem type belongs to, what it is called and how its items
+// are titled in the Trash
+const TRASH_TYPES = {
+  habit: { collection: 'habits', label: 'habit', title: (item) => item.name },
+  todo: { collection: 'todos', label: 'to-do', title: (item) => item.task },
+  expense: { collection: 'expenses', label: 'expense', title: (item) => item.description },
+  note: { collection: 'notes', label: 'note', title: (item) => item.title },
+  memory: { collection: 'memories', label: 'memory', title: (item) => item.title },
+  loan: { collection: 'loans', label: 'loan', title: (item) => item.personName },
+  sleep: { collection: 'sleepSessions', label: 'sleep session', title: (item) => new Date(item.start || item.date).toLocaleString() },
+  rewardItem: { collection: 'rewardItems', label: 'reward', title: (item) => item.name },
+  expenseCategory: { collection: 'expenseCategories', label: 'expense category', title: (item) => item.name },
+  recurringExpense: { collection: 'recurringExpenses', label: 'recurring expense', title: (item) => item.description },
+  csvImportProfile: { collection: 'csvImportProfiles', label: 'CSV import profile', title: (item) => item.name },
+  categoryRule: { collection: 'categoryRules', label: 'categorization rule', title: (item) => item.pattern },
+  exchangeRate: { collection: 'exchangeRates', label: 'exchange rate', title: (item) => `${item.currency} ${item.rate}` }
+};
+
+// 0 keeps deleted items until they are removed by hand
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 0];
+
+function TrashModal({ entries, retentionDays, onRestore, onPurge, onClose }) {
+  const sorted = useMemo(() =>
+    entries.slice().sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)),
+    [entries]
+  );
+
+  const daysLeft = (entry) =>
+    Math.max(0, Math.ceil((new Date(entry.deletedAt).getTime() + retentionDays * 24 * HOUR_MS - Date.now()) / (24 * HOUR_MS)));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Trash</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 transition">
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          {retentionDays > 0
+            ? `Deleted items are removed for good after ${retentionDays} days. Change this in Settings.`
+            : 'Deleted items are kept until you remove them. Change this in Settings.'}
+        </p>
+
+        <div className="space-y-2">
+          {sorted.map(entry => (
+            <div key={entry.id} className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+              <div className="min-w-0">
+                <p className="font-medium truncate">{TRASH_TYPES[entry.type]?.title(entry.item) || 'Untitled'}</p>
+                <p className="text-xs text-gray-500">
+                  {TRASH_TYPES[entry.type]?.label} · deleted {new Date(entry.deletedAt).toLocaleString()}
+                  {retentionDays > 0 && ` · ${daysLeft(entry)} day${daysLeft(entry) === 1 ? '' : 's'} left`}
+                </p>
+              </div>
+              <div className="flex gap-3 flex-shrink-0 text-sm">
+                <button onClick={() => onRestore(entry.id)} className="text-blue-600 hover:text-blue-800 font-medium">
+                  Restore
+                </button>
+                <button
+                  onClick={() => confirm('Delete this item permanently?') && onPurge([entry.id])}
+                  className="text-red-500 hover:text-red-700"
+                >
+                  Delete forever
+                </button>
+              </div>
+            </div>
+          ))}
+          {sorted.length === 0 && (
+            <p className="text-gray-500 text-center py-8">The Trash is empty</p>
+          )}
+        </div>
+
+        {sorted.length > 0 && (
+          <button
+            onClick={() => confirm(`Permanently delete all ${sorted.length} items in the Trash?`) && onPurge(sorted.map(e => e.id))}
+            className="mt-4 w-full bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 transition"
+          >
+            Empty Trash
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const UNDO_TOAST_DURATION = 6000;
+
+// "Changed To-Dos" style fallback for steps nobody labelled
+function describeUndoStep(step) {
+  if (step.label) return step.label;
+  const [key, patch] = step.changes.entries().next().value;
+  const label = COLLECTION_LABELS[key] || key;
+  const { added = [], removed = [] } = patch.items || {};
+  if (added.length !== removed.length) {
+    return added.length > removed.length ? `Added to ${label}` : `Removed from ${label}`;
+  }
+  return `Updated ${label}`;
+}
+
+function UndoToast({ event, canUndo, canRedo, onUndo, onRedo }) {
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    if (!event) return undefined;
+    setVisible(true);
+    const timer = setTimeout(() => setVisible(false), UNDO_TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [event]);
+
+  if (!visible || !event) return null;
+  const description = describeUndoStep(event.step);
+  const prefix = { do: '', undo: 'Undone: ', redo: 'Redone: ' }[event.type];
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 bg-gray-900 text-white rounded-lg shadow-xl px-4 py-3 flex items-center gap-4">
+      <span>{prefix}{description}</span>
+      {canUndo && (
+        <button onClick={onUndo} className="font-bold text-yellow-300 hover:text-yellow-200">Undo</button>
+      )}
+      {canRedo && (
+        <button onClick={onRedo} className="font-bold text-blue-300 hover:text-blue-200">Redo</button>
+      )}
+      <button onClick={() => setVisible(false)} className="text-gray-400 hover:text-gray-200" aria-label="Dismiss">
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
+
+// Shown when a new version has been downloaded. Saved data stays in IndexedDB, so
+// reloading into the new version keeps it.
+function UpdatePrompt({ onReload, onDismiss }) {
+  return (
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 bg-white rounded-lg shadow-xl border-l-4 border-purple-600 px-4 py-3 flex items-center gap-4">
+      <span>A new version of the app is available.</span>
+      <button onClick={onReload} className="bg-purple-600 text-white px-3 py-1 rounded-lg hover:bg-purple-700 transition">
+        Reload
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-gray-600" aria-label="Later">
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
+
+// Settings Modal Component
+function SettingsModal({ settings, exchangeRates, missingCurrencies, onUpdate, onAddRate, onDeleteRate, onClose }) {
+  const [baseCurrency, setBaseCurrency] = useState(settings.baseCurrency);
+  const [locale, setLocale] = useState(settings.locale);
+  const [rateCurrency, setRateCurrency] = useState(missingCurrencies[0] || '');
+  const [photoMaxDimension, setPhotoMaxDimension] = useState(settings.photoMaxDimension);
+  const [photoQuality, setPhotoQuality] = useState(settings.photoQuality);
+  const [keepOriginalPhotos, setKeepOriginalPhotos] = useState(settings.keepOriginalPhotos);
+  const [rate, setRate] = useState('');
+  const [rateDate, setRateDate] = useState(toDateInputValue(new Date()));
+
+  const handleSave = () => {
+    const code = baseCurrency.trim().toUpperCase();
+    if (!isCurrencyCode(code)) {
+      alert('Enter a three-letter currency code, e.g. USD or EUR.');
+      return;
+    }
+    if (code !== settings.baseCurrency && !confirm(
+      `Change the base currency to ${code}? Existing amounts keep their currency; totals and category budgets will be converted to ${code} using your exchange rates.`
+    )) return;
+    onUpdate({ baseCurrency: code, locale: locale.trim() || DEFAULT_SETTINGS.locale });
+  };
+
+  const handleAddRate = () => {
+    const code = rateCurrency.trim().toUpperCase();
+    if (!isCurrencyCode(code) || code === settings.baseCurrency || !(parseFloat(rate) > 0) || !rateDate) return;
+    onAddRate(code, rate, toStoredDate(rateDate));
+    setRate('');
+  };
+
+  const sortedRates = useMemo(() =>
+    exchangeRates.slice().sort((a, b) => a.currency.localeCompare(b.currency) || new Date(b.date) - new Date(a.date)),
+    [exchangeRates]
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Settings</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 transition">
+            <X size={20} />
+          </button>
+        </div>
+
+        <h4 className="font-bold mb-2">Currency</h4>
+        <div className="flex flex-wrap gap-2 mb-2">
+          <label className="text-sm text-gray-600 flex flex-col">
+            Base currency
+            <input
+              type="text"
+              list="currency-codes"
+              maxLength={3}
+              value={baseCurrency}
+              onChange={(e) => setBaseCurrency(e.target.value.toUpperCase())}
+              className="w-28 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+            />
+          </label>
+          <label className="text-sm text-gray-600 flex flex-col">
+            Number format
+            <input
+              type="text"
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+              placeholder="e.g. en-US, de-DE, bn-BD"
+              className="w-40 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+            />
+          </label>
+          <button onClick={handleSave} className="self-end bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition">
+            Save
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-6">
+          Preview: {formatMoney(1234.5, baseCurrency.length === 3 ? baseCurrency : settings.baseCurrency, locale.trim() || DEFAULT_SETTINGS.locale)}
+        </p>
+        <datalist id="currency-codes">
+          {COMMON_CURRENCIES.map(code => <option key={code} value={code} />)}
+        </datalist>
+
+        <h4 className="font-bold mb-2">Photos</h4>
+        <div className="flex flex-wrap items-end gap-4 mb-2">
+          <label className="text-sm text-gray-600 flex flex-col">
+            Max size
+            <select
+              value={photoMaxDimension}
+              onChange={(e) => setPhotoMaxDimension(Number(e.target.value))}
+              className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+            >
+              {PHOTO_MAX_DIMENSIONS.map(size => <option key={size} value={size}>{size}px</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-600 flex flex-col">
+            Quality: {Math.round(photoQuality * 100)}%
+            <input
+              type="range"
+              min="0.5"
+              max="0.95"
+              step="0.05"
+              value={photoQuality}
+              onChange={(e) => setPhotoQuality(Number(e.target.value))}
+              className="w-40"
+            />
+          </label>
+          <label className="text-sm text-gray-600 flex items-center gap-2 py-2">
+            <input type="checkbox" checked={keepOriginalPhotos} onChange={(e) => setKeepOriginalPhotos(e.target.checked)} />
+            Keep originals by default
+          </label>
+          <button
+            onClick={() => onUpdate({ photoMaxDimension, photoQuality, keepOriginalPhotos })}
+            className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition"
+          >
+            Save
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-6">Applies to photos added from now on.</p>
+
+        <h4 className="font-bold mb-2">Trash</h4>
+        <label className="text-sm text-gray-600 flex items-center gap-2 mb-6">
+          Keep deleted items for
+          <select
+            value={settings.trashRetentionDays}
+            onChange={(e) => onUpdate({ trashRetentionDays: Number(e.target.value) })}
+            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+          >
+            {TRASH_RETENTION_OPTIONS.map(days => (
+              <option key={days} value={days}>{days > 0 ? `${days} days` : 'Until removed'}</option>
+            ))}
+          </select>
+        </label>
+
+        <h4 className="font-bold mb-2">Exchange Rates</h4>
+        {missingCurrencies.length > 0 && (
+          <p className="text-sm text-yellow-700 mb-2">
+            Needed for: {missingCurrencies.join(', ')}
+          </p>
+        )}
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <span className="text-gray-600">1</span>
+          <input
+            type="text"
+            list="currency-codes"
+            maxLength={3}
+            value={rateCurrency}
+            onChange={(e) => setRateCurrency(e.target.value.toUpperCase())}
+            placeholder="EUR"
+            className="w-20 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+          />
+          <span className="text-gray-600">=</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={rate}
+            onChange={(e) => setRate(e.target.value)}
+            placeholder="Rate"
+            className="w-28 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+          />
+          <span className="text-gray-600">{settings.baseCurrency} on</span>
+          <input
+            type="date"
+            value={rateDate}
+            onChange={(e) => setRateDate(e.target.value)}
+            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+          />
+          <button onClick={handleAddRate} className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 flex items-center gap-2 transition">
+            <Plus size={20} /> Add
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+          Each amount is converted with the latest rate on or before its date.
+        </p>
+        <div className="space-y-1">
+          {sortedRates.map(r => (
+            <div key={r.id} className="flex items-center justify-between p-2 border-b text-sm">
+              <span>
+                1 {r.currency} = {r.rate} {r.base}
+                {r.base !== settings.baseCurrency && r.currency !== settings.baseCurrency && (
+                  <span className="text-gray-400"> (not used with {settings.baseCurrency})</span>
+                )}
+              </span>
+              <span className="flex items-center gap-3">
+                <span className="text-gray-500">{new Date(r.date).toLocaleDateString()}</span>
+                <button onClick={() => onDeleteRate(r.id)} className="text-red-500 hover:text-red-700 transition">
+                  <Trash2 size={16} />
+                </button>
+              </span>
+            </div>
+          ))}
+          {sortedRates.length === 0 && (
+            <p className="text-gray-500 text-center py-4">No exchange rates yet</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Warns when some amounts can't be converted and are left out of totals
+function MissingRatesNotice({ currencies, onOpenSettings }) {
+  if (currencies.length === 0) return null;
+  return (
+    <div className="flex items-start gap-2 p-3 mb-6 bg-yellow-50 border-l-4 border-yellow-500 rounded-lg text-yellow-800">
+      <AlertCircle size={18} className="flex-shrink-0 mt-0.5" />
+      <span className="flex-1">
+        No exchange rate for {currencies.join(', ')}. Those amounts are left out of totals and charts.
+      </span>
+      <button onClick={onOpenSettings} className="text-sm font-medium underline hover:text-yellow-900">
+        Add rates
+      </button>
+    </div>
+  );
+}
+
+// Currency picker for amount inputs; lists the base currency and every currency with a rate
+function CurrencySelect({ value, onChange, className = 'px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600' }) {
+  const { currencies } = useMoney();
+  const options = currencies.includes(value) ? currencies : [value, ...currencies];
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={className}
+      title="Currency"
+    >
+      {options.map(code => <option key={code} value={code}>{code}</option>)}
+    </select>
+  );
+}
+
+// Dashboard Component. The layout lives in `settings.dashboard` as
+// `{ range, widgets: [{ id, size }] }`, in display order; widgets not listed are hidden.
+const DASHBOARD_RANGES = {
+  week: { label: '7 days', days: 7 },
+  month: { label: '30 days', days: 30 },
+  quarter: { label: '90 days', days: 90 },
+  year: { label: '365 days', days: 365 }
+};
+
+// Widths on large screens, in a six-column grid; smaller screens stack every widget
+const WIDGET_SIZES = {
+  small: { label: 'Small', className: 'lg:col-span-2' },
+  medium: { label: 'Medium', className: 'lg:col-span-3' },
+  large: { label: 'Large', className: 'lg:col-span-6' }
+};
+
+// Each chart has its own Y axis, so one large value no longer flattens the others
+const DASHBOARD_METRICS = {
+  Habits: { color: '#9333ea', unit: 'completed' },
+  Tasks: { color: '#3b82f6', unit: 'completed' },
+  Expenses: { color: '#10b981', unit: 'spent', money: true },
+  Sleep: { color: '#14b8a6', unit: 'hours' }
+};
+
+const DASHBOARD_WIDGETS = {
+  stats: { title: 'Summary' },
+  habitsChart: { title: 'Habits completed', metric: 'Habits' },
+  tasksChart: { title: 'Tasks completed', metric: 'Tasks' },
+  expensesChart: { title: 'Spending', metric: 'Expenses' },
+  sleepChart: { title: 'Sleep', metric: 'Sleep' },
+  streaks: { title: 'Habit streaks' },
+  budget: { title: 'Budget this month' },
+  overdueLoans: { title: 'Overdue loans' },
+  upcomingTodos: { title: 'Upcoming to-dos' },
+  recentActivity: { title: 'Recent activity' }
+};
+
+const DEFAULT_DASHBOARD = {
+  range: 'week',
+  widgets: [
+    { id: 'stats', size: 'large' },
+    { id: 'habitsChart', size: 'medium' },
+    { id: 'tasksChart', size: 'medium' },
+    { id: 'expensesChart', size: 'medium' },
+    { id: 'sleepChart', size: 'medium' },
+    { id: 'upcomingTodos', size: 'small' },
+    { id: 'overdueLoans', size: 'small' },
+    { id: 'budget', size: 'small' },
+    { id: 'streaks', size: 'medium' },
+    { id: 'recentActivity', size: 'large' }
+  ]
+};
+
+const DASHBOARD_LIST_LIMIT = 6;
+
+// Drops widgets and sizes this version doesn't know, e.g. from a newer backup
+function normalizeDashboard(dashboard) {
+  const widgets = Array.isArray(dashboard?.widgets)
+    ? dashboard.widgets.filter(w => DASHBOARD_WIDGETS[w?.id] && WIDGET_SIZES[w.size])
+    : DEFAULT_DASHBOARD.widgets;
+  return {
+    range: DASHBOARD_RANGES[dashboard?.range] ? dashboard.range : DEFAULT_DASHBOARD.range,
+    widgets: widgets.filter((w, index) => widgets.findIndex(other => other.id === w.id) === index)
+  };
+}
+
+// One row per day from `from` to `to`. Expenses must already be in the base currency;
+// sleep counts towards the day it ended.
+function buildDashboardSeries({ habits, todos, expenses, sleepSessions }, from, to) {
+  const days = new Map();
+  for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+    days.set(day.toDateString(), {
+      date: day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      Habits: 0,
+      Tasks: 0,
+      Expenses: 0,
+      Sleep: 0
+    });
+  }
+  const rowFor = (value) => (value ? days.get(toDayKey(value)) : undefined);
+
+  habits.forEach(habit => (habit.completedDates || []).forEach(day => {
+    const row = rowFor(day);
+    if (row) row.Habits++;
+  }));
+  todos.forEach(todo => {
+    const row = rowFor(getTodoCompletedAt(todo));
+    if (row) row.Tasks++;
+  });
+  expenses.forEach(expense => {
+    const row = rowFor(expense.date);
+    if (row) row.Expenses += expense.amount;
+  });
+  sleepSessions.forEach(session => {
+    const row = rowFor(session.date);
+    if (row) row.Sleep += session.duration;
+  });
+
+  return [...days.values()].map(row => ({
+    ...row,
+    Expenses: Math.round(row.Expenses * 100) / 100,
+    Sleep: Math.round(row.Sleep * 10) / 10
+  }));
+}
+
+function MetricChart({ data, metric, target }) {
+  const { format } = useMoney();
+  const { color, unit, money } = DASHBOARD_METRICS[metric];
+  const formatValue = (value) => (money ? format(value) : `${value} ${unit}`);
+  const total = data.reduce((sum, row) => sum + row[metric], 0);
+
+  return (
+    <>
+      <p className="text-sm text-gray-500 mb-2">
+        Total {money ? format(total) : `${Math.round(total * 10) / 10} ${unit}`} · average {money ? format(total / data.length) : `${(total / data.length).toFixed(1)} ${unit}`} per day
+      </p>
+      <ResponsiveContainer width="100%" height={220}>
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" minTickGap={16} />
+          <YAxis allowDecimals={metric !== 'Habits' && metric !== 'Tasks'} tickFormatter={money ? (value) => format(value) : undefined} width={money ? 80 : 40} />
+          <Tooltip formatter={(value) => (typeof value === 'number' ? formatValue(value) : value)} />
+          <Bar dataKey={metric} fill={color} />
+          {target && <ReferenceLine y={target} stroke="#f59e0b" strokeDasharray="4 4" ifOverflow="extendDomain" />}
+        </BarChart>
+      </ResponsiveContainer>
+    </>
+  );
+}
+
+function DashboardView({ habits, todos, loans, sleepSessions, expenses, budgetStatus, completedTodosCount, netLoanPosition, remainingBudget, todaySleep, sleepTargetHours, layout, onChangeLayout }) {
+  const { format } = useMoney();
+  const [customizing, setCustomizing] = useState(false);
+  const dashboard = useMemo(() => normalizeDashboard(layout), [layout]);
+  const { days } = DASHBOARD_RANGES[dashboard.range];
+
+  const series = useMemo(() => {
+    const to = new Date();
+    return buildDashboardSeries({ habits, todos, expenses, sleepSessions }, addDays(startOfDay(to), -(days - 1)), to);
+  }, [habits, todos, expenses, sleepSessions, days]);
+
+  const recentActivity = useMemo(() => {
+    const today = new Date().toDateString();
+    const completedHabits = habits
+      .filter(h => h.completedDates?.includes(today))
+      .slice(0, 3)
+      .map(h => ({ type: 'habit', text: `Completed habit: ${h.name}` }));
+
+    const completedTodos = todos
+      .filter(t => t.completed)
+      .sort(TODO_SORTS.completed.compare)
+      .slice(0, 3)
+      .map(t => ({ type: 'todo', text: `Completed task: ${t.task}` }));
+
+    return [...completedHabits, ...completedTodos].slice(0, 6);
+  }, [habits, todos]);
+
+  const streaks = useMemo(() =>
+    habits
+      .map(habit => ({ habit, ...calculateHabitStreaks(habit) }))
+      .sort((a, b) => b.current - a.current || b.longest - a.longest)
+      .slice(0, DASHBOARD_LIST_LIMIT),
+    [habits]
+  );
+
+  const upcomingTodos = useMemo(() =>
+    todos
+      .filter(t => getTodoDueStatus(t))
+      .sort(compareDueDates)
+      .slice(0, DASHBOARD_LIST_LIMIT),
+    [todos]
+  );
+
+  const overdueLoans = useMemo(() =>
+    loans
+      .map(loan => ({ loan, summary: getLoanSummary(loan) }))
+      .filter(({ summary }) => summary.isOverdue)
+      .sort((a, b) => new Date(a.loan.dueDate) - new Date(b.loan.dueDate)),
+    [loans]
+  );
+
+  const updateWidgets = (widgets) => onChangeLayout({ ...dashboard, widgets });
+  const moveWidget = (index, offset) => {
+    const widgets = dashboard.widgets.slice();
+    const [widget] = widgets.splice(index, 1);
+    widgets.splice(index + offset, 0, widget);
+    updateWidgets(widgets);
+  };
+  const hiddenWidgets = Object.keys(DASHBOARD_WIDGETS).filter(id => !dashboard.widgets.some(w => w.id === id));
+
+  const renderWidget = (id) => {
+    const { metric } = DASHBOARD_WIDGETS[id];
+    if (metric) {
+      return <MetricChart data={series} metric={metric} target={metric === 'Sleep' ? sleepTargetHours : null} />;
+    }
+    switch (id) {
+      case 'stats':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-5 gap-4">
+            <StatCard title="Habits Tracked" value={habits.length} color="purple" />
+            <StatCard title="Tasks Completed" value={completedTodosCount} color="blue" />
+            <StatCard title="Today's Sleep" value={`${todaySleep.toFixed(1)} hrs`} color="teal" />
+            <StatCard
+              title={netLoanPosition < 0 ? 'Net Loans (You Owe)' : 'Net Loans (Owed to You)'}
+              value={format(Math.abs(netLoanPosition))}
+              color="orange"
+            />
+            <StatCard
+              title="Budget Left This Month"
+              value={remainingBudget === null ? 'No budget set' : format(remainingBudget)}
+              color={remainingBudget !== null && remainingBudget < 0 ? 'red' : 'green'}
+            />
+          </div>
+        );
+      case 'streaks':
+        return streaks.length > 0 ? (
+          <div className="space-y-2">
+            {streaks.map(({ habit, current, longest, unit }) => (
+              <div key={habit.id} className="flex items-center justify-between text-sm">
+                <span className="truncate">{habit.name}</span>
+                <span className="text-purple-700 font-medium flex-shrink-0">
+                  {current} {unit}{current === 1 ? '' : 's'} <span className="text-gray-400 font-normal">· best {longest}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        ) : <p className="text-gray-500 text-sm">No habits yet</p>;
+      case 'budget': {
+        const budgeted = budgetStatus.filter(b => b.budget !== null);
+        return budgeted.length > 0 ? (
+          <div className="space-y-2">
+            {budgeted.map(status => <BudgetProgress key={status.category} status={status} />)}
+          </div>
+        ) : <p className="text-gray-500 text-sm">No category budgets set</p>;
+      }
+      case 'overdueLoans':
+        return overdueLoans.length > 0 ? (
+          <div className="space-y-2">
+            {overdueLoans.map(({ loan, summary }) => (
+              <div key={loan.id} className="flex items-center justify-between text-sm">
+                <span className="truncate">
+                  {summary.direction === 'borrowed' ? 'You owe ' : ''}{loan.personName}
+                  <span className="text-gray-400"> · due {new Date(loan.dueDate).toLocaleDateString()}</span>
+                </span>
+                <span className="text-red-600 font-medium flex-shrink-0">{format(summary.remaining, loan.currency)}</span>
+              </div>
+            ))}
+          </div>
+        ) : <p className="text-gray-500 text-sm">Nothing overdue</p>;
+      case 'upcomingTodos':
+        return upcomingTodos.length > 0 ? (
+          <div className="space-y-2">
+            {upcomingTodos.map(todo => {
+              const status = getTodoDueStatus(todo);
+              return (
+                <div key={todo.id} className="flex items-center justify-between text-sm">
+                  <span className="truncate">{todo.task}</span>
+                  <span className={`flex-shrink-0 ${status === 'overdue' ? 'text-red-600 font-medium' : status === 'today' ? 'text-orange-600' : 'text-gray-500'}`}>
+                    {status === 'today' ? 'Today' : new Date(todo.dueDate).toLocaleDateString()}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        ) : <p className="text-gray-500 text-sm">No to-dos with a due date</p>;
+      case 'recentActivity':
+        return (
+          <div className="space-y-2">
+            {recentActivity.map((activity, index) => (
+              <div key={index} className={`flex items-center gap-2 ${
+                activity.type === 'habit' ? 'text-green-600' : 'text-blue-600'
+              }`}>
+                <Check size={16} />
+                <span>{activity.text}</span>
+              </div>
+            ))}
+            {recentActivity.length === 0 && (
+              <p className="text-gray-500 text-center py-4">No recent activity</p>
+            )}
+          </div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(DASHBOARD_RANGES).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => onChangeLayout({ ...dashboard, range: key })}
+              className={`px-3 py-1 rounded-lg text-sm transition ${dashboard.range === key ? 'bg-purple-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => setCustomizing(!customizing)}
+          className={`px-3 py-1 rounded-lg text-sm transition ${customizing ? 'bg-purple-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+        >
+          {customizing ? 'Done' : 'Customize'}
+        </button>
+      </div>
+
+      {customizing && (
+        <div className="flex flex-wrap items-center gap-2 p-3 bg-white rounded-lg shadow-md text-sm">
+          {hiddenWidgets.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && updateWidgets([...dashboard.widgets, { id: e.target.value, size: 'medium' }])}
+              className="px-3 py-1 border rounded-lg"
+            >
+              <option value="">Add a widget…</option>
+              {hiddenWidgets.map(id => <option key={id} value={id}>{DASHBOARD_WIDGETS[id].title}</option>)}
+            </select>
+          )}
+          <button
+            onClick={() => confirm('Reset the dashboard to the default layout?') && onChangeLayout(DEFAULT_DASHBOARD)}
+            className="px-3 py-1 text-gray-600 hover:text-gray-800"
+          >
+            Reset layout
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-6 gap-4">
+        {dashboard.widgets.map((widget, index) => (
+          <div key={widget.id} className={`bg-white rounded-lg shadow-md p-6 ${WIDGET_SIZES[widget.size].className}`}>
+            <div className="flex items-center justify-between gap-2 mb-4">
+              <h2 className="text-xl font-bold">
+                {DASHBOARD_WIDGETS[widget.id].title}
+                {DASHBOARD_WIDGETS[widget.id].metric && (
+                  <span className="text-sm font-normal text-gray-500"> · last {DASHBOARD_RANGES[dashboard.range].label}</span>
+                )}
+              </h2>
+              {customizing && (
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button onClick={() => moveWidget(index, -1)} disabled={index === 0} className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move earlier">
+                    <ChevronLeft size={18} />
+                  </button>
+                  <button onClick={() => moveWidget(index, 1)} disabled={index === dashboard.widgets.length - 1} className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move later">
+                    <ChevronRight size={18} />
+                  </button>
+                  <select
+                    value={widget.size}
+                    onChange={(e) => updateWidgets(dashboard.widgets.map(w => (w.id === widget.id ? { ...w, size: e.target.value } : w)))}
+                    className="px-2 py-1 border rounded-lg text-sm"
+                  >
+                    {Object.entries(WIDGET_SIZES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  <button onClick={() => updateWidgets(dashboard.widgets.filter(w => w.id !== widget.id))} className="p-1 text-red-500 hover:text-red-700" title="Remove">
+                    <X size={18} />
+                  </button>
+                </div>
+              )}
+            </div>
+            {renderWidget(widget.id)}
+          </div>
+        ))}
+        {dashboard.widgets.length === 0 && (
+          <p className="lg:col-span-6 text-center py-8 text-gray-500">No widgets. Use Customize to add some.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Insights. Each day in the window becomes a record; comparisons only become insights
+// when both groups have enough days and the difference is worth mentioning.
+const INSIGHT_RANGES = {
+  month: { label: '30 days', days: 30 },
+  quarter: { label: '90 days', days: 90 },
+  year: { label: '365 days', days: 365 }
+};
+const INSIGHT_MIN_DAYS = 5;
+const INSIGHT_MIN_CHANGE = 0.2;
+const INSIGHT_MIN_SLEEP_DIFF = 0.5;
+const INSIGHT_MIN_EXPENSES = 3;
+const SHORT_SLEEP_HOURS = 6;
+
+// Days without a logged night have `sleep: null` rather than 0, so they don't count as short nights.
+// The window starts at the first day anything was logged. Expenses must be in the base currency.
+function buildDailyRecords({ habits, todos, expenses, sleepSessions }, from, to) {
+  const firstLogged = [
+    ...habits.flatMap(h => h.completedDates || []),
+    ...todos.map(getTodoCompletedAt),
+    ...expenses.map(e => e.date),
+    ...sleepSessions.map(s => s.date)
+  ]
+    .filter(Boolean)
+    .map(value => startOfDay(value))
+    .filter(day => !Number.isNaN(day.getTime()))
+    .reduce((earliest, day) => (day < earliest ? day : earliest), startOfDay(to));
+
+  const records = new Map();
+  for (let day = startOfDay(from < firstLogged ? firstLogged : from); day <= to; day = addDays(day, 1)) {
+    records.set(day.toDateString(), { day, habitIds: new Set(), tasks: 0, spent: 0, spending: {}, expenseCount: {}, sleep: null });
+  }
+  const recordFor = (value) => (value ? records.get(toDayKey(value)) : undefined);
+
+  habits.forEach(habit => (habit.completedDates || []).forEach(day => recordFor(day)?.habitIds.add(habit.id)));
+  todos.forEach(todo => {
+    const record = recordFor(getTodoCompletedAt(todo));
+    if (record) record.tasks++;
+  });
+  expenses.forEach(expense => {
+    const record = recordFor(expense.date);
+    if (!record) return;
+    record.spent += expense.amount;
+    record.spending[expense.category] = (record.spending[expense.category] || 0) + expense.amount;
+    record.expenseCount[expense.category] = (record.expenseCount[expense.category] || 0) + 1;
+  });
+  // Naps are left out: a short night is what we want to compare against
+  sleepSessions.filter(s => !s.isAfternoon).forEach(session => {
+    const record = recordFor(session.date);
+    if (record) record.sleep = (record.sleep || 0) + session.duration;
+  });
+
+  return [...records.values()].map(record => ({ ...record, habits: record.habitIds.size }));
+}
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+// Splits records by `inGroup` and averages `value` on each side
+function compareGroups(records, inGroup, value) {
+  const group = [];
+  const rest = [];
+  records.forEach(record => (inGroup(record) ? group : rest).push(value(record)));
+  return { group: { mean: mean(group), days: group.length }, rest: { mean: mean(rest), days: rest.length } };
+}
+
+const relativeChange = ({ group, rest }) => (rest.mean > 0 ? (group.mean - rest.mean) / rest.mean : null);
+const formatChange = (change, more, fewer) => `${Math.round(Math.abs(change) * 100)}% ${change < 0 ? fewer : more}`;
+
+// Insights are `{ id, text, sample, strength, chart: { data: [{ label, value }], metric } }`,
+// strongest first. `metric` is 'count', 'money' or 'hours' and only affects formatting.
+function findInsights(records) {
+  const insights = [];
+
+  // Sleep against the day that follows it
+  const nights = records.filter(r => r.sleep !== null);
+  const shortSleepLabels = [`Under ${SHORT_SLEEP_HOURS}h sleep`, `${SHORT_SLEEP_HOURS}h or more`];
+  [
+    { key: 'habits', value: r => r.habits, metric: 'count', phrase: c => `you complete ${formatChange(c, 'more', 'fewer')} habits` },
+    { key: 'tasks', value: r => r.tasks, metric: 'count', phrase: c => `you finish ${formatChange(c, 'more', 'fewer')} tasks` },
+    { key: 'spent', value: r => r.spent, metric: 'money', phrase: c => `you spend ${formatChange(c, 'more', 'less')}` }
+  ].forEach(({ key, value, metric, phrase }) => {
+    const result = compareGroups(nights, r => r.sleep < SHORT_SLEEP_HOURS, value);
+    const change = relativeChange(result);
+    if (result.group.days < INSIGHT_MIN_DAYS || result.rest.days < INSIGHT_MIN_DAYS) return;
+    if (change === null || Math.abs(change) < INSIGHT_MIN_CHANGE) return;
+    insights.push({
+      id: `short-sleep-${key}`,
+      text: `On days after less than ${SHORT_SLEEP_HOURS}h of sleep ${phrase(change)}.`,
+      sample: `${result.group.days} short nights vs ${result.rest.days} others`,
+      strength: Math.abs(change),
+      chart: { metric, data: [{ label: shortSleepLabels[0], value: result.group.mean }, { label: shortSleepLabels[1], value: result.rest.mean }] }
+    });
+  });
+
+  // Spending per category, weekends against weekdays
+  const isWeekend = (r) => r.day.getDay() === 0 || r.day.getDay() === 6;
+  const categories = [...new Set(records.flatMap(r => Object.keys(r.spending)))];
+  categories.forEach(category => {
+    const count = records.reduce((sum, r) => sum + (r.expenseCount[category] || 0), 0);
+    if (count < INSIGHT_MIN_EXPENSES) return;
+    const result = compareGroups(records, isWeekend, r => r.spending[category] || 0);
+    if (result.group.days < INSIGHT_MIN_DAYS || result.rest.days < INSIGHT_MIN_DAYS) return;
+    const change = relativeChange(result);
+    if (change !== null && Math.abs(change) < INSIGHT_MIN_CHANGE) return;
+    const text = change === null
+      ? `${category} spending only happens on weekends.`
+      : change > 0
+        ? `${category} spending spikes on weekends: ${(result.group.mean / result.rest.mean).toFixed(1)}× the weekday average.`
+        : `${category} spending drops ${formatChange(change, 'higher', 'lower')} on weekends.`;
+    insights.push({
+      id: `weekend-${category}`,
+      text,
+      sample: `${count} expenses over ${result.group.days} weekend days and ${result.rest.days} weekdays`,
+      strength: change === null ? 1 : Math.abs(change),
+      chart: {
+        metric: 'money',
+        data: WEEKDAY_LABELS.map((label, weekday) => ({
+          label,
+          value: mean(records.filter(r => r.day.getDay() === weekday).map(r => r.spending[category] || 0))
+        }))
+      }
+    });
+  });
+
+  // Each habit against the night that follows it, counted from the habit's first completion
+  const nextNight = new Map(records.map((r, index) => [r, records[index + 1]?.sleep ?? null]));
+  const habitIds = [...new Set(records.flatMap(r => [...r.habitIds]))];
+  habitIds.forEach(habitId => {
+    const firstDone = records.findIndex(r => r.habitIds.has(habitId));
+    const days = records.slice(firstDone).filter(r => nextNight.get(r) !== null);
+    const result = compareGroups(days, r => r.habitIds.has(habitId), r => nextNight.get(r));
+    const diff = result.group.mean - result.rest.mean;
+    if (result.group.days < INSIGHT_MIN_DAYS || result.rest.days < INSIGHT_MIN_DAYS) return;
+    if (Math.abs(diff) < INSIGHT_MIN_SLEEP_DIFF) return;
+    insights.push({
+      id: `habit-sleep-${habitId}`,
+      habitId,
+      text: `On days you complete this habit you sleep ${Math.abs(diff).toFixed(1)}h ${diff < 0 ? 'less' : 'more'} that night.`,
+      sample: `${result.group.days} days done vs ${result.rest.days} days skipped`,
+      strength: Math.abs(diff) / (result.rest.mean || 1),
+      chart: { metric: 'hours', data: [{ label: 'Done', value: result.group.mean }, { label: 'Skipped', value: result.rest.mean }] }
+    });
+  });
+
+  return insights.sort((a, b) => b.strength - a.strength);
+}
+
+function InsightChart({ chart }) {
+  const { format } = useMoney();
+  const formatValue = (value) =>
+    chart.metric === 'money' ? format(value) : chart.metric === 'hours' ? `${value.toFixed(1)} hrs` : value.toFixed(1);
+
+  return (
+    <ResponsiveContainer width="100%" height={160}>
+      <BarChart data={chart.data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="label" />
+        <YAxis tickFormatter={chart.metric === 'money' ? (value) => format(value) : undefined} width={chart.metric === 'money' ? 80 : 40} />
+        <Tooltip formatter={(value) => formatValue(value)} />
+        <Bar dataKey="value" name="Daily average" fill="#9333ea" />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+function InsightsView({ habits, todos, expenses, sleepSessions }) {
+  const [range, setRange] = useState('quarter');
+
+  const insights = useMemo(() => {
+    const to = new Date();
+    const from = addDays(startOfDay(to), 1 - INSIGHT_RANGES[range].days);
+    return findInsights(buildDailyRecords({ habits, todos, expenses, sleepSessions }, from, to));
+  }, [habits, todos, expenses, sleepSessions, range]);
+
+  const habitNames = useMemo(() => new Map(habits.map(h => [h.id, h.name])), [habits]);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-2xl font-bold">Insights</h2>
+          <div className="flex gap-2">
+            {Object.entries(INSIGHT_RANGES).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setRange(key)}
+                className={`px-3 py-1 rounded-lg text-sm transition ${range === key ? 'bg-purple-600 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="text-sm text-gray-500">
+          Patterns across your sleep, habits, tasks and spending, worked out on this device.
+          They show what tends to happen together, not what causes what.
+        </p>
+      </div>
+
+      {insights.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+          Nothing stands out yet. Insights need at least {INSIGHT_MIN_DAYS} days on each side of a comparison, so keep logging.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {insights.map(insight => (
+            <div key={insight.id} className="bg-white rounded-lg shadow-md p-6">
+              {insight.habitId !== undefined && (
+                <p className="text-sm font-medium text-purple-700">{habitNames.get(insight.habitId) || 'Deleted habit'}</p>
+              )}
+              <p className="font-medium mb-1">{insight.text}</p>
+              <p className="text-xs text-gray-500 mb-3">Based on {insight.sample}</p>
+              <InsightChart chart={insight.chart} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Reviews. A period is `{ type: 'week' | 'month', start, end }` with `end` the start of the next one.
+const REVIEW_PERIODS = { week: 'Week', month: 'Month' };
+
+function getReviewPeriod(type, date) {
+  const start = type === 'week' ? startOfWeek(date) : new Date(date.getFullYear(), date.getMonth(), 1);
+  const end = type === 'week' ? addDays(start, 7) : new Date(start.getFullYear(), start.getMonth() + 1, 1);
+  return { type, start, end };
+}
+
+const shiftReviewPeriod = (period, offset) => getReviewPeriod(
+  period.type,
+  period.type === 'week' ? addDays(period.start, 7 * offset) : new Date(period.start.getFullYear(), period.start.getMonth() + offset, 1)
+);
+
+function describeReviewPeriod({ type, start, end }) {
+  if (type === 'month') return start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  const last = addDays(end, -1);
+  return `${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+}
+
+const isInPeriod = (value, { start, end }) => {
+  if (!value) return false;
+  const date = new Date(value);
+  return date >= start && date < end;
+};
+
+// How many completions a schedule asks for between two days (`to` excluded)
+function countExpectedCompletions(schedule, from, to) {
+  let days = 0;
+  let scheduled = 0;
+  for (let day = startOfDay(from); day < to; day = addDays(day, 1)) {
+    days++;
+    if (isScheduledDay(schedule, day)) scheduled++;
+  }
+  return schedule.type === 'weekly' ? Math.round(schedule.timesPerWeek * days / 7) : scheduled;
+}
+
+// Average hours per night over the nights that were logged; naps are counted separately
+function summarizeSleep(sleepSessions, period) {
+  const sessions = sleepSessions.filter(s => isInPeriod(s.date, period));
+  const nights = sessions.filter(s => !s.isAfternoon);
+  const nightCount = new Set(nights.map(s => toDayKey(s.date))).size;
+  return {
+    nights: nightCount,
+    average: nightCount ? nights.reduce((sum, s) => sum + s.duration, 0) / nightCount : null,
+    naps: sessions.length - nights.length
+  };
+}
+
+// Everything the report shows, as plain data. Expenses must be in the base currency;
+// a period still in progress is only measured up to today.
+function buildReview({ habits, todos, expenses, sleepSessions, loans, memories }, period, now = new Date()) {
+  const previous = shiftReviewPeriod(period, -1);
+  const tomorrow = addDays(startOfDay(now), 1);
+  const until = period.end < tomorrow ? period.end : tomorrow;
+
+  const habitRows = habits.map(habit => {
+    const schedule = habit.schedule || DEFAULT_HABIT_SCHEDULE;
+    const created = habit.createdAt ? startOfDay(habit.createdAt) : period.start;
+    const expected = countExpectedCompletions(schedule, created > period.start ? created : period.start, until);
+    const done = (habit.completedDates || []).filter(d => isInPeriod(d, period)).length;
+    const { current, longest, unit } = calculateHabitStreaks(habit, addDays(until, -1));
+    return { id: habit.id, name: habit.name, done, expected, rate: expected > 0 ? Math.min(1, done / expected) : null, streak: current, longest, unit };
+  });
+
+  const completedIn = (p) => todos.filter(t => isInPeriod(getTodoCompletedAt(t), p));
+  const tasksDone = completedIn(period).sort(TODO_SORTS.completed.compare);
+
+  const spendingIn = (p) => expenses
+    .filter(e => isInPeriod(e.date, p))
+    .reduce((totals, e) => {
+      totals[e.category] = (totals[e.category] || 0) + e.amount;
+      return totals;
+    }, {});
+  const spending = spendingIn(period);
+  const previousSpending = spendingIn(previous);
+  const categories = [...new Set([...Object.keys(spending), ...Object.keys(previousSpending)])]
+    .map(category => ({ category, amount: spending[category] || 0, previous: previousSpending[category] || 0 }))
+    .sort((a, b) => b.amount - a.amount || b.previous - a.previous);
+  const total = (totals) => Object.values(totals).reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    period,
+    previous,
+    habits: habitRows,
+    tasks: { done: tasksDone.map(t => t.task), previous: completedIn(previous).length },
+    spending: { categories, total: total(spending), previousTotal: total(previousSpending) },
+    sleep: { ...summarizeSleep(sleepSessions, period), previousAverage: summarizeSleep(sleepSessions, previous).average },
+    loans: loans
+      .map(loan => ({ loan, summary: getLoanSummary(loan, now) }))
+      .filter(({ summary }) => !summary.isSettled)
+      .map(({ loan, summary }) => ({
+        id: loan.id,
+        personName: loan.personName,
+        currency: loan.currency,
+        dueDate: loan.dueDate,
+        direction: summary.direction,
+        remaining: summary.remaining,
+        isOverdue: summary.isOverdue
+      })),
+    memories: memories
+      .filter(m => isInPeriod(m.createdAt, period))
+      .map(m => ({ id: m.id, title: m.title, date: m.date, photos: (m.photos || []).length }))
+  };
+}
+
+// The report is styled with its own stylesheet rather than utility classes, so the
+// exported file looks the same without the app around it
+const REVIEW_STYLES = `
+.review-report { font-family: system-ui, -apple-system, sans-serif; color: #1f2937; line-height: 1.4; }
+.review-report h1 { font-size: 1.6rem; margin: 0 0 0.25rem; }
+.review-report h2 { font-size: 1.15rem; margin: 1.5rem 0 0.5rem; padding-bottom: 0.25rem; border-bottom: 1px solid #e5e7eb; }
+.review-report table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+.review-report th, .review-report td { text-align: left; padding: 0.3rem 0.5rem 0.3rem 0; vertical-align: middle; }
+.review-report th { color: #6b7280; font-weight: 500; }
+.review-report .review-muted { color: #6b7280; font-size: 0.85rem; }
+.review-report .review-up { color: #dc2626; }
+.review-report .review-down { color: #059669; }
+.review-report .review-bar { width: 120px; height: 8px; background: #e5e7eb; border-radius: 4px; overflow: hidden; }
+.review-report .review-bar span { display: block; height: 100%; background: #9333ea; }
+.review-report .review-figures { display: flex; flex-wrap: wrap; gap: 2rem; }
+.review-report .review-figure strong { display: block; font-size: 1.4rem; }
+.review-report ul { margin: 0; padding-left: 1.25rem; font-size: 0.9rem; }
+`;
+
+function ReviewChange({ current, previous, format, higherIsWorse = false }) {
+  if (previous === null || previous === undefined) return null;
+  const diff = current - previous;
+  if (Math.abs(diff) < 0.005) return <span className="review-muted"> (same as before)</span>;
+  const worse = higherIsWorse ? diff > 0 : diff < 0;
+  return (
+    <span className={worse ? 'review-up' : 'review-down'}>
+      {' '}({diff > 0 ? '+' : '−'}{format(Math.abs(diff))} vs previous)
+    </span>
+  );
+}
+
+function ReviewReport({ review, sleepTargetHours }) {
+  const { format } = useMoney();
+  const { period, habits, tasks, spending, sleep, loans, memories } = review;
+  const hours = (value) => `${value.toFixed(1)} hrs`;
+  const maxCategory = Math.max(0, ...spending.categories.map(c => Math.max(c.amount, c.previous)));
+
+  return (
+    <article className="review-report">
+      <h1>{REVIEW_PERIODS[period.type]}ly review: {describeReviewPeriod(period)}</h1>
+      <p className="review-muted">Generated {new Date().toLocaleString()}. Compared with {describeReviewPeriod(review.previous)}.</p>
+
+      <h2>Habits</h2>
+      {habits.length === 0 ? <p className="review-muted">No habits tracked.</p> : (
+        <table>
+          <thead>
+            <tr><th>Habit</th><th>Done</th><th>Completion</th><th></th><th>Streak</th></tr>
+          </thead>
+          <tbody>
+            {habits.map(h => (
+              <tr key={h.id}>
+                <td>{h.name}</td>
+                <td>{h.done}{h.expected > 0 && ` / ${h.expected}`}</td>
+                <td>{h.rate === null ? '—' : `${Math.round(h.rate * 100)}%`}</td>
+                <td><div className="review-bar"><span style={{ width: `${Math.round((h.rate || 0) * 100)}%` }} /></div></td>
+                <td>{h.streak} {h.unit}{h.streak === 1 ? '' : 's'} <span className="review-muted">(best {h.longest})</span></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2>Tasks</h2>
+      <p>
+        {tasks.done.length} task{tasks.done.length === 1 ? '' : 's'} completed
+        <span className="review-muted"> ({tasks.previous} the period before)</span>
+      </p>
+      {tasks.done.length > 0 && (
+        <ul>
+          {tasks.done.map((task, index) => <li key={index}>{task}</li>)}
+        </ul>
+      )}
+
+      <h2>Spending</h2>
+      <p>
+        {format(spending.total)} in total
+        <ReviewChange current={spending.total} previous={spending.previousTotal} format={format} higherIsWorse />
+      </p>
+      {spending.categories.length > 0 && (
+        <table>
+          <thead>
+            <tr><th>Category</th><th>This period</th><th></th><th>Previous</th></tr>
+          </thead>
+          <tbody>
+            {spending.categories.map(c => (
+              <tr key={c.category}>
+                <td>{c.category}</td>
+                <td>
+                  {format(c.amount)}
+                  <ReviewChange current={c.amount} previous={c.previous} format={format} higherIsWorse />
+                </td>
+                <td><div className="review-bar"><span style={{ width: `${maxCategory ? Math.round(c.amount / maxCategory * 100) : 0}%` }} /></div></td>
+                <td className="review-muted">{format(c.previous)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2>Sleep</h2>
+      {sleep.nights === 0 ? <p className="review-muted">No nights logged.</p> : (
+        <div className="review-figures">
+          <div className="review-figure"><strong>{hours(sleep.average)}</strong>average per night (target {sleepTargetHours} hrs)</div>
+          <div className="review-figure"><strong>{sleep.nights}</strong>nights logged</div>
+          <div className="review-figure"><strong>{sleep.naps}</strong>naps</div>
+          {sleep.previousAverage !== null && (
+            <div className="review-figure"><strong>{hours(sleep.previousAverage)}</strong>average the period before</div>
+          )}
+        </div>
+      )}
+
+      <h2>Loans outstanding</h2>
+      {loans.length === 0 ? <p className="review-muted">Nothing outstanding.</p> : (
+        <table>
+          <tbody>
+            {loans.map(l => (
+              <tr key={l.id}>
+                <td>{l.direction === 'borrowed' ? `You owe ${l.personName}` : `${l.personName} owes you`}</td>
+                <td>{format(l.remaining, l.currency)}</td>
+                <td className={l.isOverdue ? 'review-up' : 'review-muted'}>
+                  {l.dueDate ? `${l.isOverdue ? 'Overdue since' : 'Due'} ${new Date(l.dueDate).toLocaleDateString()}` : 'No due date'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2>Memories added</h2>
+      {memories.length === 0 ? <p className="review-muted">No memories added.</p> : (
+        <ul>
+          {memories.map(m => (
+            <li key={m.id}>
+              {m.title} <span className="review-muted">· {new Date(m.date).toLocaleDateString()} · {m.photos} photo{m.photos === 1 ? '' : 's'}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </article>
+  );
+}
+
+const buildReviewDocument = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title.replace(/[<&]/g, c => (c === '<' ? '&lt;' : '&amp;'))}</title>
+<style>body { max-width: 820px; margin: 2rem auto; padding: 0 1rem; }${REVIEW_STYLES}</style>
+</head>
+<body>${body}</body>
+</html>`;
+
+function ReviewModal({ data, sleepTargetHours, onClose }) {
+  const [period, setPeriod] = useState(() => getReviewPeriod('week', new Date()));
+  const reportRef = useRef(null);
+  const review = useMemo(() => buildReview(data, period), [data, period]);
+  const title = `${REVIEW_PERIODS[period.type]}ly review: ${describeReviewPeriod(period)}`;
+  const isCurrent = period.end > new Date();
+
+  const getDocument = () => buildReviewDocument(title, reportRef.current.innerHTML);
+
+  const downloadHtml = () => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([getDocument()], { type: 'text/html' }));
+    link.download = `soumik-lifestyle-${period.type}ly-review-${toDateInputValue(period.start)}.html`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  };
+
+  // Printing the standalone document keeps the app out of the page; "Save as PDF" in the
+  // print dialog gives the PDF
+  const printReport = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('Allow pop-ups for this site to print the review.');
+      return;
+    }
+    printWindow.document.write(getDocument());
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <style>{REVIEW_STYLES}</style>
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-4xl w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Review</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 transition">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          {Object.entries(REVIEW_PERIODS).map(([type, label]) => (
+            <button
+              key={type}
+              onClick={() => setPeriod(getReviewPeriod(type, period.start))}
+              className={`px-3 py-1 rounded-lg text-sm transition ${period.type === type ? 'bg-purple-600 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}
+            >
+              {label}
+            </button>
+          ))}
+          <div className="flex items-center gap-1">
+            <button onClick={() => setPeriod(shiftReviewPeriod(period, -1))} className="p-1 text-gray-500 hover:text-gray-800" title="Previous">
+              <ChevronLeft size={20} />
+            </button>
+            <span className="text-sm font-medium min-w-[10rem] text-center">{describeReviewPeriod(period)}</span>
+            <button onClick={() => setPeriod(shiftReviewPeriod(period, 1))} disabled={isCurrent} className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Next">
+              <ChevronRight size={20} />
+            </button>
+          </div>
+          <div className="flex gap-2 ml-auto">
+            <button onClick={downloadHtml} className="bg-gray-100 text-gray-700 px-3 py-1 rounded-lg hover:bg-gray-200 flex items-center gap-2 text-sm transition">
+              <Download size={16} />
+              HTML
+            </button>
+            <button onClick={printReport} className="bg-purple-600 text-white px-3 py-1 rounded-lg hover:bg-purple-700 flex items-center gap-2 text-sm transition" title="Print, or choose “Save as PDF” as the printer">
+              <Printer size={16} />
+              Print / PDF
+            </button>
+          </div>
+        </div>
+
+        {isCurrent && <p className="text-sm text-orange-600 mb-4">This period isn't over yet; the review covers it up to today.</p>}
+        <div ref={reportRef}>
+          <ReviewReport review={review} sleepTargetHours={sleepTargetHours} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StatCard({ title, value, color }) {
+  const colors = {
+    purple: 'from-purple-500 to-purple-600',
+    blue: 'from-blue-500 to-blue-600',
+    green: 'from-green-500 to-green-600',
+    orange: 'from-orange-500 to-orange-600',
+    teal: 'from-teal-500 to-teal-600',
+    red: 'from-red-500 to-red-600'
+  };
+
+  return (
+    <div className={`bg-gradient-to-br ${colors[color]} rounded-lg shadow-md p-6 text-white`}>
+      <h3 className="text-sm opacity-90">{title}</h3>
+      <p className="text-3xl font-bold mt-2">{value}</p>
+    </div>
+  );
+}
+
+// Habit schedules: every day, a number of times per week, or specific weekdays
+const DEFAULT_HABIT_SCHEDULE = { type: 'daily' };
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HABIT_CALENDAR_WEEKS = 16;
+
+function describeSchedule(schedule = DEFAULT_HABIT_SCHEDULE) {
+  switch (schedule.type) {
+    case 'weekly':
+      return `${schedule.timesPerWeek}× per week`;
+    case 'weekdays':
+      return schedule.days.length === 0
+        ? 'No days selected'
+        : [...schedule.days].sort().map(d => WEEKDAY_LABELS[d]).join(', ');
+    default:
+      return 'Daily';
+  }
+}
+
+const isScheduledDay = (schedule, date) =>
+  schedule.type !== 'weekdays' || schedule.days.includes(date.getDay());
+
+// Streaks count scheduled days (or weeks, for N-times-per-week habits) in a row.
+// Today, or the current week, only extends a streak; it never breaks one while still in progress.
+function calculateHabitStreaks(habit, now = new Date()) {
+  const schedule = habit.schedule || DEFAULT_HABIT_SCHEDULE;
+  const unit = schedule.type === 'weekly' ? 'week' : 'day';
+  const completedDays = (habit.completedDates || [])
+    .map(d => startOfDay(new Date(d)))
+    .filter(d => !Number.isNaN(d.getTime()));
+  if (completedDays.length === 0) return { current: 0, longest: 0, unit };
+
+  const completed = new Set(completedDays.map(d => d.toDateString()));
+  const first = new Date(Math.min(...completedDays));
+  const today = startOfDay(now);
+  let run = 0;
+  let longest = 0;
+
+  if (schedule.type === 'weekly') {
+    const thisWeek = startOfWeek(today).getTime();
+    for (let week = startOfWeek(first); week.getTime() <= thisWeek; week = addDays(week, 7)) {
+      let count = 0;
+      for (let i = 0; i < 7; i++) {
+        if (completed.has(addDays(week, i).toDateString())) count++;
+      }
+      if (count >= schedule.timesPerWeek) {
+        run++;
+        longest = Math.max(longest, run);
+      } else if (week.getTime() !== thisWeek) {
+        run = 0;
+      }
+    }
+  } else {
+    for (let day = first; day <= today; day = addDays(day, 1)) {
+      if (!isScheduledDay(schedule, day)) continue;
+      if (completed.has(day.toDateString())) {
+        run++;
+        longest = Math.max(longest, run);
+      } else if (day.getTime() !== today.getTime()) {
+        run = 0;
+      }
+    }
+  }
+
+  return { current: run, longest, unit };
+}
+
+function ScheduleEditor({ value, onChange }) {
+  const handleTypeChange = (type) => {
+    if (type === 'weekly') onChange({ type, timesPerWeek: 3 });
+    else if (type === 'weekdays') onChange({ type, days: [1, 2, 3, 4, 5] });
+    else onChange({ type: 'daily' });
+  };
+
+  const toggleDay = (day) => {
+    const days = value.days.includes(day)
+      ? value.days.filter(d => d !== day)
+      : [...value.days, day];
+    onChange({ ...value, days });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={value.type}
+        onChange={(e) => handleTypeChange(e.target.value)}
+        className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+      >
+        <option value="daily">Every day</option>
+        <option value="weekly">Times per week</option>
+        <option value="weekdays">Specific weekdays</option>
+      </select>
+      {value.type === 'weekly' && (
+        <input
+          type="number"
+          min="1"
+          max="7"
+          value={value.timesPerWeek}
+          onChange={(e) => onChange({ ...value, timesPerWeek: Math.min(7, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+          className="w-20 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+        />
+      )}
+      {value.type === 'weekdays' && WEEKDAY_LABELS.map((label, day) => (
+        <button
+          key={label}
+          onClick={() => toggleDay(day)}
+          className={`px-2 py-1 rounded text-sm transition ${
+            value.days.includes(day) ? 'bg-purple-600 text-white' : 'bg-gray-100 hover:bg-gray-200'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Calendar heatmap of the last weeks; clicking a past day toggles it
+function HabitCalendar({ habit, onToggle }) {
+  const schedule = habit.schedule || DEFAULT_HABIT_SCHEDULE;
+  const todayKey = toDayKey(new Date());
+
+  const weeks = useMemo(() => {
+    const today = startOfDay(new Date(todayKey));
+    const completed = new Set((habit.completedDates || []).map(toDayKey));
+    const firstWeek = addDays(startOfWeek(today), -(HABIT_CALENDAR_WEEKS - 1) * 7);
+    return Array.from({ length: HABIT_CALENDAR_WEEKS }, (_, w) => {
+      const weekStart = addDays(firstWeek, w * 7);
+      return Array.from({ length: 7 }, (_, d) => {
+        const date = addDays(weekStart, d);
+        return {
+          date,
+          isCompleted: completed.has(date.toDateString()),
+          isScheduled: isScheduledDay(schedule, date),
+          isFuture: date > today,
+          isToday: date.getTime() === today.getTime()
+        };
+      });
+    });
+  }, [habit.completedDates, schedule, todayKey]);
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="inline-flex gap-1">
+        <div className="flex flex-col gap-1 mr-1 pt-5">
+          {WEEKDAY_LABELS.map(label => (
+            <span key={label} className="h-4 text-xs leading-4 text-gray-400">{label[0]}</span>
+          ))}
+        </div>
+        {weeks.map((days, w) => (
+          <div key={w} className="flex flex-col gap-1">
+            <span className="h-4 text-xs text-gray-400 whitespace-nowrap">
+              {days.some(day => day.date.getDate() === 1)
+                ? days.find(day => day.date.getDate() === 1).date.toLocaleDateString('en-US', { month: 'short' })
+                : ''}
+            </span>
+            {days.map(day => (
+              <button
+                key={day.date.toDateString()}
+                title={`${day.date.toDateString()}${day.isCompleted ? ' — done' : ''}`}
+                disabled={day.isFuture}
+                onClick={() => onToggle(day.date)}
+                className={`w-4 h-4 rounded-sm transition ${
+                  day.isFuture
+                    ? 'bg-transparent'
+                    : day.isCompleted
+                      ? 'bg-green-500 hover:bg-green-600'
+                      : day.isScheduled
+                        ? 'bg-gray-300 hover:bg-gray-400'
+                        : 'bg-gray-100 hover:bg-gray-200'
+                } ${day.isToday ? 'ring-2 ring-purple-600' : ''}`}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function HabitTracker({ habits, onAdd, onToggle, onUpdate, onDelete }) {
+  const [newHabit, setNewHabit] = useState('');
+  const [schedule, setSchedule] = useState(DEFAULT_HABIT_SCHEDULE);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const handleAdd = () => {
+    if (newHabit.trim()) {
+      onAdd(newHabit, schedule);
+      setNewHabit('');
+      setSchedule(DEFAULT_HABIT_SCHEDULE);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold mb-4">Habit Tracker</h2>
+      <div className="space-y-3 mb-6">
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newHabit}
+            onChange={(e) => setNewHabit(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+            placeholder="Add new habit..."
+            className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+          />
+          <button onClick={handleAdd} className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 flex items-center gap-2 transition">
+            <Plus size={20} /> Add
+          </button>
+        </div>
+        <ScheduleEditor value={schedule} onChange={setSchedule} />
+      </div>
+
+      <div className="space-y-3">
+        {habits.map(habit => {
+          const today = new Date().toDateString();
+          const isCompletedToday = habit.completedDates?.some(d => toDayKey(d) === today);
+          const streaks = calculateHabitStreaks(habit);
+          const isExpanded = expandedId === habit.id;
+          return (
+            <div key={habit.id} id={getItemElementId('habit', habit.id)} className="p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={() => onToggle(habit.id)}
+                  className={`w-8 h-8 rounded-full flex items-center justify-center transition ${
+                    isCompletedToday ? 'bg-green-500' : 'bg-gray-300 hover:bg-gray-400'
+                  }`}
+                >
+                  {isCompletedToday && <Check className="text-white" size={20} />}
+                </button>
+                <div className="flex-1">
+                  <p className="font-medium">{habit.name}</p>
+                  <p className="text-xs text-gray-500">{describeSchedule(habit.schedule)}</p>
+                </div>
+                <div className="text-right text-sm">
+                  <p className="font-bold text-purple-600">
+                    {streaks.current} {streaks.unit}{streaks.current === 1 ? '' : 's'} streak
+                  </p>
+                  <p className="text-xs text-gray-500">Best: {streaks.longest}</p>
+                </div>
+                <button
+                  onClick={() => setExpandedId(isExpanded ? null : habit.id)}
+                  className={`transition ${isExpanded ? 'text-purple-700' : 'text-purple-500 hover:text-purple-700'}`}
+                  title="Calendar and schedule"
+                >
+                  <Calendar size={18} />
+                </button>
+                <button onClick={() => onDelete(habit.id)} className="text-red-500 hover:text-red-700 transition">
+                  <Trash2 size={18} />
+                </button>
+              </div>
+              {isExpanded && (
+                <div className="mt-4 space-y-3">
+                  <HabitCalendar habit={habit} onToggle={(date) => onToggle(habit.id, date)} />
+                  <ScheduleEditor
+                    value={habit.schedule || DEFAULT_HABIT_SCHEDULE}
+                    onChange={(newSchedule) => onUpdate(habit.id, { schedule: newSchedule })}
+                  />
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {habits.length === 0 && (
+          <p className="text-gray-500 text-center py-8">No habits yet. Add your first habit above!</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// To-dos. `dueDate` is local midnight of the due day, `completedAt` is when the task
+// was ticked off and `subtasks` are `{ id, title, completed, completedAt }` checklist items.
+const TODO_PRIORITIES = {
+  high: { label: 'High', rank: 0, badge: 'bg-red-200 text-red-800' },
+  medium: { label: 'Medium', rank: 1, badge: 'bg-yellow-200 text-yellow-800' },
+  low: { label: 'Low', rank: 2, badge: 'bg-blue-200 text-blue-800' },
+  none: { label: 'None', rank: 3, badge: '' }
+};
+
+const TODO_VIEWS = [
+  { id: 'all', label: 'All' },
+  { id: 'today', label: 'Today' },
+  { id: 'upcoming', label: 'Upcoming' },
+  { id: 'overdue', label: 'Overdue' }
+];
+
+const TODO_SORTS = {
+  due: { label: 'Due date', compare: (a, b) => compareDueDates(a, b) || comparePriorities(a, b) },
+  priority: { label: 'Priority', compare: (a, b) => comparePriorities(a, b) || compareDueDates(a, b) },
+  created: { label: 'Newest', compare: (a, b) => new Date(b.createdAt) - new Date(a.createdAt) },
+  completed: { label: 'Recently completed', compare: (a, b) => (getTodoCompletedAt(b)?.getTime() || 0) - (getTodoCompletedAt(a)?.getTime() || 0) }
+};
+
+const EMPTY_TODO_FILTERS = { priority: '', tag: '', status: 'open' };
+
+// Tasks completed before `completedAt` was recorded fall back to when they were created
+function getTodoCompletedAt(todo) {
+  if (!todo.completed) return null;
+  return new Date(todo.completedAt || todo.createdAt);
+}
+
+const getTodoPriority = (todo) => TODO_PRIORITIES[todo.priority] || TODO_PRIORITIES.none;
+
+const comparePriorities = (a, b) => getTodoPriority(a).rank - getTodoPriority(b).rank;
+
+// Tasks without a due date sort last
+const compareDueDates = (a, b) =>
+  (a.dueDate ? new Date(a.dueDate).getTime() : Infinity) - (b.dueDate ? new Date(b.dueDate).getTime() : Infinity) || 0;
+
+// "errands, #home, errands" -> ['errands', 'home']
+const parseTags = (text) => [...new Set(
+  text.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean)
+)];
+
+// Which view a task falls in, relative to the start of today
+function getTodoDueStatus(todo, now = new Date()) {
+  if (todo.completed || !todo.dueDate) return null;
+  const today = startOfDay(now);
+  const due = startOfDay(todo.dueDate);
+  if (due < today) return 'overdue';
+  return due.getTime() === today.getTime() ? 'today' : 'upcoming';
+}
+
+function filterTodos(todos, view, { priority, tag, status }, now = new Date()) {
+  return todos.filter(todo => {
+    if (view !== 'all' && getTodoDueStatus(todo, now) !== view) return false;
+    if (status === 'open' && todo.completed) return false;
+    if (status === 'done' && !todo.completed) return false;
+    if (priority && (todo.priority || 'none') !== priority) return false;
+    return !tag || (todo.tags || []).includes(tag);
+  });
+}
+
+// Repeating to-dos. `recurrence` is one of
+//   { type: 'interval', days }        every N days from the due date
+//   { type: 'weekly', weekdays }      on the chosen days (0 = Sunday)
+//   { type: 'monthly', day }          on a day of the month, clamped to short months
+//   { type: 'afterCompletion', days } N days after the instance was completed
+// Completing an instance keeps it as history and adds the next one to the same `seriesId`.
+const DEFAULT_TODO_RECURRENCES = {
+  interval: { type: 'interval', days: 2 },
+  weekly: { type: 'weekly', weekdays: [1] },
+  monthly: { type: 'monthly', day: 1 },
+  afterCompletion: { type: 'afterCompletion', days: 7 }
+};
+const MAX_RECURRENCE_STEPS = 1000;
+
+function describeTodoRecurrence(recurrence) {
+  switch (recurrence.type) {
+    case 'interval': return recurrence.days === 1 ? 'Every day' : `Every ${recurrence.days} days`;
+    case 'weekly': return `Weekly on ${[...recurrence.weekdays].sort().map(d => WEEKDAY_LABELS[d]).join(', ')}`;
+    case 'monthly': return `Monthly on day ${recurrence.day}`;
+    default: return `${recurrence.days} day${recurrence.days === 1 ? '' : 's'} after completion`;
+  }
+}
+
+function stepTodoRecurrence(recurrence, date) {
+  switch (recurrence.type) {
+    case 'weekly': {
+      let next = addDays(date, 1);
+      for (let i = 0; i < 7 && !recurrence.weekdays.includes(next.getDay()); i++) next = addDays(next, 1);
+      return next;
+    }
+    case 'monthly': {
+      const sameMonth = addMonthsClamped(date, 0, recurrence.day);
+      return sameMonth > date ? sameMonth : addMonthsClamped(date, 1, recurrence.day);
+    }
+    default: return addDays(date, recurrence.days);
+  }
+}
+
+// Due date of the instance after one completed at `completedAt`. Occurrences that are
+// already past are skipped, so finishing a chore late doesn't queue up missed ones.
+function nextTodoDueDate({ recurrence, dueDate }, completedAt) {
+  const today = startOfDay(completedAt);
+  if (recurrence.type === 'afterCompletion') return addDays(today, recurrence.days);
+  let next = stepTodoRecurrence(recurrence, startOfDay(dueDate || completedAt));
+  for (let i = 0; next <= today && i < MAX_RECURRENCE_STEPS; i++) next = stepTodoRecurrence(recurrence, next);
+  return next;
+}
+
+// The next open instance of a repeating to-do; subtasks start unticked again
+function createNextTodoInstance(todo, completedAt, id) {
+  return {
+    ...todo,
+    id,
+    seriesId: todo.seriesId ?? todo.id,
+    completed: false,
+    completedAt: null,
+    nextInstanceId: null,
+    dueDate: nextTodoDueDate(todo, completedAt).toISOString(),
+    subtasks: (todo.subtasks || []).map(s => ({ ...s, completed: false, completedAt: null })),
+    ...EMPTY_PHOTO_IDS,
+    createdAt: new Date(completedAt).toISOString()
+  };
+}
+
+function TodoRecurrenceEditor({ value, onChange, className }) {
+  const type = value?.type || '';
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day];
+    if (weekdays.length > 0) onChange({ ...value, weekdays });
+  };
+
+  const numberInput = (field, min, max) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={value[field]}
+      onChange={(e) => onChange({ ...value, [field]: Math.min(max, Math.max(min, parseInt(e.target.value, 10) || min)) })}
+      className={`w-20 ${className}`}
+    />
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Repeat size={16} className="text-gray-500" />
+      <select
+        value={type}
+        onChange={(e) => onChange(e.target.value ? DEFAULT_TODO_RECURRENCES[e.target.value] : null)}
+        className={className}
+      >
+        <option value="">Doesn't repeat</option>
+        <option value="interval">Every N days</option>
+        <option value="weekly">Weekly on...</option>
+        <option value="monthly">Monthly on day...</option>
+        <option value="afterCompletion">N days after completion</option>
+      </select>
+      {(type === 'interval' || type === 'afterCompletion') && (
+        <>
+          {numberInput('days', 1, 365)}
+          <span className="text-sm text-gray-600">days</span>
+        </>
+      )}
+      {type === 'monthly' && numberInput('day', 1, 31)}
+      {type === 'weekly' && WEEKDAY_LABELS.map((label, day) => (
+        <button
+          key={label}
+          onClick={() => toggleWeekday(day)}
+          className={`px-2 py-1 rounded text-sm transition ${
+            value.weekdays.includes(day) ? 'bg-blue-600 text-white' : 'bg-gray-100 hover:bg-gray-200'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function TodoEditForm({ todo, onSave, onCancel }) {
+  const [task, setTask] = useState(todo.task);
+  const [dueDate, setDueDate] = useState(todo.dueDate ? toDateInputValue(new Date(todo.dueDate)) : '');
+  const [priority, setPriority] = useState(todo.priority || 'none');
+  const [tags, setTags] = useState((todo.tags || []).join(', '));
+  const [recurrence, setRecurrence] = useState(todo.recurrence || null);
+
+  const handleSave = () => {
+    if (task.trim()) {
+      onSave({
+        task,
+        dueDate: dueDate ? fromDateInputValue(dueDate).toISOString() : null,
+        priority,
+        tags: parseTags(tags),
+        recurrence
+      });
+    }
+  };
+
+  return (
+    <div className="p-3 bg-blue-50 rounded-lg space-y-2">
+      <input
+        type="text"
+        value={task}
+        onChange={(e) => setTask(e.target.value)}
+        className="w-full px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+      />
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          className="px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+        />
+        <select
+          value={priority}
+          onChange={(e) => setPriority(e.target.value)}
+          className="px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+        >
+          {Object.entries(TODO_PRIORITIES).map(([value, { label }]) => <option key={value} value={value}>{label} priority</option>)}
+        </select>
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Tags, comma separated"
+          className="flex-1 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+        />
+        <TodoRecurrenceEditor
+          value={recurrence}
+          onChange={setRecurrence}
+          className="px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+        />
+        <div className="flex gap-2 ml-auto">
+          <button onClick={onCancel} className="px-3 py-1 text-gray-600 hover:text-gray-800 transition">
+            Cancel
+          </button>
+          <button onClick={handleSave} className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition">
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SubtaskList({ todo, onAdd, onToggle, onDelete }) {
+  const [title, setTitle] = useState('');
+  const subtasks = todo.subtasks || [];
+
+  const handleAdd = () => {
+    if (title.trim()) {
+      onAdd(todo.id, title.trim());
+      setTitle('');
+    }
+  };
+
+  return (
+    <div className="mt-3 ml-11 space-y-1">
+      {subtasks.map(subtask => (
+        <div key={subtask.id} className="flex items-center gap-2 text-sm">
+          <button
+            onClick={() => onToggle(todo.id, subtask.id)}
+            className={`w-5 h-5 rounded flex items-center justify-center transition ${
+              subtask.completed ? 'bg-green-500' : 'bg-gray-300 hover:bg-gray-400'
+            }`}
+          >
+            {subtask.completed && <Check className="text-white" size={14} />}
+          </button>
+          <span className={`flex-1 ${subtask.completed ? 'line-through text-gray-400' : ''}`}>{subtask.title}</span>
+          <button onClick={() => onDelete(todo.id, subtask.id)} className="text-red-400 hover:text-red-600 transition">
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="Add subtask..."
+          className="flex-1 px-3 py-1 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+        />
+        <button onClick={handleAdd} className="text-blue-600 hover:text-blue-700 transition">
+          <Plus size={18} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TodoList({ todos, focusId, onAdd, onToggle, onUpdate, onUploadPhoto, onDelete, onAddSubtask, onToggleSubtask, onDeleteSubtask }) {
+  const [newTodo, setNewTodo] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [priority, setPriority] = useState('none');
+  const [tags, setTags] = useState('');
+  const [recurrence, setRecurrence] = useState(null);
+  const [view, setView] = useState('all');
+  const [filters, setFilters] = useState(EMPTY_TODO_FILTERS);
+  const [sortBy, setSortBy] = useState('due');
+  const [editingId, setEditingId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [viewingPhotoId, setViewingPhotoId] = useState(null);
+  const closePhoto = useCallback(() => setViewingPhotoId(null), []);
+  const viewingTodo = todos.find(t => t.id === viewingPhotoId);
+
+  const handleAdd = () => {
+    if (newTodo.trim()) {
+      onAdd(newTodo, {
+        dueDate: dueDate ? fromDateInputValue(dueDate).toISOString() : null,
+        priority,
+        tags: parseTags(tags),
+        recurrence
+      });
+      setNewTodo('');
+      setDueDate('');
+      setPriority('none');
+      setTags('');
+      setRecurrence(null);
+    }
+  };
+
+  // Completed instances per repeating series, shown as its history
+  const seriesHistory = useMemo(() => {
+    const history = {};
+    todos.forEach(t => {
+      if (t.completed && (t.recurrence || t.seriesId)) {
+        const seriesId = t.seriesId ?? t.id;
+        history[seriesId] = (history[seriesId] || 0) + 1;
+      }
+    });
+    return history;
+  }, [todos]);
+
+  const allTags = useMemo(() =>
+    [...new Set(todos.flatMap(t => t.tags || []))].sort((a, b) => a.localeCompare(b)),
+    [todos]
+  );
+
+  const viewCounts = useMemo(() => {
+    const counts = { all: todos.filter(t => !t.completed).length, today: 0, upcoming: 0, overdue: 0 };
+    todos.forEach(todo => {
+      const status = getTodoDueStatus(todo);
+      if (status) counts[status]++;
+    });
+    return counts;
+  }, [todos]);
+
+  const visibleTodos = useMemo(() =>
+    filterTodos(todos, view, filters).sort(TODO_SORTS[sortBy].compare),
+    [todos, view, filters, sortBy]
+  );
+
+  // Show every task when the palette jumps to one the current view hides. Only a newly
+  // focused task does this, so the view can be narrowed again while it stays focused.
+  const revealedFocusIdRef = useRef(null);
+  useEffect(() => {
+    if (focusId === revealedFocusIdRef.current) return;
+    revealedFocusIdRef.current = focusId;
+    if (focusId !== null && !visibleTodos.some(t => t.id === focusId)) {
+      setView('all');
+      setFilters({ ...EMPTY_TODO_FILTERS, status: '' });
+    }
+  }, [focusId, visibleTodos]);
+
+  const selectClass = 'px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold mb-4">To-Do List</h2>
+      <div className="space-y-2 mb-6">
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newTodo}
+            onChange={(e) => setNewTodo(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+            placeholder="Add new task..."
+            className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+          />
+          <button onClick={handleAdd} className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2 transition">
+            <Plus size={20} /> Add
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            title="Due date"
+            className={selectClass}
+          />
+          <select value={priority} onChange={(e) => setPriority(e.target.value)} className={selectClass}>
+            {Object.entries(TODO_PRIORITIES).map(([value, { label }]) => <option key={value} value={value}>{label} priority</option>)}
+          </select>
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags, comma separated"
+            className={`flex-1 ${selectClass}`}
+          />
+          <TodoRecurrenceEditor value={recurrence} onChange={setRecurrence} className={selectClass} />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {TODO_VIEWS.map(v => (
+          <button
+            key={v.id}
+            onClick={() => setView(v.id)}
+            className={`px-4 py-2 rounded-lg transition ${
+              view === v.id ? 'bg-blue-600 text-white' : 'bg-gray-100 hover:bg-gray-200'
+            } ${v.id === 'overdue' && viewCounts.overdue > 0 && view !== v.id ? 'text-red-600 font-bold' : ''}`}
+          >
+            {v.label} ({viewCounts[v.id]})
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2 mb-4 text-sm">
+        <select value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })} className={selectClass}>
+          <option value="open">Open</option>
+          <option value="done">Completed</option>
+          <option value="">Open and completed</option>
+        </select>
+        <select value={filters.priority} onChange={(e) => setFilters({ ...filters, priority: e.target.value })} className={selectClass}>
+          <option value="">Any priority</option>
+          {Object.entries(TODO_PRIORITIES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <select value={filters.tag} onChange={(e) => setFilters({ ...filters, tag: e.target.value })} className={selectClass}>
+          <option value="">Any tag</option>
+          {allTags.map(tag => <option key={tag} value={tag}>#{tag}</option>)}
+        </select>
+        <label className="flex items-center gap-2 ml-auto text-gray-600">
+          Sort by
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={selectClass}>
+            {Object.entries(TODO_SORTS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="space-y-3">
+        {visibleTodos.map(todo => {
+          if (editingId === todo.id) {
+            return (
+              <TodoEditForm
+                key={todo.id}
+                todo={todo}
+                onSave={(changes) => {
+                  onUpdate(todo.id, changes);
+                  setEditingId(null);
+                }}
+                onCancel={() => setEditingId(null)}
+              />
+            );
+          }
+          const dueStatus = getTodoDueStatus(todo);
+          const todoPriority = getTodoPriority(todo);
+          const subtasks = todo.subtasks || [];
+          const subtasksDone = subtasks.filter(s => s.completed).length;
+          const completedAt = getTodoCompletedAt(todo);
+          return (
+            <div key={todo.id} id={getItemElementId('todo', todo.id)} className="p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={() => onToggle(todo.id)}
+                  className={`w-8 h-8 rounded-full flex-shrink-0 flex items-center justify-center transition ${
+                    todo.completed ? 'bg-green-500' : 'bg-gray-300 hover:bg-gray-400'
+                  }`}
+                >
+                  {todo.completed && <Check className="text-white" size={20} />}
+                </button>
+                <div className="flex-1">
+                  <span className={todo.completed ? 'line-through text-gray-400' : ''}>
+                    {todo.task}
+                  </span>
+                  <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+                    {todo.priority && todo.priority !== 'none' && (
+                      <span className={`px-2 py-0.5 rounded-full ${todoPriority.badge}`}>{todoPriority.label}</span>
+                    )}
+                    {todo.dueDate && (
+                      <span className={dueStatus === 'overdue' ? 'text-red-600 font-bold' : dueStatus === 'today' ? 'text-blue-600 font-bold' : 'text-gray-500'}>
+                        Due {new Date(todo.dueDate).toLocaleDateString()}
+                      </span>
+                    )}
+                    {(todo.tags || []).map(tag => (
+                      <button
+                        key={tag}
+                        onClick={() => setFilters({ ...filters, tag })}
+                        className="px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 hover:bg-gray-300 transition"
+                      >
+                        #{tag}
+                      </button>
+                    ))}
+                    {todo.recurrence && (
+                      <span className="flex items-center gap-1 text-gray-500">
+                        <Repeat size={12} /> {describeTodoRecurrence(todo.recurrence)}
+                        {seriesHistory[todo.seriesId ?? todo.id] > 0 && ` · done ${seriesHistory[todo.seriesId ?? todo.id]}×`}
+                      </span>
+                    )}
+                    {subtasks.length > 0 && (
+                      <span className="text-gray-500">{subtasksDone}/{subtasks.length} subtasks</span>
+                    )}
+                    {completedAt && (
+                      <span className="text-green-600">Done {completedAt.toLocaleDateString()}</span>
+                    )}
+                  </div>
+                </div>
+                <button
+                  onClick={() => setExpandedId(expandedId === todo.id ? null : todo.id)}
+                  className="text-sm text-blue-600 hover:text-blue-700 transition"
+                  title="Subtasks"
+                >
+                  {expandedId === todo.id ? 'Hide' : 'Subtasks'}
+                </button>
+                <button onClick={() => setEditingId(todo.id)} className="text-blue-500 hover:text-blue-700 transition">
+                  <Pencil size={18} />
+                </button>
+                <label className="cursor-pointer text-blue-600 hover:text-blue-700 transition">
+                  <Camera size={18} />
+                  <input
+                    type="file"
+                    accept="image/*"
+                    className="hidden"
+                    onChange={(e) => e.target.files[0] && onUploadPhoto(todo.id, e.target.files[0])}
+                  />
+                </label>
+                <button onClick={() => onDelete(todo.id)} className="text-red-500 hover:text-red-700 transition">
+                  <Trash2 size={18} />
+                </button>
+              </div>
+              {expandedId === todo.id && (
+                <SubtaskList todo={todo} onAdd={onAddSubtask} onToggle={onToggleSubtask} onDelete={onDeleteSubtask} />
+              )}
+              {(todo.photoId || todo.photo) && (
+                <button onClick={() => setViewingPhotoId(todo.id)} className="block mt-3">
+                  <StoredPhoto photoId={todo.thumbnailId || todo.photoId} src={todo.photo} alt="Proof" className="rounded-lg max-w-xs border" />
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {todos.length === 0 && (
+          <p className="text-gray-500 text-center py-8">No tasks yet. Add your first task above!</p>
+        )}
+        {todos.length > 0 && visibleTodos.length === 0 && (
+          <p className="text-gray-500 text-center py-8">No tasks match this view</p>
+        )}
+      </div>
+
+      {viewingTodo && (
+        <Lightbox
+          entries={[{ photo: viewingTodo, memory: { title: viewingTodo.task, date: getTodoCompletedAt(viewingTodo) || viewingTodo.createdAt } }]}
+          startIndex={0}
+          onClose={closePhoto}
+        />
+      )}
+    </div>
+  );
+}
+
+// Expense categories are referenced from expenses by name
+const DEFAULT_EXPENSE_CATEGORIES = ['Food', 'Transport', 'Shopping', 'Bills', 'Entertainment', 'Other']
+  .map((name, index) => ({ id: index + 1, name, monthlyBudget: null }));
+
+// Names are compared case-insensitively; "food" and "Food" would look like one category
+const hasCategoryNamed = (categories, name, exceptId = null) =>
+  categories.some(c => c.id !== exceptId && c.name.toLowerCase() === name.trim().toLowerCase());
+
+const BUDGET_WARNING_RATIO = 0.8;
+
+function calculateMonthlySpending(expenses, month = new Date()) {
+  const totals = {};
+  expenses.forEach(expense => {
+    if (isSameMonth(expense.date, month)) {
+      totals[expense.category] = (totals[expense.category] || 0) + expense.amount;
+    }
+  });
+  return totals;
+}
+
+// This month's spending against each category's budget (`budget` is null when none is set)
+function calculateBudgetStatus(categories, expenses, month = new Date()) {
+  const spending = calculateMonthlySpending(expenses, month);
+  return categories.map(category => {
+    const spent = spending[category.name] || 0;
+    const budget = category.monthlyBudget ?? null;
+    return {
+      category: category.name,
+      spent,
+      budget,
+      remaining: budget === null ? null : budget - spent
     };
-    setExpenses(prev => [...prev, newExpense]);
-  }, [setExpenses]);
+  });
+}
+
+function BudgetProgress({ status }) {
+  const { format } = useMoney();
+  const ratio = status.budget ? status.spent / status.budget : 0;
+  const barColor = ratio > 1 ? 'bg-red-500' : ratio >= BUDGET_WARNING_RATIO ? 'bg-yellow-500' : 'bg-green-500';
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between text-sm mb-1">
+        <span className="font-medium">{status.category}</span>
+        <span className={ratio > 1 ? 'text-red-600 font-bold' : 'text-gray-600'}>
+          {format(status.spent)}
+          {status.budget !== null ? ` of ${format(status.budget)}` : ' · no budget'}
+        </span>
+      </div>
+      {status.budget !== null && (
+        <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div className={`h-full ${barColor}`} style={{ width: `${Math.min(100, ratio * 100)}%` }} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CategoryManager({ categories, onAdd, onUpdate, onDelete }) {
+  const [name, setName] = useState('');
+  const [budget, setBudget] = useState('');
+
+  const handleAdd = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (hasCategoryNamed(categories, trimmed)) {
+      alert(`A category named "${trimmed}" already exists.`);
+      return;
+    }
+    onAdd(trimmed, budget);
+    setName('');
+    setBudget('');
+  };
+
+  return (
+    <div className="space-y-2 p-4 bg-gray-50 rounded-lg">
+      {categories.map(category => (
+        <div key={category.id} className="flex items-center gap-2">
+          <input
+            type="text"
+            defaultValue={category.name}
+            onBlur={(e) => {
+              const trimmed = e.target.value.trim();
+              if (trimmed && hasCategoryNamed(categories, trimmed, category.id)) {
+                alert(`A category named "${trimmed}" already exists.`);
+                e.target.value = category.name;
+              } else if (trimmed && trimmed !== category.name) {
+                onUpdate(category.id, { name: trimmed });
+              } else {
+                e.target.value = category.name;
+              }
+            }}
+            className="flex-1 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            defaultValue={category.monthlyBudget ?? ''}
+            onBlur={(e) => {
+              const monthlyBudget = e.target.value ? parseFloat(e.target.value) : null;
+              if (monthlyBudget !== (category.monthlyBudget ?? null)) onUpdate(category.id, { monthlyBudget });
+            }}
+            placeholder="No budget"
+            className="w-32 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <button onClick={() => onDelete(category.id)} className="text-red-500 hover:text-red-700 transition">
+            <Trash2 size={18} />
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center gap-2 pt-2 border-t">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New category..."
+          className="flex-1 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+        />
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          value={budget}
+          onChange={(e) => setBudget(e.target.value)}
+          placeholder="Monthly budget"
+          className="w-32 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+        />
+        <button onClick={handleAdd} className="text-green-600 hover:text-green-700 transition">
+          <Plus size={20} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const EXPENSE_REPORT_PERIODS = ['week', 'month', 'year'];
+
+// Start (inclusive) and end (exclusive) of the week, month or year containing `anchor`
+function getPeriodRange(period, anchor) {
+  const date = startOfDay(anchor);
+  if (period === 'week') {
+    const start = startOfWeek(date);
+    return { start, end: addDays(start, 7) };
+  }
+  if (period === 'month') {
+    return {
+      start: new Date(date.getFullYear(), date.getMonth(), 1),
+      end: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+    };
+  }
+  return { start: new Date(date.getFullYear(), 0, 1), end: new Date(date.getFullYear() + 1, 0, 1) };
+}
+
+function shiftPeriod(period, anchor, steps) {
+  const date = new Date(anchor);
+  if (period === 'week') return addDays(date, steps * 7);
+  if (period === 'month') return new Date(date.getFullYear(), date.getMonth() + steps, 1);
+  return new Date(date.getFullYear() + steps, 0, 1);
+}
+
+function describePeriod(period, { start, end }) {
+  if (period === 'week') {
+    const last = addDays(end, -1);
+    return `${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+  if (period === 'month') return start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  return String(start.getFullYear());
+}
+
+// Totals for a period: per day (week, month) or per month (year), per category,
+// and the previous period's total for comparison
+function buildExpenseReport(expenses, period, anchor) {
+  const range = getPeriodRange(period, anchor);
+  const previous = getPeriodRange(period, shiftPeriod(period, anchor, -1));
+  const inRange = ({ start, end }) => (e) => {
+    const date = new Date(e.date);
+    return date >= start && date < end;
+  };
+
+  const current = expenses.filter(inRange(range));
+  const buckets = [];
+  if (period === 'year') {
+    for (let month = 0; month < 12; month++) {
+      buckets.push({
+        label: new Date(range.start.getFullYear(), month, 1).toLocaleDateString('en-US', { month: 'short' }),
+        matches: (date) => date.getMonth() === month,
+        Amount: 0
+      });
+    }
+  } else {
+    for (let day = range.start; day < range.end; day = addDays(day, 1)) {
+      const key = day.toDateString();
+      buckets.push({
+        label: day.toLocaleDateString('en-US', period === 'week' ? { weekday: 'short' } : { day: 'numeric' }),
+        matches: (date) => date.toDateString() === key,
+        Amount: 0
+      });
+    }
+  }
+
+  const byCategory = {};
+  current.forEach(expense => {
+    const date = new Date(expense.date);
+    const bucket = buckets.find(b => b.matches(date));
+    if (bucket) bucket.Amount += expense.amount;
+    byCategory[expense.category] = (byCategory[expense.category] || 0) + expense.amount;
+  });
+
+  return {
+    label: describePeriod(period, range),
+    total: current.reduce((sum, e) => sum + e.amount, 0),
+    previousTotal: expenses.filter(inRange(previous)).reduce((sum, e) => sum + e.amount, 0),
+    count: current.length,
+    series: buckets.map(({ label, Amount }) => ({ label, Amount: Math.round(Amount * 100) / 100 })),
+    categories: Object.entries(byCategory)
+      .map(([category, amount]) => ({ category, Amount: Math.round(amount * 100) / 100 }))
+      .sort((a, b) => b.Amount - a.Amount)
+  };
+}
+
+function filterExpenses(expenses, { from, to, category, text }) {
+  const start = from ? fromDateInputValue(from) : null;
+  const end = to ? addDays(fromDateInputValue(to), 1) : null;
+  const query = text.trim().toLowerCase();
+  return expenses.filter(expense => {
+    const date = new Date(expense.date);
+    if (start && date < start) return false;
+    if (end && date >= end) return false;
+    if (category && expense.category !== category) return false;
+    if (query && !expense.description.toLowerCase().includes(query) && !expense.category.toLowerCase().includes(query)) return false;
+    return true;
+  });
+}
+
+// `expenses` must already be converted to the base currency
+function ExpenseReports({ expenses }) {
+  const { format } = useMoney();
+  const [period, setPeriod] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+
+  const report = useMemo(() => buildExpenseReport(expenses, period, anchor), [expenses, period, anchor]);
+  const change = report.previousTotal > 0
+    ? ((report.total - report.previousTotal) / report.previousTotal) * 100
+    : null;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-bold">Reports</h3>
+        <div className="flex items-center gap-2">
+          {EXPENSE_REPORT_PERIODS.map(p => (
+            <button
+              key={p}
+              onClick={() => setPeriod(p)}
+              className={`px-3 py-1 rounded-lg text-sm capitalize transition ${
+                period === p ? 'bg-green-600 text-white' : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+            >
+              {p}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between mb-3">
+        <button onClick={() => setAnchor(shiftPeriod(period, anchor, -1))} className="p-1 text-gray-600 hover:text-gray-800 transition">
+          <ChevronLeft size={20} />
+        </button>
+        <div className="text-center">
+          <p className="font-medium">{report.label}</p>
+          <p className="text-sm text-gray-500">
+            {format(report.total)} across {report.count} expense{report.count === 1 ? '' : 's'}
+            {change !== null && (
+              <span className={change > 0 ? 'text-red-600' : 'text-green-600'}>
+                {' '}({change > 0 ? '+' : ''}{change.toFixed(0)}% vs previous {period})
+              </span>
+            )}
+          </p>
+        </div>
+        <button onClick={() => setAnchor(shiftPeriod(period, anchor, 1))} className="p-1 text-gray-600 hover:text-gray-800 transition">
+          <ChevronRight size={20} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <ResponsiveContainer width="100%" height={250}>
+          <BarChart data={report.series}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis />
+            <Tooltip formatter={(value) => format(value)} />
+            <Bar dataKey="Amount" fill="#10b981" />
+          </BarChart>
+        </ResponsiveContainer>
+        <ResponsiveContainer width="100%" height={250}>
+          <BarChart data={report.categories} layout="vertical">
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" />
+            <YAxis type="category" dataKey="category" width={100} />
+            <Tooltip formatter={(value) => format(value)} />
+            <Bar dataKey="Amount" fill="#3b82f6" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+function ExpenseEditForm({ expense, categories, onSave, onCancel }) {
+  const { baseCurrency } = useMoney();
+  const [description, setDescription] = useState(expense.description);
+  const [amount, setAmount] = useState(String(expense.amount));
+  const [currency, setCurrency] = useState(expense.currency || baseCurrency);
+  const [category, setCategory] = useState(expense.category);
+  const [date, setDate] = useState(toDateInputValue(new Date(expense.date)));
+
+  const handleSave = () => {
+    const parsed = parseFloat(amount);
+    if (description.trim() && Number.isFinite(parsed) && parsed > 0 && date) {
+      onSave({
+        description,
+        amount: parsed,
+        currency,
+        category,
+        date: toStoredDate(date, expense.date)
+      });
+    }
+  };
+
+  // Keep a renamed-away or deleted category selectable so editing doesn't silently change it
+  const categoryNames = categories.some(c => c.name === expense.category)
+    ? categories.map(c => c.name)
+    : [expense.category, ...categories.map(c => c.name)];
+
+  return (
+    <div className="p-3 bg-green-50 rounded-lg space-y-2">
+      <input
+        type="text"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        className="w-full px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+      />
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="number"
+          step="0.01"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className="w-28 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+        />
+        <CurrencySelect
+          value={currency}
+          onChange={setCurrency}
+          className="px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+        />
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+        >
+          {categoryNames.map(name => <option key={name}>{name}</option>)}
+        </select>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+        />
+        <div className="flex gap-2 ml-auto">
+          <button onClick={onCancel} className="px-3 py-1 text-gray-600 hover:text-gray-800 transition">
+            Cancel
+          </button>
+          <button onClick={handleSave} className="bg-green-600 text-white px-3 py-1 rounded-lg hover:bg-green-700 transition">
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const EMPTY_EXPENSE_FILTERS = { from: '', to: '', category: '', text: '' };
+
+// `expenses` are shown as entered; totals and reports use `baseExpenses`, converted to the base currency
+function ExpenseTracker({ expenses, baseExpenses, totalExpenses, categories, budgetStatus, onAdd, onUpdate, onDelete, onImportCsv, onAddCategory, onUpdateCategory, onDeleteCategory }) {
+  const { baseCurrency, format, toBase } = useMoney();
+  const [description, setDescription] = useState('');
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState(baseCurrency);
+  const [category, setCategory] = useState(categories[0]?.name || 'Other');
+  const [date, setDate] = useState(() => toDateInputValue(new Date()));
+  const [showCategoryManager, setShowCategoryManager] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_EXPENSE_FILTERS);
+  const [editingId, setEditingId] = useState(null);
+
+  const isFiltered = Object.values(filters).some(Boolean);
+  const filteredExpenses = useMemo(() =>
+    filterExpenses(expenses, filters).sort((a, b) => new Date(b.date) - new Date(a.date)),
+    [expenses, filters]
+  );
+
+  const filteredTotal = useMemo(() =>
+    filterExpenses(baseExpenses, filters).reduce((sum, e) => sum + e.amount, 0),
+    [baseExpenses, filters]
+  );
+
+  // Fall back to the first category if the selected one was renamed or deleted
+  useEffect(() => {
+    if (!categories.some(c => c.name === category)) {
+      setCategory(categories[0]?.name || 'Other');
+    }
+  }, [categories, category]);
+
+  // How this expense would leave its category's budget for the month
+  const budgetWarning = useMemo(() => {
+    const status = budgetStatus.find(b => b.category === category);
+    const value = toBase(parseFloat(amount), currency, date ? fromDateInputValue(date) : new Date());
+    if (!status || status.budget === null || !(value > 0)) return null;
+    if (date && !isSameMonth(fromDateInputValue(date), new Date())) return null;
+    const projected = status.spent + value;
+    if (projected <= status.budget) return null;
+    return `This puts ${category} at ${format(projected)}, over its ${format(status.budget)} monthly budget.`;
+  }, [budgetStatus, category, amount, currency, date, toBase, format]);
+
+  const handleAdd = () => {
+    const parsed = parseFloat(amount);
+    if (description.trim() && Number.isFinite(parsed) && parsed > 0 && date) {
+      if (budgetWarning && !window.confirm(`${budgetWarning} Add it anyway?`)) return;
+      onAdd(description, amount, category, toStoredDate(date), currency);
+      setDescription('');
+      setAmount('');
+      setDate(toDateInputValue(new Date()));
+    }
+  };
+
+  const categoryTotals = useMemo(() => {
+    const totals = {};
+    baseExpenses.forEach(expense => {
+      totals[expense.category] = (totals[expense.category] || 0) + expense.amount;
+    });
+    return totals;
+  }, [baseExpenses]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold">Expense Tracker</h2>
+        <button
+          onClick={onImportCsv}
+          className="bg-green-500 text-white px-4 py-2 rounded-lg hover:bg-green-600 flex items-center gap-2 transition"
+          title="Import a bank statement CSV"
+        >
+          <Upload size={18} />
+          Import CSV
+        </button>
+      </div>
+      <div className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200">
+        <p className="text-sm text-gray-600">Total Expenses</p>
+        <p className="text-3xl font-bold text-green-600">{format(totalExpenses)}</p>
+      </div>
+
+      <div className="space-y-3 mb-6">
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="Description..."
+          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+        />
+        <div className="flex gap-2">
+          <input
+            type="number"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="Amount"
+            className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <CurrencySelect
+            value={currency}
+            onChange={setCurrency}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          >
+            {categories.map(c => (
+              <option key={c.id}>{c.name}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+        </div>
+        {budgetWarning && (
+          <div className="flex items-center gap-2 p-3 bg-yellow-50 border-l-4 border-yellow-500 rounded-lg text-yellow-800 text-sm">
+            <AlertCircle size={18} className="flex-shrink-0" />
+            <span>{budgetWarning}</span>
+          </div>
+        )}
+        <button onClick={handleAdd} className="w-full bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 flex items-center justify-center gap-2 transition">
+          <Plus size={20} /> Add Expense
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-bold">This Month vs Budget</h3>
+          <button
+            onClick={() => setShowCategoryManager(!showCategoryManager)}
+            className="text-sm text-green-600 hover:text-green-700 transition"
+          >
+            {showCategoryManager ? 'Done' : 'Manage categories'}
+          </button>
+        </div>
+        {showCategoryManager ? (
+          <CategoryManager
+            categories={categories}
+            onAdd={onAddCategory}
+            onUpdate={onUpdateCategory}
+            onDelete={onDeleteCategory}
+          />
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {budgetStatus.map(status => (
+              <BudgetProgress key={status.category} status={status} />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {Object.keys(categoryTotals).length > 0 && (
+        <div className="mb-6">
+          <h3 className="font-bold mb-3">All-Time Spending by Category</h3>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {Object.entries(categoryTotals).map(([category, total]) => (
+              <div key={category} className="bg-blue-50 p-3 rounded-lg">
+                <p className="text-sm text-gray-600">{category}</p>
+                <p className="font-bold text-blue-600">{format(total)}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <ExpenseReports expenses={baseExpenses} />
+
+      <div className="space-y-2">
+        <h3 className="font-bold mb-2">Expense History</h3>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-3">
+          <input
+            type="text"
+            value={filters.text}
+            onChange={(e) => setFilters({ ...filters, text: e.target.value })}
+            placeholder="Search..."
+            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <select
+            value={filters.category}
+            onChange={(e) => setFilters({ ...filters, category: e.target.value })}
+            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          >
+            <option value="">All categories</option>
+            {categories.map(c => <option key={c.id}>{c.name}</option>)}
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            title="From"
+            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            title="To"
+            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+        </div>
+        {isFiltered && (
+          <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+            <span>
+              {filteredExpenses.length} matching · {format(filteredTotal)}
+            </span>
+            <button onClick={() => setFilters(EMPTY_EXPENSE_FILTERS)} className="text-green-600 hover:text-green-700 transition">
+              Clear filters
+            </button>
+          </div>
+        )}
+        {filteredExpenses.map(expense => (
+          editingId === expense.id ? (
+            <ExpenseEditForm
+              key={expense.id}
+              expense={expense}
+              categories={categories}
+              onSave={(changes) => {
+                onUpdate(expense.id, changes);
+                setEditingId(null);
+              }}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <div key={expense.id} id={getItemElementId('expense', expense.id)} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
+              <div className="flex-1">
+                <p className="font-medium">{expense.description}</p>
+                <p className="text-sm text-gray-500">{expense.category}</p>
+              </div>
+              <div className="text-right">
+                <p className="font-bold text-red-600">{format(expense.amount, expense.currency)}</p>
+                <p className="text-xs text-gray-500">{new Date(expense.date).toLocaleDateString()}</p>
+              </div>
+              <button onClick={() => setEditingId(expense.id)} className="text-blue-500 hover:text-blue-700 transition ml-2">
+                <Pencil size={18} />
+              </button>
+              <button onClick={() => onDelete(expense.id)} className="text-red-500 hover:text-red-700 transition ml-2">
+                <Trash2 size={18} />
+              </button>
+            </div>
+          )
+        ))}
+        {expenses.length === 0 && (
+          <p className="text-gray-500 text-center py-8">No expenses recorded yet</p>
+        )}
+        {expenses.length > 0 && filteredExpenses.length === 0 && (
+          <p className="text-gray-500 text-center py-8">No expenses match these filters</p>
+        )}
+      </div>
+    </div>
+  );
+}
 
-  const addNote = useCallback((title, content) => {
-    const newNote = {
-      id: Date.now(),
-      title,
-      content,
-      createdAt: new Date().toISOString()
-    };
-    setNotes(prev => [...prev, newNote]);
-  }, [setNotes]);
+// Recurring expenses: templates that create real expenses when they fall due.
+// `unit` and `interval` describe the cadence, e.g. every 1 month or every 2 weeks.
+const RECURRENCE_PRESETS = {
+  weekly: { unit: 'week', interval: 1 },
+  monthly: { unit: 'month', interval: 1 },
+  yearly: { unit: 'year', interval: 1 }
+};
+const RECURRENCE_UNITS = ['day', 'week', 'month', 'year'];
+const MAX_CATCH_UP_RUNS = 500;
+const UPCOMING_BILLS_DAYS = 30;
+const RECURRING_CHECK_INTERVAL = 60 * 60 * 1000;
 
-  const addMemory = useCallback((title, file) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const newMemory = {
-        id: Date.now(),
-        title,
-        photo: e.target.result,
-        createdAt: new Date().toISOString()
-      };
-      setMemories(prev => [...prev, newMemory]);
-    };
-    reader.readAsDataURL(file);
-  }, [setMemories]);
+// Moves by whole months, keeping the original day where the month is long enough (Jan 31 → Feb 29 → Mar 31)
+function addMonthsClamped(date, months, anchorDay) {
+  const result = new Date(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(anchorDay, daysInMonth));
+  return result;
+}
 
-  const addLoan = useCallback((personName, amount, note) => {
-    const newLoan = {
-      id: Date.now(),
-      personName,
-      amount: parseFloat(amount),
-      note,
-      returned: false,
-      dateGiven: new Date().toISOString()
-    };
-    setLoans(prev => [...prev, newLoan]);
-  }, [setLoans]);
+function nextOccurrence(template, date) {
+  const interval = template.interval || 1;
+  const anchorDay = new Date(template.startDate).getDate();
+  switch (template.unit) {
+    case 'day': return addDays(date, interval);
+    case 'week': return addDays(date, interval * 7);
+    case 'year': return addMonthsClamped(date, interval * 12, anchorDay);
+    default: return addMonthsClamped(date, interval, anchorDay);
+  }
+}
 
-  const toggleLoanReturn = useCallback((id) => {
-    setLoans(prev => prev.map(l => 
-      l.id === id ? { 
-        ...l, 
-        returned: !l.returned, 
-        dateReturned: !l.returned ? new Date().toISOString() : null 
-      } : l
-    ));
-  }, [setLoans]);
-  
-  const addSleepSession = useCallback((duration, isAfternoon) => {
-    const newSession = {
-      id: Date.now(),
-      duration: parseFloat(duration),
-      isAfternoon,
-      date: new Date().toISOString()
-    };
-    setSleepSessions(prev => [...prev, newSession]);
-  }, [setSleepSessions]);
-  
-  const deleteItem = useCallback((type, id) => {
-    const setters = {
-      habit: setHabits,
-      todo: setTodos,
-      expense: setExpenses,
-      note: setNotes,
-      memory: setMemories,
-      loan: setLoans,
-      sleep: setSleepSessions
-    };
+function describeRecurrence({ unit, interval }) {
+  if (interval === 1) {
+    return { day: 'Daily', week: 'Weekly', month: 'Monthly', year: 'Yearly' }[unit];
+  }
+  return `Every ${interval} ${unit}s`;
+}
 
-    const setter = setters[type];
-    if (setter) {
-      setter(prev => prev.filter(item => item.id !== id));
-    }
-  }, [setHabits, setTodos, setExpenses, setNotes, setMemories, setLoans, setSleepSessions]);
+const hasRecurrenceEnded = (template, date) =>
+  Boolean(template.endDate) && date > new Date(template.endDate);
 
-  // Optimized chart data with useMemo
-  const getChartData = useMemo(() => {
-    const last7Days = [];
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toDateString();
-      
-      const habitsCompleted = habits.reduce((sum, h) => {
-        return sum + (h.completedDates?.includes(dateStr) ? 1 : 0);
-      }, 0);
-      
-      const todosCompleted = todos.filter(t => {
-        const todoDate = new Date(t.createdAt).toDateString();
-        return t.completed && todoDate === dateStr;
-      }).length;
-
-      const dayExpenses = expenses.filter(e => {
-        return new Date(e.date).toDateString() === dateStr;
-      }).reduce((sum, e) => sum + e.amount, 0);
-
-      const daySleep = sleepSessions.filter(s => {
-        return new Date(s.date).toDateString() === dateStr;
-      }).reduce((sum, s) => sum + s.duration, 0);
-
-      last7Days.push({
-        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        Habits: habitsCompleted,
-        Tasks: todosCompleted,
-        Expenses: dayExpenses,
-        Sleep: daySleep
+// Rough monthly cost, for the subscriptions summary
+function monthlyCost({ amount, unit, interval }) {
+  const perMonth = { day: 30.44, week: 4.35, month: 1, year: 1 / 12 }[unit];
+  return (amount * perMonth) / interval;
+}
+
+// Creates an expense for every run that has fallen due, including runs missed while
+// the app was closed, and moves each template's `nextDueDate` past them
+function processRecurringExpenses(templates, now = new Date()) {
+  const created = [];
+  const updated = templates.map(template => {
+    if (template.paused) return template;
+    let due = new Date(template.nextDueDate);
+    let runs = 0;
+    while (due <= now && !hasRecurrenceEnded(template, due) && runs < MAX_CATCH_UP_RUNS) {
+      created.push({
+        description: template.description,
+        amount: template.amount,
+        category: template.category,
+        ...(template.currency && { currency: template.currency }),
+        date: due.toISOString(),
+        recurringId: template.id
       });
+      due = nextOccurrence(template, due);
+      runs++;
+    }
+    return runs === 0 ? template : { ...template, nextDueDate: due.toISOString() };
+  });
+  return { created, templates: updated };
+}
+
+function getUpcomingBills(templates, days = UPCOMING_BILLS_DAYS, now = new Date()) {
+  const horizon = addDays(startOfDay(now), days + 1);
+  const bills = [];
+  templates.forEach(template => {
+    if (template.paused) return;
+    let due = new Date(template.nextDueDate);
+    while (due < horizon && !hasRecurrenceEnded(template, due) && bills.length < 200) {
+      bills.push({ template, date: due });
+      due = nextOccurrence(template, due);
     }
-    return last7Days;
-  }, [habits, todos, expenses, sleepSessions]);
+  });
+  return bills.sort((a, b) => a.date - b.date);
+}
+
+function RecurringExpenses({ templates, categories, onAdd, onUpdate, onSkip, onResume, onDelete }) {
+  const { baseCurrency, format, toBase } = useMoney();
+  const [description, setDescription] = useState('');
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState(baseCurrency);
+  const [category, setCategory] = useState(categories.find(c => c.name === 'Bills')?.name || categories[0]?.name || 'Other');
+  const [frequency, setFrequency] = useState('monthly');
+  const [customInterval, setCustomInterval] = useState('2');
+  const [customUnit, setCustomUnit] = useState('week');
+  const [startDate, setStartDate] = useState(() => toDateInputValue(new Date()));
+  const [endDate, setEndDate] = useState('');
+
+  const upcomingBills = useMemo(() => getUpcomingBills(templates), [templates]);
+  const activeMonthlyCost = useMemo(() =>
+    templates
+      .filter(t => !t.paused && !hasRecurrenceEnded(t, new Date(t.nextDueDate)))
+      .reduce((sum, t) => sum + (toBase(monthlyCost(t), t.currency) ?? 0), 0),
+    [templates, toBase]
+  );
+
+  const handleAdd = () => {
+    const parsed = parseFloat(amount);
+    if (!description.trim() || !(Number.isFinite(parsed) && parsed > 0) || !startDate) return;
+    const cadence = frequency === 'custom'
+      ? { unit: customUnit, interval: Math.max(1, parseInt(customInterval, 10) || 1) }
+      : RECURRENCE_PRESETS[frequency];
+    onAdd({
+      description,
+      amount: parsed,
+      currency,
+      category,
+      ...cadence,
+      startDate: fromDateInputValue(startDate).toISOString(),
+      endDate: endDate ? addDays(fromDateInputValue(endDate), 1).toISOString() : null
+    });
+    setDescription('');
+    setAmount('');
+    setEndDate('');
+  };
 
   return (
-    <ErrorBoundary>
-      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50">
-        <div className="max-w-7xl mx-auto p-4">
-          <header className="bg-white rounded-lg shadow-md p-6 mb-6">
-            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
-              <div>
-                <h1 className="text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-600 to-blue-600">
-                  Soumik's Lifestyle
-                </h1>
-                <p className="text-gray-600 mt-2">Track your life, one day at a time</p>
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold mb-4">Recurring Bills & Subscriptions</h2>
+      {templates.length > 0 && (
+        <div className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200">
+          <p className="text-sm text-gray-600">Active recurring costs</p>
+          <p className="text-2xl font-bold text-green-600">≈ {format(activeMonthlyCost)} / month</p>
+        </div>
+      )}
+
+      <div className="space-y-3 mb-6 p-4 bg-gray-50 rounded-lg">
+        <h3 className="font-bold mb-2">Add Recurring Expense</h3>
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Description (e.g. Rent, Netflix)..."
+            className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <input
+            type="number"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="Amount"
+            className="w-32 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <CurrencySelect
+            value={currency}
+            onChange={setCurrency}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          >
+            {categories.map(c => <option key={c.id}>{c.name}</option>)}
+          </select>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+          >
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+            <option value="yearly">Yearly</option>
+            <option value="custom">Custom</option>
+          </select>
+          {frequency === 'custom' && (
+            <>
+              <span className="text-gray-600">every</span>
+              <input
+                type="number"
+                min="1"
+                value={customInterval}
+                onChange={(e) => setCustomInterval(e.target.value)}
+                className="w-20 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+              />
+              <select
+                value={customUnit}
+                onChange={(e) => setCustomUnit(e.target.value)}
+                className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+              >
+                {RECURRENCE_UNITS.map(unit => <option key={unit} value={unit}>{unit}s</option>)}
+              </select>
+            </>
+          )}
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Starts
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Ends
+            <input
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+            />
+          </label>
+        </div>
+        <button onClick={handleAdd} className="w-full bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 flex items-center justify-center gap-2 transition">
+          <Plus size={20} /> Add Recurring Expense
+        </button>
+      </div>
+
+      {upcomingBills.length > 0 && (
+        <div className="mb-6">
+          <h3 className="font-bold mb-2">Upcoming Bills (next {UPCOMING_BILLS_DAYS} days)</h3>
+          <div className="space-y-1">
+            {upcomingBills.map(({ template, date }) => (
+              <div key={`${template.id}-${date.getTime()}`} className="flex items-center justify-between p-2 border-b text-sm">
+                <span>{template.description}</span>
+                <span className="text-gray-500">{date.toLocaleDateString()}</span>
+                <span className="font-bold text-red-600">{format(template.amount, template.currency)}</span>
               </div>
-              <div className="mt-4 sm:mt-0 flex items-center gap-4">
-                <div className="bg-yellow-50 px-4 py-2 rounded-lg flex items-center gap-2">
-                  <Award className="text-yellow-500" size={24} />
-                  <span className="text-xl font-bold text-yellow-700">{rewards} Points</span>
-                </div>
-                <div className="flex gap-2">
-                  <button
-                    onClick={() => exportData(allData)}
-                    className="bg-green-500 text-white px-4 py-2 rounded-lg hover:bg-green-600 flex items-center gap-2 transition"
-                    title="Export all data"
-                  >
-                    <Download size={18} />
-                    Export
-                  </button>
-                  <button
-                    onClick={() => setShowImportModal(true)}
-                    className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 flex items-center gap-2 transition"
-                    title="Import data"
-                  >
-                    <Upload size={18} />
-                    Import
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {templates.map(template => {
+          const nextDue = new Date(template.nextDueDate);
+          const ended = hasRecurrenceEnded(template, nextDue);
+          return (
+            <div key={template.id} className={`flex flex-wrap items-center gap-3 p-3 rounded-lg ${ended || template.paused ? 'bg-gray-100 text-gray-500' : 'bg-gray-50'}`}>
+              <Repeat size={18} className="text-green-600" />
+              <div className="flex-1">
+                <p className="font-medium">{template.description}</p>
+                <p className="text-sm text-gray-500">
+                  {describeRecurrence(template)} · {template.category} ·{' '}
+                  {ended ? 'Ended' : template.paused ? 'Paused' : `Next ${nextDue.toLocaleDateString()}`}
+                </p>
+              </div>
+              <p className="font-bold text-red-600">{format(template.amount, template.currency)}</p>
+              {!ended && (
+                <div className="flex gap-2 text-sm">
+                  {template.paused ? (
+                    <button onClick={() => onResume(template.id)} className="px-2 py-1 rounded bg-green-500 text-white hover:bg-green-600 transition">
+                      Resume
+                    </button>
+                  ) : (
+                    <>
+                      <button onClick={() => onUpdate(template.id, { paused: true })} className="px-2 py-1 rounded bg-gray-500 text-white hover:bg-gray-600 transition">
+                        Pause
+                      </button>
+                      <button onClick={() => onSkip(template.id)} className="px-2 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 transition">
+                        Skip next
+                      </button>
+                    </>
+                  )}
+                  <button onClick={() => onUpdate(template.id, { endDate: new Date().toISOString() })} className="px-2 py-1 rounded bg-orange-500 text-white hover:bg-orange-600 transition">
+                    End
                   </button>
                 </div>
-              </div>
+              )}
+              <button onClick={() => onDelete(template.id)} className="text-red-500 hover:text-red-700 transition">
+                <Trash2 size={18} />
+              </button>
             </div>
-          </header>
+          );
+        })}
+        {templates.length === 0 && (
+          <p className="text-gray-500 text-center py-8">No recurring expenses yet</p>
+        )}
+      </div>
+    </div>
+  );
+}
 
-          {showImportModal && (
-            <ImportModal
-              onClose={() => setShowImportModal(false)}
-              onImport={(file) => {
-                importData(file, setAllData);
-                setShowImportModal(false);
-              }}
-            />
-          )}
+// Bank statement CSV import. A mapping describes how to read one bank's export;
+// saved mappings are kept as profiles.
+const DEFAULT_CSV_MAPPING = {
+  delimiter: ',',
+  hasHeader: true,
+  columns: { date: 0, description: 1, amount: 2, indicator: null },
+  dateFormat: 'YMD',
+  decimalSeparator: '.',
+  // 'negative': expenses are negative amounts; 'positive': expenses are positive;
+  // 'indicator': a separate column marks debits with `debitIndicator`
+  signMode: 'negative',
+  debitIndicator: 'DR',
+  // Currency of the statement; null means the base currency
+  currency: null
+};
 
-          <nav className="bg-white rounded-lg shadow-md p-2 mb-6 flex flex-wrap gap-2">
-            {[
-              { id: 'dashboard', label: 'Dashboard', icon: TrendingUp },
-              { id: 'habits', label: 'Habits', icon: Target },
-              { id: 'todos', label: 'To-Do', icon: Check },
-              { id: 'sleep', label: 'Sleep', icon: Bed },
-              { id: 'expenses', label: 'Expenses', icon: DollarSign },
-              { id: 'loans', label: 'Money Lent', icon: Users },
-              { id: 'notes', label: 'Notes', icon: FileText },
-              { id: 'memories', label: 'Memories', icon: Camera }
-            ].map(tab => (
-              <button
-                key={tab.id}
-                onClick={() => setActiveTab(tab.id)}
-                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition ${
-                  activeTab === tab.id
-                    ? 'bg-purple-600 text-white'
-                    : 'bg-gray-100 hover:bg-gray-200'
-                }`}
-              >
-                <tab.icon size={18} />
-                {tab.label}
-              </button>
-            ))}
-          </nav>
+const CSV_DATE_FORMATS = { YMD: 'YYYY-MM-DD', DMY: 'DD/MM/YYYY', MDY: 'MM/DD/YYYY' };
 
-          {activeTab === 'dashboard' && (
-            <DashboardView
-              habits={habits}
-              todos={todos}
-              loans={loans}
-              sleepSessions={sleepSessions}
-              completedTodosCount={completedTodosCount}
-              pendingLoansAmount={pendingLoansAmount}
-              todaySleep={todaySleep}
-              getChartData={getChartData}
-            />
-          )}
+function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const count = (d) => firstLine.split(d).length - 1;
+  return [',', ';', '\t'].reduce((best, d) => (count(d) > count(best) ? d : best), ',');
+}
 
-          {activeTab === 'habits' && (
-            <HabitTracker 
-              habits={habits}
-              onAdd={addHabit}
-              onToggle={toggleHabit}
-              onDelete={(id) => deleteItem('habit', id)}
-            />
-          )}
+// RFC 4180-style parsing: quoted fields may contain delimiters, newlines and doubled quotes
+function parseCsv(text, delimiter = ',') {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
 
-          {activeTab === 'todos' && (
-            <TodoList
-              todos={todos}
-              onAdd={addTodo}
-              onToggle={toggleTodo}
-              onUploadPhoto={uploadTodoPhoto}
-              onDelete={(id) => deleteItem('todo', id)}
-            />
-          )}
-          
-          {activeTab === 'sleep' && (
-            <SleepTracker
-              sleepSessions={sleepSessions}
-              onAdd={addSleepSession}
-              onDelete={(id) => deleteItem('sleep', id)}
-            />
-          )}
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function parseCsvDate(value, format) {
+  const parts = (value || '').match(/\d+/g);
+  if (!parts || parts.length < 3) return null;
+  const [a, b, c] = parts.map(Number);
+  let [year, month, day] = format === 'DMY' ? [c, b, a] : format === 'MDY' ? [c, a, b] : [a, b, c];
+  if (year < 100) year += 2000;
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+// Handles currency symbols, thousands separators, "(12.50)" and trailing minus signs
+function parseCsvAmount(value, decimalSeparator) {
+  const text = (value || '').trim();
+  if (!text) return null;
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  let digits = text.replace(/[^\d.,]/g, '');
+  digits = decimalSeparator === ','
+    ? digits.replace(/\./g, '').replace(',', '.')
+    : digits.replace(/,/g, '');
+  const number = parseFloat(digits);
+  if (!Number.isFinite(number)) return null;
+  return negative ? -number : number;
+}
+
+// Best guess at which columns hold what, from the header row
+function guessCsvColumns(header) {
+  const find = (pattern) => header.findIndex(cell => pattern.test(cell.toLowerCase()));
+  const columns = { ...DEFAULT_CSV_MAPPING.columns };
+  const date = find(/date/);
+  const description = find(/desc|narration|details|payee|memo|merchant|particulars/);
+  const amount = find(/amount|debit|withdrawal|value/);
+  if (date >= 0) columns.date = date;
+  if (description >= 0) columns.description = description;
+  if (amount >= 0) columns.amount = amount;
+  return columns;
+}
+
+function readCsvRow(cells, mapping) {
+  const { columns } = mapping;
+  const date = parseCsvDate(cells[columns.date], mapping.dateFormat);
+  if (!date) return { error: `Unreadable date "${cells[columns.date] ?? ''}"` };
+  const value = parseCsvAmount(cells[columns.amount], mapping.decimalSeparator);
+  if (value === null) return { error: `Unreadable amount "${cells[columns.amount] ?? ''}"` };
+
+  let isExpense;
+  if (mapping.signMode === 'indicator') {
+    const indicator = (cells[columns.indicator] || '').trim().toLowerCase();
+    isExpense = indicator === mapping.debitIndicator.trim().toLowerCase();
+  } else {
+    isExpense = mapping.signMode === 'positive' ? value > 0 : value < 0;
+  }
+
+  return {
+    date,
+    description: (cells[columns.description] || '').trim() || 'Imported expense',
+    amount: Math.abs(value),
+    isExpense
+  };
+}
 
-          {activeTab === 'expenses' && (
-            <ExpenseTracker
-              expenses={expenses}
-              totalExpenses={totalExpenses}
-              onAdd={addExpense}
-              onDelete={(id) => deleteItem('expense', id)}
-            />
-          )}
+const categorizeByRules = (description, rules, fallback) =>
+  rules.find(rule => description.toLowerCase().includes(rule.pattern.toLowerCase()))?.category || fallback;
 
-          {activeTab === 'loans' && (
-            <LoanTracker
-              loans={loans}
-              onAdd={addLoan}
-              onToggle={toggleLoanReturn}
-              onDelete={(id) => deleteItem('loan', id)}
-            />
-          )}
+// Same day and same amount as an existing expense: most likely already entered
+const isLikelyDuplicate = (row, expenses) => expenses.some(expense =>
+  new Date(expense.date).toDateString() === row.date.toDateString() &&
+  Math.abs(expense.amount - row.amount) < 0.005
+);
 
-          {activeTab === 'notes' && (
-            <NotesSection
-              notes={notes}
-              onAdd={addNote}
-              onDelete={(id) => deleteItem('note', id)}
-            />
-          )}
+function CsvImportModal({ expenses, categories, profiles, rules, onImport, onSaveProfile, onDeleteProfile, onAddRule, onDeleteRule, onClose }) {
+  const [text, setText] = useState('');
+  const [mapping, setMapping] = useState(DEFAULT_CSV_MAPPING);
+  const [profileId, setProfileId] = useState('');
+  const [profileName, setProfileName] = useState('');
+  const [fallbackCategory, setFallbackCategory] = useState(categories.find(c => c.name === 'Other')?.name || categories[0]?.name || 'Other');
+  const [overrides, setOverrides] = useState({});
+  const [rulePattern, setRulePattern] = useState('');
+  const [ruleCategory, setRuleCategory] = useState(categories[0]?.name || 'Other');
+  const [showRules, setShowRules] = useState(false);
+  const { baseCurrency, format } = useMoney();
+  const currency = mapping.currency || baseCurrency;
 
-          {activeTab === 'memories' && (
-            <MemoriesSection
-              memories={memories}
-              onAdd={addMemory}
-              onDelete={(id) => deleteItem('memory', id)}
-            />
-          )}
-        </div>
-      </div>
-    </ErrorBoundary>
+  // Only expenses in the statement's currency can be duplicates of its rows
+  const sameCurrencyExpenses = useMemo(() =>
+    expenses.filter(e => (e.currency || baseCurrency) === currency),
+    [expenses, baseCurrency, currency]
   );
-}
 
-// Import Modal Component
-function ImportModal({ onClose, onImport }) {
-  const [file, setFile] = useState(null);
+  const rows = useMemo(() => (text ? parseCsv(text, mapping.delimiter) : []), [text, mapping.delimiter]);
+  const header = mapping.hasHeader ? rows[0] || [] : [];
+  const dataRows = useMemo(() => (mapping.hasHeader ? rows.slice(1) : rows), [rows, mapping.hasHeader]);
+  const columnCount = rows.reduce((max, r) => Math.max(max, r.length), 0);
+
+  const preview = useMemo(() => dataRows.map((cells, index) => {
+    const parsed = readCsvRow(cells, mapping);
+    if (parsed.error || !parsed.isExpense) return { index, ...parsed };
+    const duplicate = isLikelyDuplicate(parsed, sameCurrencyExpenses);
+    const override = overrides[index] || {};
+    return {
+      index,
+      ...parsed,
+      duplicate,
+      include: override.include ?? !duplicate,
+      category: override.category || categorizeByRules(parsed.description, rules, fallbackCategory)
+    };
+  }), [dataRows, mapping, sameCurrencyExpenses, rules, fallbackCategory, overrides]);
+
+  const importable = preview.filter(row => !row.error && row.isExpense && row.include);
 
   const handleFileChange = (e) => {
-    setFile(e.target.files[0]);
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const content = event.target.result;
+      setText(content);
+      setOverrides({});
+      if (!profileId) {
+        const delimiter = detectCsvDelimiter(content);
+        const firstRow = parseCsv(content, delimiter)[0] || [];
+        setMapping({ ...DEFAULT_CSV_MAPPING, currency: mapping.currency, delimiter, columns: guessCsvColumns(firstRow) });
+      }
+    };
+    reader.readAsText(file);
   };
 
-  const handleImport = () => {
-    if (file) {
-      onImport(file);
+  const handleProfileChange = (id) => {
+    setProfileId(id);
+    const profile = profiles.find(p => String(p.id) === id);
+    if (profile) {
+      const { id: _id, name, ...profileMapping } = profile;
+      setMapping({ ...DEFAULT_CSV_MAPPING, ...profileMapping });
+      setOverrides({});
+    }
+  };
+
+  const updateMapping = (changes) => {
+    setMapping(prev => ({ ...prev, ...changes }));
+    setOverrides({});
+  };
+  const updateColumn = (field, value) => updateMapping({
+    columns: { ...mapping.columns, [field]: value === '' ? null : Number(value) }
+  });
+  const setOverride = (index, changes) => setOverrides(prev => ({ ...prev, [index]: { ...prev[index], ...changes } }));
+
+  const handleSaveProfile = () => {
+    if (profileName.trim()) {
+      onSaveProfile({ name: profileName.trim(), ...mapping });
+      setProfileName('');
+    }
+  };
+
+  const handleAddRule = () => {
+    if (rulePattern.trim()) {
+      onAddRule(rulePattern.trim(), ruleCategory);
+      setRulePattern('');
     }
   };
 
+  const handleImport = () => {
+    onImport(importable.map(row => ({
+      description: row.description,
+      amount: row.amount,
+      currency,
+      category: row.category,
+      date: row.date.toISOString()
+    })));
+  };
+
+  const columnOptions = Array.from({ length: columnCount }, (_, i) => (
+    <option key={i} value={i}>{header[i] ? `${header[i]}` : `Column ${i + 1}`}</option>
+  ));
+  const selectClass = 'px-2 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600';
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-xl p-6 max-w-md w-full">
-        <h3 className="text-xl font-bold mb-4">Import Data</h3>
-        <p className="text-gray-600 mb-4">
-          Select a JSON file to import your data. This will replace all current data.
-        </p>
-        <input
-          type="file"
-          accept=".json"
-          onChange={handleFileChange}
-          className="w-full px-3 py-2 border rounded-lg mb-4"
-        />
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-4xl w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Import Bank Statement (CSV)</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 transition">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          <select value={profileId} onChange={(e) => handleProfileChange(e.target.value)} className={selectClass}>
+            <option value="">No saved profile</option>
+            {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+          {profileId && (
+            <button
+              onClick={() => {
+                onDeleteProfile(Number(profileId));
+                setProfileId('');
+              }}
+              className="text-red-500 hover:text-red-700 transition"
+              title="Delete profile"
+            >
+              <Trash2 size={18} />
+            </button>
+          )}
+          <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="flex-1 px-3 py-1 border rounded-lg" />
+        </div>
+
+        {rows.length > 0 && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 p-4 bg-gray-50 rounded-lg mb-4 text-sm">
+              <label className="flex flex-col gap-1">
+                Date column
+                <select value={mapping.columns.date ?? ''} onChange={(e) => updateColumn('date', e.target.value)} className={selectClass}>
+                  {columnOptions}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Description column
+                <select value={mapping.columns.description ?? ''} onChange={(e) => updateColumn('description', e.target.value)} className={selectClass}>
+                  {columnOptions}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Amount column
+                <select value={mapping.columns.amount ?? ''} onChange={(e) => updateColumn('amount', e.target.value)} className={selectClass}>
+                  {columnOptions}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Date format
+                <select value={mapping.dateFormat} onChange={(e) => updateMapping({ dateFormat: e.target.value })} className={selectClass}>
+                  {Object.entries(CSV_DATE_FORMATS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Decimal separator
+                <select value={mapping.decimalSeparator} onChange={(e) => updateMapping({ decimalSeparator: e.target.value })} className={selectClass}>
+                  <option value=".">1,234.56</option>
+                  <option value=",">1.234,56</option>
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Currency
+                <CurrencySelect value={currency} onChange={(value) => updateMapping({ currency: value })} className={selectClass} />
+              </label>
+              <label className="flex flex-col gap-1">
+                Delimiter
+                <select value={mapping.delimiter} onChange={(e) => updateMapping({ delimiter: e.target.value })} className={selectClass}>
+                  <option value=",">Comma</option>
+                  <option value=";">Semicolon</option>
+                  <option value={'\t'}>Tab</option>
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Expenses are
+                <select value={mapping.signMode} onChange={(e) => updateMapping({ signMode: e.target.value })} className={selectClass}>
+                  <option value="negative">Negative amounts</option>
+                  <option value="positive">Positive amounts</option>
+                  <option value="indicator">Marked in a debit/credit column</option>
+                </select>
+              </label>
+              {mapping.signMode === 'indicator' && (
+                <>
+                  <label className="flex flex-col gap-1">
+                    Debit/credit column
+                    <select value={mapping.columns.indicator ?? ''} onChange={(e) => updateColumn('indicator', e.target.value)} className={selectClass}>
+                      <option value="">Choose...</option>
+                      {columnOptions}
+                    </select>
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    Debit marker
+                    <input
+                      type="text"
+                      value={mapping.debitIndicator}
+                      onChange={(e) => updateMapping({ debitIndicator: e.target.value })}
+                      className={selectClass}
+                    />
+                  </label>
+                </>
+              )}
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={mapping.hasHeader} onChange={(e) => updateMapping({ hasHeader: e.target.checked })} />
+                First row is a header
+              </label>
+              <label className="flex flex-col gap-1">
+                Category when no rule matches
+                <select value={fallbackCategory} onChange={(e) => setFallbackCategory(e.target.value)} className={selectClass}>
+                  {categories.map(c => <option key={c.id}>{c.name}</option>)}
+                </select>
+              </label>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mb-4">
+              <input
+                type="text"
+                value={profileName}
+                onChange={(e) => setProfileName(e.target.value)}
+                placeholder="Save mapping as profile (e.g. My Bank)..."
+                className="flex-1 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+              />
+              <button onClick={handleSaveProfile} className="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition">
+                Save Profile
+              </button>
+              <button onClick={() => setShowRules(!showRules)} className="text-green-600 hover:text-green-700 transition text-sm">
+                {showRules ? 'Hide' : 'Categorization'} rules ({rules.length})
+              </button>
+            </div>
+          </>
+        )}
+
+        {showRules && (
+          <div className="p-4 bg-gray-50 rounded-lg mb-4 space-y-2">
+            <p className="text-sm text-gray-600">Descriptions containing the text get the category. The first matching rule wins.</p>
+            {rules.map(rule => (
+              <div key={rule.id} className="flex items-center gap-2 text-sm">
+                <span className="flex-1">"{rule.pattern}" → {rule.category}</span>
+                <button onClick={() => onDeleteRule(rule.id)} className="text-red-500 hover:text-red-700 transition">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={rulePattern}
+                onChange={(e) => setRulePattern(e.target.value)}
+                placeholder="Description contains..."
+                className="flex-1 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+              />
+              <select value={ruleCategory} onChange={(e) => setRuleCategory(e.target.value)} className={selectClass}>
+                {categories.map(c => <option key={c.id}>{c.name}</option>)}
+              </select>
+              <button onClick={handleAddRule} className="text-green-600 hover:text-green-700 transition">
+                <Plus size={20} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {preview.length > 0 && (
+          <div className="overflow-x-auto mb-4 max-h-96">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-2"></th>
+                  <th className="py-2 pr-2">Date</th>
+                  <th className="py-2 pr-2">Description</th>
+                  <th className="py-2 pr-2">Amount</th>
+                  <th className="py-2">Category</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(row => (
+                  row.error || !row.isExpense ? (
+                    <tr key={row.index} className="border-b text-gray-400">
+                      <td className="py-1 pr-2"></td>
+                      <td colSpan={4} className="py-1">
+                        {row.error || `Income skipped: ${row.description} (${format(row.amount, currency)})`}
+                      </td>
+                    </tr>
+                  ) : (
+                    <tr key={row.index} className={`border-b ${row.include ? '' : 'text-gray-400'}`}>
+                      <td className="py-1 pr-2">
+                        <input type="checkbox" checked={row.include} onChange={(e) => setOverride(row.index, { include: e.target.checked })} />
+                      </td>
+                      <td className="py-1 pr-2 whitespace-nowrap">{row.date.toLocaleDateString()}</td>
+                      <td className="py-1 pr-2">
+                        {row.description}
+                        {row.duplicate && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-yellow-200 text-yellow-800">Likely duplicate</span>
+                        )}
+                      </td>
+                      <td className="py-1 pr-2">{format(row.amount, currency)}</td>
+                      <td className="py-1">
+                        <select value={row.category} onChange={(e) => setOverride(row.index, { category: e.target.value })} className={selectClass}>
+                          {!categories.some(c => c.name === row.category) && <option>{row.category}</option>}
+                          {categories.map(c => <option key={c.id}>{c.name}</option>)}
+                        </select>
+                      </td>
+                    </tr>
+                  )
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         <div className="flex gap-2 justify-end">
-          <button
-            onClick={onClose}
-            className="px-4 py-2 text-gray-600 hover:text-gray-800 transition"
-          >
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800 transition">
             Cancel
           </button>
           <button
             onClick={handleImport}
-            disabled={!file}
-            className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition"
+            disabled={importable.length === 0}
+            className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition"
           >
-            Import
+            Import {importable.length} expense{importable.length === 1 ? '' : 's'}
           </button>
         </div>
       </div>
@@ -547,667 +6844,1854 @@ function ImportModal({ onClose, onImport }) {
   );
 }
 
-// Dashboard Component
-function DashboardView({ habits, todos, loans, sleepSessions, completedTodosCount, pendingLoansAmount, todaySleep, getChartData }) {
-  const recentActivity = useMemo(() => {
-    const today = new Date().toDateString();
-    const completedHabits = habits
-      .filter(h => h.completedDates?.includes(today))
-      .slice(0, 3)
-      .map(h => ({ type: 'habit', text: `Completed habit: ${h.name}` }));
+// Loans go either way: money `lent` to someone or `borrowed` from them.
+// The balance comes from the list of repayments rather than a returned flag.
+function getLoanRepayments(loan) {
+  if (loan.repayments) return loan.repayments;
+  // Loans recorded before partial repayments were only ever fully returned or not
+  return loan.returned
+    ? [{ id: loan.id, amount: loan.amount, date: loan.dateReturned || loan.dateGiven }]
+    : [];
+}
 
-    const completedTodos = todos
-      .filter(t => t.completed)
-      .slice(-3)
-      .map(t => ({ type: 'todo', text: `Completed task: ${t.task}` }));
+function getLoanSummary(loan, now = new Date()) {
+  const repayments = getLoanRepayments(loan);
+  const repaid = repayments.reduce((sum, r) => sum + r.amount, 0);
+  const remaining = Math.max(0, loan.amount - repaid);
+  const isSettled = remaining < 0.005;
+  const isOverdue = !isSettled && Boolean(loan.dueDate) && new Date(loan.dueDate) < startOfDay(now);
+  return {
+    direction: loan.direction || 'lent',
+    repayments,
+    repaid,
+    remaining,
+    isSettled,
+    isOverdue,
+    status: isSettled ? 'settled' : isOverdue ? 'overdue' : repaid > 0 ? 'partial' : 'pending'
+  };
+}
 
-    return [...completedHabits, ...completedTodos].slice(0, 6);
-  }, [habits, todos]);
+// Keeps the legacy `returned`/`dateReturned` fields in step with the repayments
+function withRepayments(loan, repayments) {
+  const repaid = repayments.reduce((sum, r) => sum + r.amount, 0);
+  const returned = loan.amount - repaid < 0.005;
+  const lastRepayment = repayments.reduce((latest, r) => (!latest || r.date > latest ? r.date : latest), null);
+  return { ...loan, repayments, returned, dateReturned: returned ? lastRepayment : null };
+}
+
+// A loan and its repayments are converted at the rate for the day it was given;
+// without a rate it counts as zero
+const loanAmountToBase = (loan, amount, toBase) => toBase(amount, loan.currency, loan.dateGiven) ?? 0;
+
+// Positive when others owe you more than you owe them, in the base currency
+const calculateNetLoanPosition = (loans, toBase = (amount) => amount) => loans.reduce((sum, loan) => {
+  const { direction, remaining } = getLoanSummary(loan);
+  const value = loanAmountToBase(loan, remaining, toBase);
+  return sum + (direction === 'borrowed' ? -value : value);
+}, 0);
+
+// Per-person totals in the base currency
+function groupLoansByPerson(loans, toBase = (amount) => amount) {
+  const people = {};
+  loans.forEach(loan => {
+    const key = loan.personName.trim().toLowerCase();
+    const person = people[key] || (people[key] = {
+      name: loan.personName.trim(),
+      lent: 0,
+      borrowed: 0,
+      repaidToYou: 0,
+      repaidByYou: 0,
+      overdue: 0,
+      loanCount: 0
+    });
+    const summary = getLoanSummary(loan);
+    const amount = loanAmountToBase(loan, loan.amount, toBase);
+    const repaid = loanAmountToBase(loan, summary.repaid, toBase);
+    if (summary.direction === 'borrowed') {
+      person.borrowed += amount;
+      person.repaidByYou += repaid;
+    } else {
+      person.lent += amount;
+      person.repaidToYou += repaid;
+    }
+    if (summary.isOverdue) person.overdue++;
+    person.loanCount++;
+  });
+  return Object.values(people)
+    .map(p => ({ ...p, net: (p.lent - p.repaidToYou) - (p.borrowed - p.repaidByYou) }))
+    .sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+}
+
+const LOAN_STATUS_STYLES = {
+  settled: { label: 'Settled', badge: 'bg-green-200 text-green-800', card: 'bg-green-50 border-green-500' },
+  overdue: { label: 'Overdue', badge: 'bg-red-200 text-red-800', card: 'bg-red-50 border-red-500' },
+  partial: { label: 'Partly repaid', badge: 'bg-yellow-200 text-yellow-800', card: 'bg-orange-50 border-orange-500' },
+  pending: { label: 'Pending', badge: 'bg-orange-200 text-orange-800', card: 'bg-orange-50 border-orange-500' }
+};
+
+function RepaymentForm({ remaining, onSave, onCancel }) {
+  const [amount, setAmount] = useState(remaining.toFixed(2));
+  const [date, setDate] = useState(() => toDateInputValue(new Date()));
+
+  const handleSave = () => {
+    const value = parseFloat(amount);
+    if (value > 0 && date) {
+      onSave(Math.min(value, remaining), toStoredDate(date));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-3">
+      <input
+        type="number"
+        step="0.01"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        className="w-28 px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
+      />
+      <input
+        type="date"
+        value={date}
+        onChange={(e) => setDate(e.target.value)}
+        className="px-3 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
+      />
+      <button onClick={handleSave} className="bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 transition">
+        Save
+      </button>
+      <button onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 transition">
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+function LoanTracker({ loans, onAdd, onAddRepayment, onDeleteRepayment, onSettle, onDelete }) {
+  const { baseCurrency, format, toBase } = useMoney();
+  const [personName, setPersonName] = useState('');
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState(baseCurrency);
+  const [note, setNote] = useState('');
+  const [direction, setDirection] = useState('lent');
+  const [dueDate, setDueDate] = useState('');
+  const [view, setView] = useState('loans');
+  const [repayingId, setRepayingId] = useState(null);
+
+  const handleAdd = () => {
+    if (personName.trim() && amount) {
+      onAdd(personName, amount, note, direction, dueDate ? fromDateInputValue(dueDate).toISOString() : null, currency);
+      setPersonName('');
+      setAmount('');
+      setNote('');
+      setDueDate('');
+    }
+  };
+
+  const totals = useMemo(() => loans.reduce((acc, loan) => {
+    const summary = getLoanSummary(loan);
+    const remaining = loanAmountToBase(loan, summary.remaining, toBase);
+    if (summary.direction === 'borrowed') acc.youOwe += remaining;
+    else acc.owedToYou += remaining;
+    if (summary.isOverdue) acc.overdue++;
+    return acc;
+  }, { owedToYou: 0, youOwe: 0, overdue: 0 }), [loans, toBase]);
+  const net = totals.owedToYou - totals.youOwe;
+
+  const people = useMemo(() => groupLoansByPerson(loans, toBase), [loans, toBase]);
 
   return (
-    <div className="space-y-6">
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-        <StatCard title="Habits Tracked" value={habits.length} color="purple" />
-        <StatCard title="Tasks Completed" value={completedTodosCount} color="blue" />
-        <StatCard title="Today's Sleep" value={`${todaySleep.toFixed(1)} hrs`} color="teal" />
-        <StatCard title="Money Lent Out" value={`$${pendingLoansAmount.toFixed(2)}`} color="orange" />
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold mb-4">Loans Tracker</h2>
+      
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="bg-blue-50 p-4 rounded-lg border-l-4 border-blue-500">
+          <p className="text-sm text-gray-600">Owed to You</p>
+          <p className="text-2xl font-bold text-blue-600">{format(totals.owedToYou)}</p>
+        </div>
+        <div className="bg-red-50 p-4 rounded-lg border-l-4 border-red-500">
+          <p className="text-sm text-gray-600">You Owe</p>
+          <p className="text-2xl font-bold text-red-600">{format(totals.youOwe)}</p>
+        </div>
+        <div className="bg-orange-50 p-4 rounded-lg border-l-4 border-orange-500">
+          <p className="text-sm text-gray-600">Net Position</p>
+          <p className="text-2xl font-bold text-orange-600">{format(net)}</p>
+          {totals.overdue > 0 && (
+            <p className="text-sm text-red-600 mt-1">{totals.overdue} overdue</p>
+          )}
+        </div>
       </div>
 
-      <div className="bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-2xl font-bold mb-4">Last 7 Days Activity</h2>
-        <ResponsiveContainer width="100%" height={300}>
-          <BarChart data={getChartData}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="date" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Bar dataKey="Habits" fill="#9333ea" />
-            <Bar dataKey="Tasks" fill="#3b82f6" />
-            <Bar dataKey="Expenses" fill="#10b981" />
-            <Bar dataKey="Sleep" fill="#14b8a6" />
-          </BarChart>
-        </ResponsiveContainer>
+      <div className="space-y-3 mb-6 p-4 bg-gray-50 rounded-lg">
+        <h3 className="font-bold mb-2">Add New Loan</h3>
+        <div className="flex gap-2">
+          {[
+            { id: 'lent', label: 'I lent money' },
+            { id: 'borrowed', label: 'I borrowed money' }
+          ].map(option => (
+            <button
+              key={option.id}
+              onClick={() => setDirection(option.id)}
+              className={`flex-1 px-4 py-2 rounded-lg transition ${
+                direction === option.id ? 'bg-orange-600 text-white' : 'bg-white border hover:bg-gray-100'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="text"
+          value={personName}
+          onChange={(e) => setPersonName(e.target.value)}
+          placeholder="Person's name..."
+          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
+        />
+        <div className="flex gap-2">
+          <input
+            type="number"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder={direction === 'lent' ? 'Amount lent' : 'Amount borrowed'}
+            className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
+          />
+          <CurrencySelect
+            value={currency}
+            onChange={setCurrency}
+            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Due
+            <input
+              type="date"
+              value={dueDate}
+              onChange={(e) => setDueDate(e.target.value)}
+              className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
+            />
+          </label>
+        </div>
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note (optional)..."
+          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
+        />
+        <button 
+          onClick={handleAdd} 
+          className="w-full bg-orange-600 text-white px-6 py-2 rounded-lg hover:bg-orange-700 flex items-center justify-center gap-2 transition"
+        >
+          <Plus size={20} /> Add Loan Record
+        </button>
       </div>
 
-      <div className="bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-2xl font-bold mb-4">Recent Activity</h2>
-        <div className="space-y-2">
-          {recentActivity.map((activity, index) => (
-            <div key={index} className={`flex items-center gap-2 ${
-              activity.type === 'habit' ? 'text-green-600' : 'text-blue-600'
-            }`}>
-              <Check size={16} />
-              <span>{activity.text}</span>
+      <div className="flex gap-2 mb-3">
+        {[
+          { id: 'loans', label: 'Loan History' },
+          { id: 'people', label: 'By Person' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setView(tab.id)}
+            className={`px-4 py-2 rounded-lg font-bold transition ${
+              view === tab.id ? 'bg-orange-600 text-white' : 'bg-gray-100 hover:bg-gray-200'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {view === 'people' ? (
+        <div className="space-y-3">
+          {people.map(person => (
+            <div key={person.name.toLowerCase()} className="p-4 rounded-lg bg-gray-50 flex flex-wrap items-center gap-4">
+              <div className="flex-1">
+                <div className="flex items-center gap-2">
+                  <Users size={16} className="text-gray-600" />
+                  <span className="font-bold">{person.name}</span>
+                  {person.overdue > 0 && (
+                    <span className="px-2 py-1 rounded-full text-xs bg-red-200 text-red-800">{person.overdue} overdue</span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Lent {format(person.lent)} (repaid {format(person.repaidToYou)}) ·
+                  Borrowed {format(person.borrowed)} (repaid {format(person.repaidByYou)})
+                </p>
+              </div>
+              <div className="text-right">
+                <p className={`text-xl font-bold ${person.net > 0 ? 'text-blue-600' : person.net < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  {format(person.net)}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {person.net > 0 ? 'owes you' : person.net < 0 ? 'you owe' : 'all square'}
+                </p>
+              </div>
             </div>
           ))}
-          {recentActivity.length === 0 && (
-            <p className="text-gray-500 text-center py-4">No recent activity</p>
+          {people.length === 0 && (
+            <p className="text-gray-500 text-center py-4">No loans recorded yet</p>
           )}
         </div>
-      </div>
+      ) : (
+        <div className="space-y-3">
+          {loans.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No loans recorded yet</p>
+          ) : (
+            loans.slice().reverse().map(loan => {
+              const summary = getLoanSummary(loan);
+              const style = LOAN_STATUS_STYLES[summary.status];
+              return (
+                <div key={loan.id} id={getItemElementId('loan', loan.id)} className={`p-4 rounded-lg border-l-4 ${style.card}`}>
+                  <div className="flex items-center justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center gap-2">
+                        <Users size={16} className="text-gray-600" />
+                        <span className="font-bold">{loan.personName}</span>
+                        <span className="px-2 py-1 rounded-full text-xs bg-gray-200 text-gray-700">
+                          {summary.direction === 'borrowed' ? 'Borrowed' : 'Lent'}
+                        </span>
+                        <span className={`px-2 py-1 rounded-full text-xs ${style.badge}`}>
+                          {style.label}
+                        </span>
+                      </div>
+                      <p className="text-2xl font-bold my-1">{format(loan.amount, loan.currency)}</p>
+                      {summary.repaid > 0 && !summary.isSettled && (
+                        <p className="text-sm text-gray-700">
+                          {format(summary.repaid, loan.currency)} repaid · {format(summary.remaining, loan.currency)} remaining
+                        </p>
+                      )}
+                      {loan.note && <p className="text-gray-600 text-sm">{loan.note}</p>}
+                      <div className="text-xs text-gray-500 mt-2">
+                        <p>{summary.direction === 'borrowed' ? 'Borrowed' : 'Lent'}: {new Date(loan.dateGiven).toLocaleDateString()}</p>
+                        {loan.dueDate && (
+                          <p className={summary.isOverdue ? 'text-red-600 font-bold' : ''}>
+                            Due: {new Date(loan.dueDate).toLocaleDateString()}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      {!summary.isSettled && (
+                        <>
+                          <button
+                            onClick={() => setRepayingId(repayingId === loan.id ? null : loan.id)}
+                            className="px-3 py-1 rounded text-sm transition bg-blue-500 hover:bg-blue-600 text-white"
+                          >
+                            Add Repayment
+                          </button>
+                          <button
+                            onClick={() => onSettle(loan.id)}
+                            className="px-3 py-1 rounded text-sm transition bg-green-500 hover:bg-green-600 text-white"
+                          >
+                            Settle
+                          </button>
+                        </>
+                      )}
+                      <button 
+                        onClick={() => onDelete(loan.id)}
+                        className="text-red-500 hover:text-red-700 transition"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  </div>
+                  {repayingId === loan.id && (
+                    <RepaymentForm
+                      remaining={summary.remaining}
+                      onSave={(repaymentAmount, date) => {
+                        onAddRepayment(loan.id, repaymentAmount, date);
+                        setRepayingId(null);
+                      }}
+                      onCancel={() => setRepayingId(null)}
+                    />
+                  )}
+                  {summary.repayments.length > 0 && (
+                    <div className="mt-3 space-y-1">
+                      {summary.repayments.map(repayment => (
+                        <div key={repayment.id} className="flex items-center gap-2 text-xs text-gray-600">
+                          <Check size={14} className="text-green-600" />
+                          <span>{format(repayment.amount, loan.currency)} on {new Date(repayment.date).toLocaleDateString()}</span>
+                          <button
+                            onClick={() => onDeleteRepayment(loan.id, repayment.id)}
+                            className="text-red-400 hover:text-red-600 transition"
+                            title="Remove repayment"
+                          >
+                            <X size={14} />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Notes are written in a small Markdown subset: #-headings, -/*/1. lists, "- [ ]" checklists,
+// > quotes, ``` code blocks, --- rules, **bold**, *italic*, `code`, [links](https://...) and bare URLs.
+// It is rendered to React elements directly, so note content never reaches the DOM as HTML.
+const SAFE_LINK = /^(https?:|mailto:)/i;
+const INLINE_MARKDOWN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|\b_[^_\s][^_]*_\b)|(\[[^\]]+\]\([^)\s]+\))|(https?:\/\/[^\s<>)]+)/g;
+const NOTE_SNIPPET_RADIUS = 60;
+
+function renderInlineMarkdown(text, keyPrefix = 'md') {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_MARKDOWN)) {
+    const [token] = match;
+    const key = `${keyPrefix}-${match.index}`;
+    if (match.index > last) parts.push(text.slice(last, match.index));
+    if (match[1]) {
+      parts.push(<code key={key} className="px-1 bg-gray-100 rounded text-sm">{token.slice(1, -1)}</code>);
+    } else if (match[2]) {
+      parts.push(<strong key={key}>{renderInlineMarkdown(token.slice(2, -2), key)}</strong>);
+    } else if (match[3]) {
+      parts.push(<em key={key}>{renderInlineMarkdown(token.slice(1, -1), key)}</em>);
+    } else {
+      const [, label, href] = match[4] ? token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/) : [token, token, token];
+      parts.push(SAFE_LINK.test(href)
+        ? <a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline">{label}</a>
+        : token);
+    }
+    last = match.index + token.length;
+  }
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+}
+
+// Splits content into blocks. List items remember their source line so checklists can be ticked.
+function parseMarkdownBlocks(content) {
+  const lines = content.split('\n');
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (line.trim().startsWith('```')) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith('```'); i++) code.push(lines[i]);
+      blocks.push({ type: 'code', text: code.join('\n') });
+      i++;
+    } else if (/^#{1,3}\s/.test(line)) {
+      const [, hashes, text] = line.match(/^(#{1,3})\s+(.*)$/);
+      blocks.push({ type: 'heading', level: hashes.length, text });
+      i++;
+    } else if (/^\s*(---|\*\*\*)\s*$/.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+    } else if (/^\s*([-*]|\d+\.)\s/.test(line)) {
+      const ordered = /^\s*\d+\./.test(line);
+      const items = [];
+      for (; i < lines.length && /^\s*([-*]|\d+\.)\s/.test(lines[i]) && /^\s*\d+\./.test(lines[i]) === ordered; i++) {
+        const text = lines[i].replace(/^\s*([-*]|\d+\.)\s+/, '');
+        const task = text.match(/^\[([ xX])\]\s*(.*)$/);
+        items.push(task
+          ? { line: i, text: task[2], checked: task[1] !== ' ' }
+          : { line: i, text, checked: null });
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else if (line.startsWith('>')) {
+      const quote = [];
+      for (; i < lines.length && lines[i].startsWith('>'); i++) quote.push(lines[i].replace(/^>\s?/, ''));
+      blocks.push({ type: 'quote', text: quote.join('\n') });
+    } else if (line.trim() === '') {
+      i++;
+    } else {
+      const paragraph = [];
+      for (; i < lines.length && lines[i].trim() !== '' && !/^(#{1,3}\s|\s*([-*]|\d+\.)\s|>|```)/.test(lines[i]); i++) {
+        paragraph.push(lines[i]);
+      }
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+    }
+  }
+  return blocks;
+}
+
+// Flips the checkbox of the checklist item on `line`
+function toggleMarkdownTask(content, line) {
+  const lines = content.split('\n');
+  lines[line] = lines[line].replace(/\[([ xX])\]/, (_, mark) => (mark === ' ' ? '[x]' : '[ ]'));
+  return lines.join('\n');
+}
+
+function MarkdownView({ content, onToggleTask }) {
+  const blocks = useMemo(() => parseMarkdownBlocks(content), [content]);
+  const headingClasses = { 1: 'text-xl font-bold', 2: 'text-lg font-bold', 3: 'font-bold' };
+
+  return (
+    <div className="space-y-2 text-gray-700 break-words">
+      {blocks.map((block, index) => {
+        const key = `block-${index}`;
+        switch (block.type) {
+          case 'heading':
+            return <p key={key} className={headingClasses[block.level]}>{renderInlineMarkdown(block.text, key)}</p>;
+          case 'rule':
+            return <hr key={key} className="border-yellow-300" />;
+          case 'code':
+            return <pre key={key} className="p-2 bg-gray-100 rounded text-sm overflow-x-auto">{block.text}</pre>;
+          case 'quote':
+            return (
+              <blockquote key={key} className="pl-3 border-l-4 border-gray-300 text-gray-600 whitespace-pre-wrap">
+                {renderInlineMarkdown(block.text, key)}
+              </blockquote>
+            );
+          case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+              <List key={key} className={block.ordered ? 'list-decimal list-inside' : 'space-y-1'}>
+                {block.items.map(item => (
+                  <li key={item.line} className={item.checked === null && !block.ordered ? 'list-disc list-inside' : 'list-none'}>
+                    {item.checked !== null && (
+                      <input
+                        type="checkbox"
+                        checked={item.checked}
+                        onChange={() => onToggleTask?.(item.line)}
+                        disabled={!onToggleTask}
+                        className="mr-2 align-middle"
+                      />
+                    )}
+                    <span className={item.checked ? 'line-through text-gray-400' : ''}>
+                      {renderInlineMarkdown(item.text, `${key}-${item.line}`)}
+                    </span>
+                  </li>
+                ))}
+              </List>
+            );
+          }
+          default:
+            return <p key={key} className="whitespace-pre-wrap">{renderInlineMarkdown(block.text, key)}</p>;
+        }
+      })}
     </div>
   );
 }
 
-function StatCard({ title, value, color }) {
-  const colors = {
-    purple: 'from-purple-500 to-purple-600',
-    blue: 'from-blue-500 to-blue-600',
-    green: 'from-green-500 to-green-600',
-    orange: 'from-orange-500 to-orange-600',
-    teal: 'from-teal-500 to-teal-600'
-  };
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getSearchTerms = (query) => [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+
+// Wraps every occurrence of the search terms in <mark>
+function highlightText(text, terms) {
+  if (terms.length === 0) return text;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? <mark key={index} className="bg-yellow-300 rounded px-0.5">{part}</mark> : part
+  );
+}
+
+// Text around the first match in the content, for search results
+function getNoteSnippet(content, terms) {
+  const lower = content.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+  if (positions.length === 0) return content.slice(0, NOTE_SNIPPET_RADIUS * 2);
+  const start = Math.max(0, Math.min(...positions) - NOTE_SNIPPET_RADIUS);
+  const end = Math.min(content.length, start + NOTE_SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${content.slice(start, end).replace(/\s+/g, ' ')}${end < content.length ? '…' : ''}`;
+}
 
-  return (
-    <div className={`bg-gradient-to-br ${colors[color]} rounded-lg shadow-md p-6 text-white`}>
-      <h3 className="text-sm opacity-90">{title}</h3>
-      <p className="text-3xl font-bold mt-2">{value}</p>
-    </div>
+// Lower-cased text per note, built once per change to `notes` so each keystroke
+// in the search box is only a handful of substring checks
+const buildNoteSearchIndex = (notes) => notes.map(note => ({
+  note,
+  text: `${note.title}\n${note.content}\n${(note.tags || []).join(' ')}`.toLowerCase()
+}));
+
+// Every term has to appear somewhere in the title, content or tags
+const searchNotes = (index, terms) =>
+  index.filter(({ text }) => terms.every(term => text.includes(term))).map(({ note }) => note);
+
+// Pinned notes first, then the most recently changed
+const compareNotes = (a, b) =>
+  Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+  new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt);
+
+// Note history. Every save of a note's title, content or tags is kept as a revision
+// `{ id, noteId, title, content, tags, savedAt }`; the newest revision matches the note.
+// Retention: the newest NOTE_REVISIONS_ALWAYS_KEPT revisions of a note are never dropped,
+// older ones go once they are past NOTE_REVISION_MAX_AGE_DAYS or beyond NOTE_REVISION_LIMIT.
+const NOTE_REVISION_LIMIT = 50;
+const NOTE_REVISIONS_ALWAYS_KEPT = 10;
+const NOTE_REVISION_MAX_AGE_DAYS = 180;
+const DIFF_CONTEXT_LINES = 2;
+
+const NOTE_REVISION_FIELDS = ['title', 'content', 'tags'];
+
+const noteRevisionChanged = (note, changes) =>
+  NOTE_REVISION_FIELDS.some(field =>
+    field in changes && JSON.stringify(changes[field]) !== JSON.stringify(note[field] ?? (field === 'tags' ? [] : ''))
   );
+
+const createNoteRevision = (note, id, savedAt) => ({
+  id,
+  noteId: note.id,
+  title: note.title,
+  content: note.content,
+  tags: note.tags || [],
+  savedAt
+});
+
+function pruneNoteRevisions(revisions, now = new Date()) {
+  const cutoff = now.getTime() - NOTE_REVISION_MAX_AGE_DAYS * 24 * HOUR_MS;
+  const byNote = new Map();
+  revisions.forEach(revision => {
+    if (!byNote.has(revision.noteId)) byNote.set(revision.noteId, []);
+    byNote.get(revision.noteId).push(revision);
+  });
+
+  const kept = new Set();
+  byNote.forEach(noteRevisions => {
+    noteRevisions
+      .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
+      .forEach((revision, index) => {
+        if (index < NOTE_REVISIONS_ALWAYS_KEPT ||
+            (index < NOTE_REVISION_LIMIT && new Date(revision.savedAt).getTime() >= cutoff)) {
+          kept.add(revision);
+        }
+      });
+  });
+  return kept.size === revisions.length ? revisions : revisions.filter(r => kept.has(r));
 }
 
-function HabitTracker({ habits, onAdd, onToggle, onDelete }) {
-  const [newHabit, setNewHabit] = useState('');
+// Line-level diff via the longest common subsequence. Returns
+// `{ type: 'same' | 'added' | 'removed', text, oldLine, newLine }` in reading order.
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
 
-  const handleAdd = () => {
-    if (newHabit.trim()) {
-      onAdd(newHabit);
-      setNewHabit('');
+  // Common prefix and suffix don't need the quadratic table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = a[start + i] === b[start + j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  const same = (i, j) => result.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: j + 1 });
+  for (let i = 0; i < start; i++) same(i, i);
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && a[start + i] === b[start + j]) {
+      same(start + i, start + j);
+      i++;
+      j++;
+    } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      result.push({ type: 'removed', text: a[start + i], oldLine: start + i + 1, newLine: null });
+      i++;
+    } else {
+      result.push({ type: 'added', text: b[start + j], oldLine: null, newLine: start + j + 1 });
+      j++;
+    }
+  }
+  for (let k = 0; k < a.length - endA; k++) same(endA + k, endB + k);
+  return result;
+}
+
+// Replaces long unchanged stretches with a `{ type: 'skipped', count }` marker
+function collapseUnchangedLines(diff, context = DIFF_CONTEXT_LINES) {
+  const changed = diff.map(line => line.type !== 'same');
+  const nearChange = (index) => {
+    for (let k = Math.max(0, index - context); k <= Math.min(diff.length - 1, index + context); k++) {
+      if (changed[k]) return true;
     }
+    return false;
   };
 
-  return (
-    <div className="bg-white rounded-lg shadow-md p-6">
-      <h2 className="text-2xl font-bold mb-4">Habit Tracker</h2>
-      <div className="flex gap-2 mb-6">
-        <input
-          type="text"
-          value={newHabit}
-          onChange={(e) => setNewHabit(e.target.value)}
-          onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
-          placeholder="Add new habit..."
-          className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
-        />
-        <button onClick={handleAdd} className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 flex items-center gap-2 transition">
-          <Plus size={20} /> Add
-        </button>
-      </div>
+  const result = [];
+  diff.forEach((line, index) => {
+    if (line.type !== 'same' || nearChange(index)) {
+      result.push(line);
+    } else if (result[result.length - 1]?.type === 'skipped') {
+      result[result.length - 1].count++;
+    } else {
+      result.push({ type: 'skipped', count: 1 });
+    }
+  });
+  return result;
+}
 
-      <div className="space-y-3">
-        {habits.map(habit => {
-          const today = new Date().toDateString();
-          const isCompletedToday = habit.completedDates?.includes(today);
-          return (
-            <div key={habit.id} className="flex items-center gap-3 p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
-              <button
-                onClick={() => onToggle(habit.id)}
-                className={`w-8 h-8 rounded-full flex items-center justify-center transition ${
-                  isCompletedToday ? 'bg-green-500' : 'bg-gray-300 hover:bg-gray-400'
-                }`}
-              >
-                {isCompletedToday && <Check className="text-white" size={20} />}
-              </button>
-              <span className="flex-1 font-medium">{habit.name}</span>
-              <span className="text-sm text-gray-500">
-                {habit.completedDates?.length || 0} days
-              </span>
-              <button onClick={() => onDelete(habit.id)} className="text-red-500 hover:text-red-700 transition">
-                <Trash2 size={18} />
-              </button>
-            </div>
-          );
-        })}
-        {habits.length === 0 && (
-          <p className="text-gray-500 text-center py-8">No habits yet. Add your first habit above!</p>
-        )}
-      </div>
+const DIFF_LINE_STYLES = {
+  added: { prefix: '+', className: 'bg-green-100 text-green-800' },
+  removed: { prefix: '-', className: 'bg-red-100 text-red-800' },
+  same: { prefix: ' ', className: 'text-gray-600' }
+};
+
+function NoteDiff({ from, to }) {
+  const diff = useMemo(
+    () => collapseUnchangedLines(diffLines(from.content, to.content)),
+    [from.content, to.content]
+  );
+  const fromTags = (from.tags || []).join(', ');
+  const toTags = (to.tags || []).join(', ');
+  const hasChanges = from.title !== to.title || fromTags !== toTags || diff.some(line => line.type !== 'same');
+
+  return (
+    <div className="space-y-2">
+      {from.title !== to.title && (
+        <p className="text-sm">
+          Title: <span className="line-through text-red-700">{from.title}</span> → <span className="text-green-700">{to.title}</span>
+        </p>
+      )}
+      {fromTags !== toTags && (
+        <p className="text-sm">
+          Tags: <span className="line-through text-red-700">{fromTags || 'none'}</span> → <span className="text-green-700">{toTags || 'none'}</span>
+        </p>
+      )}
+      {hasChanges ? (
+        <pre className="text-sm font-mono border rounded-lg overflow-x-auto bg-white">
+          {diff.map((line, index) =>
+            line.type === 'skipped' ? (
+              <div key={index} className="px-2 text-gray-400 bg-gray-50">… {line.count} unchanged line{line.count === 1 ? '' : 's'}</div>
+            ) : (
+              <div key={index} className={`px-2 whitespace-pre-wrap ${DIFF_LINE_STYLES[line.type].className}`}>
+                {DIFF_LINE_STYLES[line.type].prefix} {line.text}
+              </div>
+            )
+          )}
+        </pre>
+      ) : (
+        <p className="text-sm text-gray-500">These versions are identical.</p>
+      )}
     </div>
   );
 }
 
-function TodoList({ todos, onAdd, onToggle, onUploadPhoto, onDelete }) {
-  const [newTodo, setNewTodo] = useState('');
+function NoteHistoryPanel({ note, revisions, onRestore, onClose }) {
+  // Notes saved before history existed have no revisions; treat the note itself as one
+  const versions = revisions.length > 0
+    ? revisions
+    : [createNoteRevision(note, 'current', note.updatedAt || note.createdAt)];
+  const [fromId, setFromId] = useState(versions[1]?.id ?? versions[0].id);
+  const [toId, setToId] = useState(versions[0].id);
+  const from = versions.find(v => v.id === fromId) || versions[versions.length - 1];
+  const to = versions.find(v => v.id === toId) || versions[0];
 
-  const handleAdd = () => {
-    if (newTodo.trim()) {
-      onAdd(newTodo);
-      setNewTodo('');
-    }
-  };
+  const versionLabel = (version, index) =>
+    `${new Date(version.savedAt).toLocaleString()}${index === 0 ? ' (current)' : ''}`;
 
   return (
-    <div className="bg-white rounded-lg shadow-md p-6">
-      <h2 className="text-2xl font-bold mb-4">To-Do List</h2>
-      <div className="flex gap-2 mb-6">
-        <input
-          type="text"
-          value={newTodo}
-          onChange={(e) => setNewTodo(e.target.value)}
-          onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
-          placeholder="Add new task..."
-          className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
-        />
-        <button onClick={handleAdd} className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2 transition">
-          <Plus size={20} /> Add
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-bold text-lg">History of “{note.title}”</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          <X size={20} />
         </button>
       </div>
 
-      <div className="space-y-3">
-        {todos.map(todo => (
-          <div key={todo.id} className="p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
-            <div className="flex items-center gap-3">
+      <div className="space-y-1 max-h-48 overflow-y-auto">
+        {versions.map((version, index) => (
+          <div key={version.id} className="flex items-center justify-between gap-2 p-2 bg-white rounded-lg text-sm">
+            <span>
+              {versionLabel(version, index)}
+              <span className="text-gray-500"> · {version.title} · {version.content.length} chars</span>
+            </span>
+            <div className="flex gap-3 flex-shrink-0">
               <button
-                onClick={() => onToggle(todo.id)}
-                className={`w-8 h-8 rounded-full flex items-center justify-center transition ${
-                  todo.completed ? 'bg-green-500' : 'bg-gray-300 hover:bg-gray-400'
-                }`}
+                onClick={() => {
+                  setFromId(version.id);
+                  setToId(versions[0].id);
+                }}
+                className="text-blue-500 hover:text-blue-700"
               >
-                {todo.completed && <Check className="text-white" size={20} />}
-              </button>
-              <span className={`flex-1 ${todo.completed ? 'line-through text-gray-400' : ''}`}>
-                {todo.task}
-              </span>
-              <label className="cursor-pointer text-blue-600 hover:text-blue-700 transition">
-                <Camera size={18} />
-                <input
-                  type="file"
-                  accept="image/*"
-                  className="hidden"
-                  onChange={(e) => e.target.files[0] && onUploadPhoto(todo.id, e.target.files[0])}
-                />
-              </label>
-              <button onClick={() => onDelete(todo.id)} className="text-red-500 hover:text-red-700 transition">
-                <Trash2 size={18} />
+                Compare with current
               </button>
+              {index > 0 && (
+                <button
+                  onClick={() => {
+                    if (confirm(`Restore the version from ${new Date(version.savedAt).toLocaleString()}? The current text stays in the history.`)) {
+                      onRestore(version);
+                    }
+                  }}
+                  className="text-yellow-700 hover:text-yellow-900 font-medium"
+                >
+                  Restore
+                </button>
+              )}
             </div>
-            {todo.photo && (
-              <img src={todo.photo} alt="Proof" className="mt-3 rounded-lg max-w-xs border" />
-            )}
           </div>
         ))}
-        {todos.length === 0 && (
-          <p className="text-gray-500 text-center py-8">No tasks yet. Add your first task above!</p>
-        )}
       </div>
+
+      {versions.length > 1 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span>Compare</span>
+          <select value={from.id} onChange={(e) => setFromId(versions.find(v => String(v.id) === e.target.value).id)} className="px-2 py-1 border rounded-lg">
+            {versions.map((version, index) => <option key={version.id} value={version.id}>{versionLabel(version, index)}</option>)}
+          </select>
+          <span>with</span>
+          <select value={to.id} onChange={(e) => setToId(versions.find(v => String(v.id) === e.target.value).id)} className="px-2 py-1 border rounded-lg">
+            {versions.map((version, index) => <option key={version.id} value={version.id}>{versionLabel(version, index)}</option>)}
+          </select>
+        </div>
+      )}
+      <NoteDiff from={from} to={to} />
+      <p className="text-xs text-gray-500">
+        The latest {NOTE_REVISIONS_ALWAYS_KEPT} versions are always kept; older ones are removed after {NOTE_REVISION_MAX_AGE_DAYS} days or once a note has more than {NOTE_REVISION_LIMIT}.
+      </p>
     </div>
   );
 }
 
-function ExpenseTracker({ expenses, totalExpenses, onAdd, onDelete }) {
-  const [description, setDescription] = useState('');
-  const [amount, setAmount] = useState('');
-  const [category, setCategory] = useState('Food');
+function NoteEditor({ note, draft, onDraftOpened, onSave, onCancel }) {
+  const [title, setTitle] = useState(note?.title || '');
+  const [content, setContent] = useState(note?.content || '');
+  const [tags, setTags] = useState((note?.tags || []).join(', '));
+  const [preview, setPreview] = useState(false);
+  const contentRef = useRef(null);
 
-  const handleAdd = () => {
-    if (description.trim() && amount) {
-      onAdd(description, amount, category);
-      setDescription('');
-      setAmount('');
+  // The palette only names the note; fill in the title and continue with the content
+  useEffect(() => {
+    if (!draft) return;
+    setTitle(draft.title);
+    setPreview(false);
+    contentRef.current?.focus();
+    onDraftOpened();
+  }, [draft, onDraftOpened]);
+
+  const handleSave = () => {
+    if (title.trim() && content.trim()) {
+      onSave({ title, content, tags: parseTags(tags) });
+      if (!note) {
+        setTitle('');
+        setContent('');
+        setTags('');
+        setPreview(false);
+      }
     }
   };
 
-  const categoryTotals = useMemo(() => {
-    const totals = {};
-    expenses.forEach(expense => {
-      totals[expense.category] = (totals[expense.category] || 0) + expense.amount;
-    });
-    return totals;
-  }, [expenses]);
-
   return (
-    <div className="bg-white rounded-lg shadow-md p-6">
-      <h2 className="text-2xl font-bold mb-4">Expense Tracker</h2>
-      <div className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200">
-        <p className="text-sm text-gray-600">Total Expenses</p>
-        <p className="text-3xl font-bold text-green-600">${totalExpenses.toFixed(2)}</p>
-      </div>
-
-      <div className="space-y-3 mb-6">
-        <input
-          type="text"
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
-          placeholder="Description..."
-          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
-        />
-        <div className="flex gap-2">
-          <input
-            type="number"
-            step="0.01"
-            value={amount}
-            onChange={(e) => setAmount(e.target.value)}
-            placeholder="Amount"
-            className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
-          />
-          <select
-            value={category}
-            onChange={(e) => setCategory(e.target.value)}
-            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-600"
+    <div className="space-y-3">
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Note title..."
+        className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-600"
+      />
+      <div className="flex gap-2 text-sm">
+        {[false, true].map(isPreview => (
+          <button
+            key={String(isPreview)}
+            onClick={() => setPreview(isPreview)}
+            className={`px-3 py-1 rounded-lg transition ${preview === isPreview ? 'bg-yellow-600 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}
           >
-            <option>Food</option>
-            <option>Transport</option>
-            <option>Shopping</option>
-            <option>Bills</option>
-            <option>Entertainment</option>
-            <option>Other</option>
-          </select>
-        </div>
-        <button onClick={handleAdd} className="w-full bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 flex items-center justify-center gap-2 transition">
-          <Plus size={20} /> Add Expense
-        </button>
+            {isPreview ? 'Preview' : 'Write'}
+          </button>
+        ))}
+        <span className="self-center text-gray-500">Markdown: **bold**, *italic*, - [ ] checklist, [link](https://...)</span>
       </div>
-
-      {Object.keys(categoryTotals).length > 0 && (
-        <div className="mb-6">
-          <h3 className="font-bold mb-3">Spending by Category</h3>
-          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
-            {Object.entries(categoryTotals).map(([category, total]) => (
-              <div key={category} className="bg-blue-50 p-3 rounded-lg">
-                <p className="text-sm text-gray-600">{category}</p>
-                <p className="font-bold text-blue-600">${total.toFixed(2)}</p>
-              </div>
-            ))}
-          </div>
+      {preview ? (
+        <div className="min-h-24 px-4 py-2 border rounded-lg bg-white">
+          <MarkdownView content={content} />
         </div>
+      ) : (
+        <textarea
+          ref={contentRef}
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          placeholder="Note content..."
+          rows="6"
+          className="w-full px-4 py-2 border rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-yellow-600"
+        />
       )}
-
-      <div className="space-y-2">
-        <h3 className="font-bold mb-2">Expense History</h3>
-        {expenses.slice().reverse().map(expense => (
-          <div key={expense.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
-            <div className="flex-1">
-              <p className="font-medium">{expense.description}</p>
-              <p className="text-sm text-gray-500">{expense.category}</p>
-            </div>
-            <div className="text-right">
-              <p className="font-bold text-red-600">${expense.amount.toFixed(2)}</p>
-              <p className="text-xs text-gray-500">{new Date(expense.date).toLocaleDateString()}</p>
-            </div>
-            <button onClick={() => onDelete(expense.id)} className="text-red-500 hover:text-red-700 transition ml-2">
-              <Trash2 size={18} />
-            </button>
-          </div>
-        ))}
-        {expenses.length === 0 && (
-          <p className="text-gray-500 text-center py-8">No expenses recorded yet</p>
+      <input
+        type="text"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, comma separated"
+        className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-600"
+      />
+      <div className="flex gap-2">
+        {note && (
+          <button onClick={onCancel} className="flex-1 px-6 py-2 text-gray-600 hover:text-gray-800 transition">
+            Cancel
+          </button>
         )}
+        <button onClick={handleSave} className="flex-1 bg-yellow-600 text-white px-6 py-2 rounded-lg hover:bg-yellow-700 flex items-center justify-center gap-2 transition">
+          {note ? 'Save' : <><Plus size={20} /> Add Note</>}
+        </button>
       </div>
     </div>
   );
 }
 
-function LoanTracker({ loans, onAdd, onToggle, onDelete }) {
-  const [personName, setPersonName] = useState('');
-  const [amount, setAmount] = useState('');
-  const [note, setNote] = useState('');
+function NotesSection({ notes, revisions, draft, onDraftOpened, onAdd, onUpdate, onTogglePin, onDelete }) {
+  const [query, setQuery] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
 
-  const handleAdd = () => {
-    if (personName.trim() && amount) {
-      onAdd(personName, amount, note);
-      setPersonName('');
-      setAmount('');
-      setNote('');
-    }
-  };
+  // Newest first
+  const revisionsByNote = useMemo(() => {
+    const byNote = new Map();
+    revisions
+      .slice()
+      .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
+      .forEach(revision => {
+        if (!byNote.has(revision.noteId)) byNote.set(revision.noteId, []);
+        byNote.get(revision.noteId).push(revision);
+      });
+    return byNote;
+  }, [revisions]);
+
+  const searchIndex = useMemo(() => buildNoteSearchIndex(notes), [notes]);
+  const terms = useMemo(() => getSearchTerms(query), [query]);
+
+  const visibleNotes = useMemo(() => {
+    const matches = terms.length > 0 ? searchNotes(searchIndex, terms) : notes.slice();
+    return matches
+      .filter(note => !tagFilter || (note.tags || []).includes(tagFilter))
+      .sort(compareNotes);
+  }, [notes, searchIndex, terms, tagFilter]);
 
-  const totalLent = useMemo(() => loans.reduce((sum, l) => sum + l.amount, 0), [loans]);
-  const totalReturned = useMemo(() => loans.filter(l => l.returned).reduce((sum, l) => sum + l.amount, 0), [loans]);
-  const pendingAmount = totalLent - totalReturned;
+  const allTags = useMemo(() =>
+    [...new Set(notes.flatMap(n => n.tags || []))].sort((a, b) => a.localeCompare(b)),
+    [notes]
+  );
 
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
-      <h2 className="text-2xl font-bold mb-4">Money Lent Tracker</h2>
-      
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-        <div className="bg-blue-50 p-4 rounded-lg border-l-4 border-blue-500">
-          <p className="text-sm text-gray-600">Total Lent</p>
-          <p className="text-2xl font-bold text-blue-600">${totalLent.toFixed(2)}</p>
-        </div>
-        <div className="bg-green-50 p-4 rounded-lg border-l-4 border-green-500">
-          <p className="text-sm text-gray-600">Returned</p>
-          <p className="text-2xl font-bold text-green-600">${totalReturned.toFixed(2)}</p>
-        </div>
-        <div className="bg-orange-50 p-4 rounded-lg border-l-4 border-orange-500">
-          <p className="text-sm text-gray-600">Pending</p>
-          <p className="text-2xl font-bold text-orange-600">${pendingAmount.toFixed(2)}</p>
-        </div>
+      <h2 className="text-2xl font-bold mb-4">Notes</h2>
+      <div className="mb-6">
+        <NoteEditor
+          draft={draft}
+          onDraftOpened={onDraftOpened}
+          onSave={({ title, content, tags }) => onAdd(title, content, tags)}
+        />
       </div>
 
-      <div className="space-y-3 mb-6 p-4 bg-gray-50 rounded-lg">
-        <h3 className="font-bold mb-2">Add New Loan</h3>
-        <input
-          type="text"
-          value={personName}
-          onChange={(e) => setPersonName(e.target.value)}
-          placeholder="Person's name..."
-          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
-        />
-        <input
-          type="number"
-          step="0.01"
-          value={amount}
-          onChange={(e) => setAmount(e.target.value)}
-          placeholder="Amount lent"
-          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
-        />
+      <div className="flex flex-wrap gap-2 mb-4">
         <input
-          type="text"
-          value={note}
-          onChange={(e) => setNote(e.target.value)}
-          placeholder="Note (optional)..."
-          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-600"
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search notes..."
+          className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-600"
         />
-        <button 
-          onClick={handleAdd} 
-          className="w-full bg-orange-600 text-white px-6 py-2 rounded-lg hover:bg-orange-700 flex items-center justify-center gap-2 transition"
-        >
-          <Plus size={20} /> Add Loan Record
-        </button>
+        {allTags.length > 0 && (
+          <select
+            value={tagFilter}
+            onChange={(e) => setTagFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-600"
+          >
+            <option value="">All tags</option>
+            {allTags.map(tag => <option key={tag} value={tag}>#{tag}</option>)}
+          </select>
+        )}
       </div>
+      {terms.length > 0 && (
+        <p className="text-sm text-gray-500 mb-3">
+          {visibleNotes.length} note{visibleNotes.length === 1 ? '' : 's'} found
+        </p>
+      )}
 
-      <div className="space-y-3">
-        <h3 className="font-bold mb-2">Loan History</h3>
-        {loans.length === 0 ? (
-          <p className="text-gray-500 text-center py-4">No loans recorded yet</p>
-        ) : (
-          loans.slice().reverse().map(loan => (
-            <div key={loan.id} className={`p-4 rounded-lg border-l-4 ${
-              loan.returned ? 'bg-green-50 border-green-500' : 'bg-orange-50 border-orange-500'
-            }`}>
-              <div className="flex items-center justify-between">
-                <div className="flex-1">
-                  <div className="flex items-center gap-2">
-                    <Users size={16} className="text-gray-600" />
-                    <span className="font-bold">{loan.personName}</span>
-                    <span className={`px-2 py-1 rounded-full text-xs ${
-                      loan.returned ? 'bg-green-200 text-green-800' : 'bg-orange-200 text-orange-800'
-                    }`}>
-                      {loan.returned ? 'Returned' : 'Pending'}
-                    </span>
-                  </div>
-                  <p className="text-2xl font-bold my-1">${loan.amount.toFixed(2)}</p>
-                  {loan.note && <p className="text-gray-600 text-sm">{loan.note}</p>}
-                  <div className="text-xs text-gray-500 mt-2">
-                    <p>Lent: {new Date(loan.dateGiven).toLocaleDateString()}</p>
-                    {loan.returned && loan.dateReturned && (
-                      <p>Returned: {new Date(loan.dateReturned).toLocaleDateString()}</p>
-                    )}
-                  </div>
-                </div>
-                <div className="flex gap-2">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {visibleNotes.map(note => (
+          editingId === note.id ? (
+            <div key={note.id} className="p-4 bg-yellow-50 rounded-lg border-l-4 border-yellow-500 md:col-span-2">
+              <NoteEditor
+                note={note}
+                onSave={(changes) => {
+                  onUpdate(note.id, changes);
+                  setEditingId(null);
+                }}
+                onCancel={() => setEditingId(null)}
+              />
+            </div>
+          ) : historyId === note.id ? (
+            <div key={note.id} className="p-4 bg-yellow-50 rounded-lg border-l-4 border-yellow-500 md:col-span-2">
+              <NoteHistoryPanel
+                note={note}
+                revisions={revisionsByNote.get(note.id) || []}
+                onRestore={({ title, content, tags }) => {
+                  onUpdate(note.id, { title, content, tags });
+                  setHistoryId(null);
+                }}
+                onClose={() => setHistoryId(null)}
+              />
+            </div>
+          ) : (
+            <div key={note.id} id={getItemElementId('note', note.id)} className={`p-4 bg-yellow-50 rounded-lg border-l-4 hover:bg-yellow-100 transition ${note.pinned ? 'border-orange-500' : 'border-yellow-500'}`}>
+              <div className="flex items-start justify-between gap-2 mb-2">
+                <h3 className="font-bold text-lg">{highlightText(note.title, terms)}</h3>
+                <div className="flex gap-2 flex-shrink-0">
                   <button
-                    onClick={() => onToggle(loan.id)}
-                    className={`px-3 py-1 rounded text-sm transition ${
-                      loan.returned 
-                        ? 'bg-gray-500 hover:bg-gray-600' 
-                        : 'bg-green-500 hover:bg-green-600'
-                    } text-white`}
+                    onClick={() => onTogglePin(note.id)}
+                    className={`text-sm transition ${note.pinned ? 'text-orange-600 font-bold' : 'text-gray-400 hover:text-gray-600'}`}
+                    title={note.pinned ? 'Unpin' : 'Pin to top'}
                   >
-                    {loan.returned ? 'Mark Pending' : 'Mark Returned'}
+                    {note.pinned ? 'Pinned' : 'Pin'}
+                  </button>
+                  <button onClick={() => setHistoryId(note.id)} className="text-gray-500 hover:text-gray-700 transition" title="History">
+                    <History size={18} />
                   </button>
-                  <button 
-                    onClick={() => onDelete(loan.id)}
-                    className="text-red-500 hover:text-red-700 transition"
-                  >
+                  <button onClick={() => setEditingId(note.id)} className="text-blue-500 hover:text-blue-700 transition">
+                    <Pencil size={18} />
+                  </button>
+                  <button onClick={() => onDelete(note.id)} className="text-red-500 hover:text-red-700 transition">
                     <Trash2 size={18} />
                   </button>
                 </div>
               </div>
+              {terms.length > 0 ? (
+                <p className="text-gray-700">{highlightText(getNoteSnippet(note.content, terms), terms)}</p>
+              ) : (
+                <MarkdownView
+                  content={note.content}
+                  onToggleTask={(line) => onUpdate(note.id, { content: toggleMarkdownTask(note.content, line) })}
+                />
+              )}
+              {(note.tags || []).length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {note.tags.map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => setTagFilter(tag)}
+                      className="px-2 py-0.5 rounded-full text-xs bg-yellow-200 text-yellow-800 hover:bg-yellow-300 transition"
+                    >
+                      #{highlightText(tag, terms)}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-gray-500 mt-2">
+                {new Date(note.createdAt).toLocaleString()}
+                {note.updatedAt && note.updatedAt !== note.createdAt && ` · edited ${new Date(note.updatedAt).toLocaleString()}`}
+              </p>
             </div>
-          ))
+          )
+        ))}
+        {notes.length === 0 && (
+          <div className="col-span-2 text-center py-8 text-gray-500">
+            No notes yet. Add your first note above!
+          </div>
+        )}
+        {notes.length > 0 && visibleNotes.length === 0 && (
+          <div className="col-span-2 text-center py-8 text-gray-500">
+            No notes match your search
+          </div>
         )}
       </div>
     </div>
   );
 }
 
-function NotesSection({ notes, onAdd, onDelete }) {
-  const [title, setTitle] = useState('');
-  const [content, setContent] = useState('');
+// Memories hold one or more photos `{ photoId, caption, takenAt }` and may belong to an
+// `album`. `date` is when the memory happened: the earliest capture date found in the
+// photos' EXIF data unless the user picked one, falling back to the upload day.
+const isOldMemory = (memory) => typeof memory === 'object' && memory !== null && !Array.isArray(memory.photos);
 
-  const handleAdd = () => {
-    if (title.trim() && content.trim()) {
-      onAdd(title, content);
-      setTitle('');
-      setContent('');
+const upgradeMemory = ({ photo, photoId, ...memory }) => ({
+  ...memory,
+  album: '',
+  photos: [photoId ? { photoId, caption: '', takenAt: null } : { photo: photo ?? null, caption: '', takenAt: null }],
+  date: memory.createdAt
+});
+
+const earliestTakenAt = (photos) =>
+  photos.map(photo => photo.takenAt).filter(Boolean).sort((a, b) => new Date(a) - new Date(b))[0] || null;
+
+const MEMORY_VIEWS = {
+  albums: 'Albums',
+  timeline: 'Timeline'
+};
+
+const UNSORTED_ALBUM = '';
+
+const compareMemoriesNewestFirst = (a, b) => new Date(b.date) - new Date(a.date);
+
+// Memories taken on today's month and day in earlier years
+const getOnThisDayMemories = (memories, today = new Date()) =>
+  memories.filter(memory => {
+    const date = new Date(memory.date);
+    return date.getMonth() === today.getMonth() &&
+      date.getDate() === today.getDate() &&
+      date.getFullYear() < today.getFullYear();
+  });
+
+// Groups memories (newest first) by month, e.g. "October 2026"
+function groupMemoriesByMonth(memories) {
+  const groups = [];
+  memories.slice().sort(compareMemoriesNewestFirst).forEach(memory => {
+    const date = new Date(memory.date);
+    const key = `${date.getFullYear()}-${date.getMonth()}`;
+    if (groups[groups.length - 1]?.key !== key) {
+      groups.push({ key, label: date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }), memories: [] });
     }
+    groups[groups.length - 1].memories.push(memory);
+  });
+  return groups;
+}
+
+// Object URL for a file that hasn't been stored yet
+function FilePreview({ file, className }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  return url ? <img src={url} alt={file.name} className={className} /> : null;
+}
+
+// Full-screen viewer for a list of `{ photo, memory }` entries. ←/→ move, Esc closes.
+function Lightbox({ entries, startIndex, onClose }) {
+  const [index, setIndex] = useState(startIndex);
+  const count = entries.length;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowLeft') setIndex(i => (i - 1 + count) % count);
+      else if (e.key === 'ArrowRight') setIndex(i => (i + 1) % count);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [count, onClose]);
+
+  const entry = entries[Math.min(index, count - 1)];
+  if (!entry) return null;
+  const { photo, memory } = entry;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-90 flex flex-col items-center justify-center z-50 p-4" role="dialog" aria-modal="true">
+      <button onClick={onClose} className="absolute top-4 right-4 text-white hover:text-gray-300" aria-label="Close">
+        <X size={28} />
+      </button>
+      {count > 1 && (
+        <>
+          <button
+            onClick={() => setIndex((index - 1 + count) % count)}
+            className="absolute left-4 top-1/2 -translate-y-1/2 text-white hover:text-gray-300"
+            aria-label="Previous photo"
+          >
+            <ChevronLeft size={40} />
+          </button>
+          <button
+            onClick={() => setIndex((index + 1) % count)}
+            className="absolute right-4 top-1/2 -translate-y-1/2 text-white hover:text-gray-300"
+            aria-label="Next photo"
+          >
+            <ChevronRight size={40} />
+          </button>
+        </>
+      )}
+      <StoredPhoto
+        photoId={photo.photoId}
+        src={photo.photo}
+        alt={photo.caption || memory.title}
+        className="max-h-[80vh] max-w-full object-contain"
+      />
+      <div className="mt-4 text-center text-white">
+        {photo.caption && <p className="text-lg">{photo.caption}</p>}
+        <p className="text-sm text-gray-300">
+          {memory.title}{memory.album && ` · ${memory.album}`} · {new Date(photo.takenAt || memory.date).toLocaleDateString()}
+          {photo.originalId && <> · <OriginalPhotoLink photoId={photo.originalId} /></>}
+        </p>
+        <p className="text-xs text-gray-400 mt-1">{index + 1} / {count}</p>
+      </div>
+    </div>
+  );
+}
+
+// Opens the stored camera original in a new tab
+function OriginalPhotoLink({ photoId }) {
+  const url = usePhotoUrl(photoId);
+  if (!url) return null;
+  return <a href={url} target="_blank" rel="noopener noreferrer" className="underline hover:text-white">View original</a>;
+}
+
+function MemoryEditForm({ memory, onSave, onCancel }) {
+  const [title, setTitle] = useState(memory.title);
+  const [album, setAlbum] = useState(memory.album || '');
+  const [date, setDate] = useState(toDateInputValue(new Date(memory.date)));
+  const [captions, setCaptions] = useState(memory.photos.map(photo => photo.caption || ''));
+
+  const handleSave = () => {
+    if (!title.trim() || !date) return;
+    onSave({
+      title,
+      album: album.trim(),
+      date: toStoredDate(date, memory.date),
+      photos: memory.photos.map((photo, index) => ({ ...photo, caption: captions[index].trim() }))
+    });
   };
 
   return (
-    <div className="bg-white rounded-lg shadow-md p-6">
-      <h2 className="text-2xl font-bold mb-4">Notes</h2>
-      <div className="space-y-3 mb-6">
+    <div className="space-y-2 md:col-span-3 p-4 bg-pink-50 rounded-lg">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
         <input
           type="text"
           value={title}
           onChange={(e) => setTitle(e.target.value)}
-          placeholder="Note title..."
-          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-600"
+          placeholder="Memory title..."
+          className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-600"
         />
-        <textarea
-          value={content}
-          onChange={(e) => setContent(e.target.value)}
-          placeholder="Note content..."
-          rows="4"
-          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-600"
+        <input
+          type="text"
+          value={album}
+          onChange={(e) => setAlbum(e.target.value)}
+          list="memory-albums"
+          placeholder="Album (optional)"
+          className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-600"
+        />
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-600"
         />
-        <button onClick={handleAdd} className="w-full bg-yellow-600 text-white px-6 py-2 rounded-lg hover:bg-yellow-700 flex items-center justify-center gap-2 transition">
-          <Plus size={20} /> Add Note
-        </button>
       </div>
-
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        {notes.slice().reverse().map(note => (
-          <div key={note.id} className="p-4 bg-yellow-50 rounded-lg border-l-4 border-yellow-500 hover:bg-yellow-100 transition">
-            <div className="flex items-start justify-between mb-2">
-              <h3 className="font-bold text-lg">{note.title}</h3>
-              <button onClick={() => onDelete(note.id)} className="text-red-500 hover:text-red-700 transition">
-                <Trash2 size={18} />
-              </button>
-            </div>
-            <p className="text-gray-700 whitespace-pre-wrap">{note.content}</p>
-            <p className="text-xs text-gray-500 mt-2">{new Date(note.createdAt).toLocaleString()}</p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {memory.photos.map((photo, index) => (
+          <div key={photo.photoId || index}>
+            <StoredPhoto photoId={photo.thumbnailId || photo.photoId} src={photo.photo} alt={photo.caption} className="w-full h-24 object-cover rounded-lg" />
+            <input
+              type="text"
+              value={captions[index]}
+              onChange={(e) => setCaptions(prev => prev.map((c, i) => (i === index ? e.target.value : c)))}
+              placeholder="Caption"
+              className="w-full mt-1 px-2 py-1 text-sm border rounded-lg"
+            />
           </div>
         ))}
-        {notes.length === 0 && (
-          <div className="col-span-2 text-center py-8 text-gray-500">
-            No notes yet. Add your first note above!
-          </div>
+      </div>
+      <div className="flex gap-2 justify-end">
+        <button onClick={onCancel} className="px-4 py-2 text-gray-600 hover:text-gray-800 transition">Cancel</button>
+        <button onClick={handleSave} className="bg-pink-600 text-white px-4 py-2 rounded-lg hover:bg-pink-700 transition">Save</button>
+      </div>
+    </div>
+  );
+}
+
+function MemoryCard({ memory, elementId, onOpen, onEdit, onDelete }) {
+  const [cover] = memory.photos;
+  return (
+    <div id={elementId} className="relative group">
+      <button onClick={onOpen} className="block w-full">
+        {cover && (
+          <StoredPhoto
+            photoId={cover.thumbnailId || cover.photoId}
+            src={cover.photo}
+            alt={cover.caption || memory.title}
+            className="w-full h-64 object-cover rounded-lg transition group-hover:opacity-90"
+          />
         )}
+      </button>
+      {memory.photos.length > 1 && (
+        <span className="absolute top-2 left-2 flex items-center gap-1 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded-full">
+          <Camera size={12} /> {memory.photos.length}
+        </span>
+      )}
+      <div className="absolute top-2 right-2 flex gap-2 opacity-0 group-hover:opacity-100 transition">
+        <button onClick={onEdit} className="bg-white text-blue-500 p-2 rounded-full hover:text-blue-700 shadow">
+          <Pencil size={16} />
+        </button>
+        <button onClick={onDelete} className="bg-red-500 text-white p-2 rounded-full hover:bg-red-600 shadow">
+          <Trash2 size={16} />
+        </button>
       </div>
+      <p className="mt-2 font-medium">{memory.title}</p>
+      {cover?.caption && <p className="text-sm text-gray-600">{cover.caption}</p>}
+      <p className="text-xs text-gray-500">
+        {new Date(memory.date).toLocaleDateString()}{memory.album && ` · ${memory.album}`}
+      </p>
     </div>
   );
 }
 
-function MemoriesSection({ memories, onAdd, onDelete }) {
+function MemoriesSection({ memories, keepOriginalPhotos, onAdd, onUpdate, onDelete }) {
   const [title, setTitle] = useState('');
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [album, setAlbum] = useState('');
+  const [date, setDate] = useState('');
+  const [keepOriginal, setKeepOriginal] = useState(keepOriginalPhotos);
+  const [pending, setPending] = useState([]);
+  const [view, setView] = useState('albums');
+  const [albumFilter, setAlbumFilter] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [lightbox, setLightbox] = useState(null);
+  const fileInputRef = useRef(null);
 
-  const handleFileChange = (e) => {
-    setSelectedFile(e.target.files[0]);
+  const handleFileChange = async (e) => {
+    const files = Array.from(e.target.files);
+    const photos = await Promise.all(files.map(async (file) => ({
+      file,
+      caption: '',
+      takenAt: (await readPhotoMetadata(file)).takenAt
+    })));
+    setPending(photos);
   };
 
+  // Until the user picks a date, the earliest EXIF date stands in for it
+  const detectedDate = earliestTakenAt(pending);
+  const dateValue = date || (detectedDate ? toDateInputValue(new Date(detectedDate)) : '');
+
   const handleAdd = () => {
-    if (title.trim() && selectedFile) {
-      onAdd(title, selectedFile);
+    if (title.trim() && pending.length > 0) {
+      onAdd(title, pending, {
+        album: album.trim(),
+        date: date ? toStoredDate(date) : detectedDate,
+        keepOriginal
+      });
       setTitle('');
-      setSelectedFile(null);
-      // Reset file input
-      document.getElementById('memory-file').value = '';
+      setDate('');
+      setPending([]);
+      if (fileInputRef.current) fileInputRef.current.value = '';
     }
   };
 
+  const albums = useMemo(() => {
+    const counts = new Map();
+    memories.forEach(memory => counts.set(memory.album || UNSORTED_ALBUM, (counts.get(memory.album || UNSORTED_ALBUM) || 0) + 1));
+    return [...counts.entries()].sort(([a], [b]) => (a === UNSORTED_ALBUM) - (b === UNSORTED_ALBUM) || a.localeCompare(b));
+  }, [memories]);
+
+  const visibleMemories = useMemo(() =>
+    memories
+      .filter(memory => albumFilter === null || (memory.album || UNSORTED_ALBUM) === albumFilter)
+      .sort(compareMemoriesNewestFirst),
+    [memories, albumFilter]
+  );
+  const monthGroups = useMemo(() => groupMemoriesByMonth(visibleMemories), [visibleMemories]);
+  const onThisDay = useMemo(() => getOnThisDayMemories(memories), [memories]);
+
+  const openLightbox = (list, memory) => {
+    const entries = list.flatMap(m => m.photos.map(photo => ({ photo, memory: m })));
+    setLightbox({ entries, startIndex: entries.findIndex(entry => entry.memory === memory) });
+  };
+  const closeLightbox = useCallback(() => setLightbox(null), []);
+
+  // `withIds` marks the main listing, since "On this day" shows the same memories again
+  const renderGrid = (list, withIds = true) => (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {list.map(memory => (
+        editingId === memory.id ? (
+          <MemoryEditForm
+            key={memory.id}
+            memory={memory}
+            onSave={(changes) => {
+              onUpdate(memory.id, changes);
+              setEditingId(null);
+            }}
+            onCancel={() => setEditingId(null)}
+          />
+        ) : (
+          <MemoryCard
+            key={memory.id}
+            memory={memory}
+            elementId={withIds ? getItemElementId('memory', memory.id) : undefined}
+            onOpen={() => openLightbox(list, memory)}
+            onEdit={() => setEditingId(memory.id)}
+            onDelete={() => onDelete(memory.id)}
+          />
+        )
+      ))}
+    </div>
+  );
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold mb-4">My Memories</h2>
       <div className="space-y-3 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Memory title..."
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-600"
+          />
+          <input
+            type="text"
+            value={album}
+            onChange={(e) => setAlbum(e.target.value)}
+            list="memory-albums"
+            placeholder="Album (optional)"
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-600"
+          />
+          <input
+            type="date"
+            value={dateValue}
+            onChange={(e) => setDate(e.target.value)}
+            title={detectedDate ? 'Taken from the photo' : 'Defaults to today'}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-600"
+          />
+        </div>
+        <datalist id="memory-albums">
+          {albums.filter(([name]) => name !== UNSORTED_ALBUM).map(([name]) => <option key={name} value={name} />)}
+        </datalist>
         <input
-          type="text"
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
-          placeholder="Memory title..."
-          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-600"
-        />
-        <input
-          id="memory-file"
+          ref={fileInputRef}
           type="file"
           accept="image/*"
+          multiple
           onChange={handleFileChange}
           className="w-full px-4 py-2 border rounded-lg"
         />
+        {pending.length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {pending.map((photo, index) => (
+              <div key={`${photo.file.name}-${index}`}>
+                <FilePreview file={photo.file} className="w-full h-24 object-cover rounded-lg" />
+                <input
+                  type="text"
+                  value={photo.caption}
+                  onChange={(e) => setPending(prev => prev.map((p, i) => (i === index ? { ...p, caption: e.target.value } : p)))}
+                  placeholder="Caption"
+                  className="w-full mt-1 px-2 py-1 text-sm border rounded-lg"
+                />
+                <p className="text-xs text-gray-500">
+                  {photo.takenAt ? `Taken ${new Date(photo.takenAt).toLocaleString()}` : 'No capture date'}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={keepOriginal} onChange={(e) => setKeepOriginal(e.target.checked)} />
+          Also keep the full-size originals (uses more storage)
+        </label>
         <button onClick={handleAdd} className="w-full bg-pink-600 text-white px-6 py-2 rounded-lg hover:bg-pink-700 flex items-center justify-center gap-2 transition">
           <Plus size={20} /> Add Memory
         </button>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        {memories.slice().reverse().map(memory => (
-          <div key={memory.id} className="relative group">
-            <img 
-              src={memory.photo} 
-              alt={memory.title} 
-              className="w-full h-64 object-cover rounded-lg transition group-hover:opacity-90"
-            />
-            <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-50 transition flex items-center justify-center rounded-lg">
-              <button
-                onClick={() => onDelete(memory.id)}
-                className="bg-red-500 text-white p-2 rounded-full hover:bg-red-600 transition opacity-0 group-hover:opacity-100"
-              >
-                <Trash2 size={20} />
-              </button>
+      {memories.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          {Object.entries(MEMORY_VIEWS).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-3 py-1 rounded-lg text-sm transition ${view === key ? 'bg-pink-600 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}
+            >
+              {label}
+            </button>
+          ))}
+          <span className="mx-2 text-gray-300">|</span>
+          <button
+            onClick={() => setAlbumFilter(null)}
+            className={`px-3 py-1 rounded-full text-sm transition ${albumFilter === null ? 'bg-pink-200 text-pink-800' : 'bg-gray-100 hover:bg-gray-200'}`}
+          >
+            All ({memories.length})
+          </button>
+          {albums.map(([name, count]) => (
+            <button
+              key={name || 'unsorted'}
+              onClick={() => setAlbumFilter(name)}
+              className={`px-3 py-1 rounded-full text-sm transition ${albumFilter === name ? 'bg-pink-200 text-pink-800' : 'bg-gray-100 hover:bg-gray-200'}`}
+            >
+              {name || 'Unsorted'} ({count})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {view === 'albums' ? renderGrid(visibleMemories) : (
+        <div className="space-y-6">
+          {onThisDay.length > 0 && (
+            <div className="p-4 bg-pink-50 rounded-lg">
+              <h3 className="font-bold text-lg mb-3 flex items-center gap-2"><Calendar size={20} /> On this day</h3>
+              <div className="space-y-4">
+                {onThisDay.map(memory => {
+                  const yearsAgo = new Date().getFullYear() - new Date(memory.date).getFullYear();
+                  return (
+                    <div key={memory.id}>
+                      <p className="text-sm text-pink-700 font-medium mb-2">
+                        {yearsAgo} year{yearsAgo === 1 ? '' : 's'} ago
+                      </p>
+                      {renderGrid([memory], false)}
+                    </div>
+                  );
+                })}
+              </div>
             </div>
-            <p className="mt-2 font-medium">{memory.title}</p>
-            <p className="text-xs text-gray-500">{new Date(memory.createdAt).toLocaleDateString()}</p>
-          </div>
-        ))}
-        {memories.length === 0 && (
-          <div className="col-span-3 text-center py-8 text-gray-500">
-            No memories yet. Add your first memory above!
-          </div>
-        )}
-      </div>
+          )}
+          {monthGroups.map(group => (
+            <div key={group.key}>
+              <h3 className="font-bold text-lg mb-3">{group.label}</h3>
+              {renderGrid(group.memories)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {memories.length === 0 && (
+        <div className="text-center py-8 text-gray-500">
+          No memories yet. Add your first memory above!
+        </div>
+      )}
+
+      {lightbox && (
+        <Lightbox entries={lightbox.entries} startIndex={lightbox.startIndex} onClose={closeLightbox} />
+      )}
     </div>
   );
 }
 
-function SleepTracker({ sleepSessions, onAdd, onDelete }) {
-  const [duration, setDuration] = useState('');
+// Sleep sessions are stored as `start`/`end` timestamps. `night` is the local day key
+// (YYYY-MM-DD) of the evening a night's sleep began; a nap counts towards the night
+// before it. `date` is the wake-up time, so day-based totals count last night towards today.
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+const SLEEP_ANALYSIS_NIGHTS = 14;
+const MIN_NIGHTS_FOR_CONSISTENCY = 3;
+const SLEEP_QUALITY_LABELS = ['Very poor', 'Poor', 'Okay', 'Good', 'Great'];
+
+// Sleep that starts before noon (e.g. 1am) belongs to the previous evening's night
+function getSleepNight(start, isNap) {
+  const date = new Date(start);
+  return toDateInputValue(isNap ? addDays(date, -1) : new Date(date.getTime() - 12 * HOUR_MS));
+}
+
+function createSleepSession({ start, end, isAfternoon = false, quality = null }) {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  return {
+    start: startDate.toISOString(),
+    end: endDate.toISOString(),
+    night: getSleepNight(startDate, isAfternoon),
+    duration: (endDate - startDate) / HOUR_MS,
+    isAfternoon,
+    quality,
+    date: endDate.toISOString()
+  };
+}
+
+// Sessions from before bed/wake times only had a duration and the time they were
+// logged. Assume they were logged on waking; `estimated` marks the guessed times.
+function upgradeSleepSession(session) {
+  if (session.start && session.end) return session;
+  const end = new Date(session.date);
+  return {
+    id: session.id,
+    ...createSleepSession({
+      start: new Date(end.getTime() - session.duration * HOUR_MS),
+      end,
+      isAfternoon: Boolean(session.isAfternoon)
+    }),
+    estimated: true
+  };
+}
+
+// Returns a message when a new session can't be saved, otherwise null
+function validateSleepSession({ start, end }, sessions) {
+  const startTime = new Date(start).getTime();
+  const endTime = new Date(end).getTime();
+  if (Number.isNaN(startTime) || Number.isNaN(endTime)) return 'Enter both a bedtime and a wake time.';
+  if (endTime <= startTime) return 'Wake time must be after bedtime.';
+  if (endTime - startTime > 24 * HOUR_MS) return 'A sleep session can\'t be longer than 24 hours.';
+  if (endTime > Date.now() + HOUR_MS) return 'Wake time is in the future.';
+  const overlapping = sessions.find(s => new Date(s.start).getTime() < endTime && new Date(s.end).getTime() > startTime);
+  return overlapping
+    ? `This overlaps the session from ${new Date(overlapping.start).toLocaleString()} to ${new Date(overlapping.end).toLocaleString()}.`
+    : null;
+}
+
+// Totals per night, naps included. `main` is the longest non-nap session.
+function groupSleepByNight(sessions) {
+  const nights = new Map();
+  sessions.forEach(session => {
+    const night = nights.get(session.night) || { night: session.night, total: 0, naps: 0, main: null };
+    night.total += session.duration;
+    if (session.isAfternoon) night.naps += session.duration;
+    else if (!night.main || session.duration > night.main.duration) night.main = session;
+    nights.set(session.night, night);
+  });
+  return nights;
+}
+
+const minutesOfDay = (value) => {
+  const date = new Date(value);
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+// Clock times wrap at midnight, so 23:30 and 00:30 average to midnight rather than noon.
+// Returns the circular mean and standard deviation in minutes.
+function circularTimeStats(minutes) {
+  if (minutes.length === 0) return null;
+  const angles = minutes.map(m => (m / MINUTES_PER_DAY) * 2 * Math.PI);
+  const cos = angles.reduce((sum, a) => sum + Math.cos(a), 0) / angles.length;
+  const sin = angles.reduce((sum, a) => sum + Math.sin(a), 0) / angles.length;
+  const length = Math.min(1, Math.hypot(cos, sin));
+  const mean = ((Math.atan2(sin, cos) / (2 * Math.PI)) * MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const spread = length > 0 ? Math.sqrt(-2 * Math.log(length)) : Math.PI;
+  return { mean, deviation: (spread / (2 * Math.PI)) * MINUTES_PER_DAY };
+}
+
+const formatClockMinutes = (minutes) =>
+  new Date(2000, 0, 1, 0, Math.round(minutes)).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Debt, bedtime consistency and average bed/wake times over the last `days` nights.
+// Nights with nothing logged are left out rather than counted as no sleep.
+function analyzeSleep(sessions, targetHours, now = new Date(), days = SLEEP_ANALYSIS_NIGHTS) {
+  const from = toDateInputValue(addDays(now, -days));
+  const to = toDateInputValue(now);
+  const nights = [...groupSleepByNight(sessions).values()]
+    .filter(n => n.main && n.night >= from && n.night <= to)
+    .sort((a, b) => a.night.localeCompare(b.night));
+
+  const bedtimes = circularTimeStats(nights.map(n => minutesOfDay(n.main.start)));
+  const wakeTimes = circularTimeStats(nights.map(n => minutesOfDay(n.main.end)));
+  const hasConsistency = nights.length >= MIN_NIGHTS_FOR_CONSISTENCY;
+  const rated = sessions.filter(s => s.quality && s.night >= from && s.night <= to);
+
+  return {
+    nightCount: nights.length,
+    averageHours: nights.length > 0 ? nights.reduce((sum, n) => sum + n.total, 0) / nights.length : null,
+    // Surplus nights pay back earlier shortfalls, but the debt never goes below zero
+    debt: Math.max(0, nights.reduce((sum, n) => sum + (targetHours - n.total), 0)),
+    averageBedtime: bedtimes?.mean ?? null,
+    averageWakeTime: wakeTimes?.mean ?? null,
+    bedtimeDeviation: hasConsistency ? bedtimes.deviation : null,
+    // 100 when bedtimes never vary, 0 once they typically drift by two hours or more
+    consistencyScore: hasConsistency ? Math.round(Math.max(0, 100 - bedtimes.deviation / 1.2)) : null,
+    averageQuality: rated.length > 0 ? rated.reduce((sum, s) => sum + s.quality, 0) / rated.length : null
+  };
+}
+
+const SLEEP_CHART_RANGES = { week: 7, month: 30, quarter: 91 };
+const ROLLING_AVERAGE_NIGHTS = 7;
+
+// One point per night from `from` to `to` (inclusive day keys). Nights with nothing
+// logged are zero-filled; the rolling average skips them rather than counting them as
+// no sleep, and looks back before `from` so the first points are averaged too.
+function buildSleepChartData(sessions, from, to) {
+  const nights = groupSleepByNight(sessions);
+  const totalOn = (day) => nights.get(toDateInputValue(day))?.total;
+  const data = [];
+  for (let day = fromDateInputValue(from); toDateInputValue(day) <= to; day = addDays(day, 1)) {
+    const night = nights.get(toDateInputValue(day));
+    const recent = [];
+    for (let i = 0; i < ROLLING_AVERAGE_NIGHTS; i++) {
+      const total = totalOn(addDays(day, -i));
+      if (total !== undefined) recent.push(total);
+    }
+    data.push({
+      night: toDateInputValue(day),
+      nightSleep: night ? night.total - night.naps : 0,
+      afternoonSleep: night ? night.naps : 0,
+      average: recent.length > 0 ? recent.reduce((sum, t) => sum + t, 0) / recent.length : null
+    });
+  }
+  return data;
+}
+
+const describeNight = (night) => fromDateInputValue(night).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+const defaultBedtime = () => {
+  const date = addDays(startOfDay(new Date()), -1);
+  date.setHours(23, 0);
+  return date;
+};
+
+const defaultWakeTime = () => {
+  const date = startOfDay(new Date());
+  date.setHours(7, 0);
+  return date;
+};
+
+function SleepTracker({ sleepSessions, targetHours, onAdd, onUpdateTarget, onDelete }) {
+  const [start, setStart] = useState(() => toDateTimeInputValue(defaultBedtime()));
+  const [end, setEnd] = useState(() => toDateTimeInputValue(defaultWakeTime()));
   const [isAfternoon, setIsAfternoon] = useState(false);
+  const [quality, setQuality] = useState('');
+  const [target, setTarget] = useState(String(targetHours));
+  const [chartPeriod, setChartPeriod] = useState('month');
+  const [customFrom, setCustomFrom] = useState(() => toDateInputValue(addDays(new Date(), -30)));
+  const [customTo, setCustomTo] = useState(() => toDateInputValue(addDays(new Date(), -1)));
 
   const handleAdd = () => {
-    if (duration) {
-      onAdd(duration, isAfternoon);
-      setDuration('');
-      setIsAfternoon(false);
+    const session = { start: new Date(start), end: new Date(end) };
+    const error = validateSleepSession(session, sleepSessions);
+    if (error) {
+      alert(error);
+      return;
     }
+    onAdd({ ...session, isAfternoon, quality: quality ? Number(quality) : null });
+    setStart(toDateTimeInputValue(defaultBedtime()));
+    setEnd(toDateTimeInputValue(defaultWakeTime()));
+    setIsAfternoon(false);
+    setQuality('');
   };
 
-  // Calculate stats for today
-  const todayStr = new Date().toDateString();
-  const todaySessions = sleepSessions.filter(s => new Date(s.date).toDateString() === todayStr);
-  
-  const totalTodaySleep = todaySessions.reduce((sum, s) => sum + s.duration, 0);
-  const totalTodayAfternoonSleep = todaySessions
-    .filter(s => s.isAfternoon)
-    .reduce((sum, s) => sum + s.duration, 0);
-
-  // Process data for the sleep history chart, optimized with useMemo
-  const sleepChartData = useMemo(() => {
-    // Group sessions by date
-    const sessionsByDate = sleepSessions.reduce((acc, session) => {
-      const dateStr = new Date(session.date).toDateString();
-      if (!acc[dateStr]) {
-        acc[dateStr] = [];
-      }
-      acc[dateStr].push(session);
-      return acc;
-    }, {});
-
-    // Sum durations for each date
-    const chartData = Object.keys(sessionsByDate).map(dateStr => {
-      const sessions = sessionsByDate[dateStr];
-      
-      const afternoonSleep = sessions
-        .filter(s => s.isAfternoon)
-        .reduce((sum, s) => sum + s.duration, 0);
-        
-      const nightSleep = sessions
-        .filter(s => !s.isAfternoon)
-        .reduce((sum, s) => sum + s.duration, 0);
+  const handleTargetBlur = () => {
+    const value = parseFloat(target);
+    if (value > 0 && value <= 24) onUpdateTarget(value);
+    else setTarget(String(targetHours));
+  };
 
-      return {
-        date: new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        nightSleep: nightSleep,
-        afternoonSleep: afternoonSleep,
-      };
-    });
+  const pendingHours = (new Date(end) - new Date(start)) / HOUR_MS;
 
-    // Sort by date to ensure the chart is chronological
-    return chartData.sort((a, b) => new Date(a.date) - new Date(b.date));
+  const analysis = useMemo(() => analyzeSleep(sleepSessions, targetHours), [sleepSessions, targetHours]);
 
+  // Most recent night with a main sleep
+  const lastNight = useMemo(() => {
+    const nights = [...groupSleepByNight(sleepSessions).values()].filter(n => n.main);
+    return nights.sort((a, b) => b.night.localeCompare(a.night))[0] || null;
   }, [sleepSessions]);
 
+  const sortedSessions = useMemo(() =>
+    sleepSessions.slice().sort((a, b) => new Date(b.start) - new Date(a.start)),
+    [sleepSessions]
+  );
+
+  // Chart range as inclusive night keys, ending with last night unless a custom range is picked
+  const chartRange = useMemo(() => {
+    if (chartPeriod === 'custom') {
+      return customFrom <= customTo ? { from: customFrom, to: customTo } : { from: customTo, to: customFrom };
+    }
+    const latest = addDays(new Date(), -1);
+    return {
+      from: toDateInputValue(addDays(latest, 1 - SLEEP_CHART_RANGES[chartPeriod])),
+      to: toDateInputValue(latest)
+    };
+  }, [chartPeriod, customFrom, customTo]);
+
+  const sleepChartData = useMemo(() =>
+    buildSleepChartData(sleepSessions, chartRange.from, chartRange.to),
+    [sleepSessions, chartRange]
+  );
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
       <div>
         <h2 className="text-2xl font-bold mb-4">Sleep Tracker</h2>
         
         {/* Summary Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-2">
           <div className="bg-blue-50 p-4 rounded-lg border-l-4 border-blue-500">
-            <p className="text-sm text-gray-600">Total Sleep Today</p>
-            <p className="text-2xl font-bold text-blue-600">{totalTodaySleep.toFixed(1)} hours</p>
+            <p className="text-sm text-gray-600">Last Night</p>
+            <p className="text-2xl font-bold text-blue-600">
+              {lastNight ? `${(lastNight.total - lastNight.naps).toFixed(1)} hours` : '—'}
+            </p>
+            {lastNight && (
+              <p className="text-xs text-gray-500">
+                Night of {describeNight(lastNight.night)}
+                {lastNight.naps > 0 && ` · +${lastNight.naps.toFixed(1)} h naps`}
+              </p>
+            )}
+          </div>
+          <div className={`p-4 rounded-lg border-l-4 ${analysis.debt > 0 ? 'bg-red-50 border-red-500' : 'bg-green-50 border-green-500'}`}>
+            <p className="text-sm text-gray-600">Sleep Debt ({SLEEP_ANALYSIS_NIGHTS} nights)</p>
+            <p className={`text-2xl font-bold ${analysis.debt > 0 ? 'text-red-600' : 'text-green-600'}`}>
+              {analysis.debt.toFixed(1)} hours
+            </p>
+            <p className="text-xs text-gray-500">
+              {analysis.nightCount} night{analysis.nightCount === 1 ? '' : 's'} logged
+              {analysis.averageHours !== null && ` · avg ${analysis.averageHours.toFixed(1)} h`}
+            </p>
+          </div>
+          <div className="bg-purple-50 p-4 rounded-lg border-l-4 border-purple-500">
+            <p className="text-sm text-gray-600">Bedtime Consistency</p>
+            <p className="text-2xl font-bold text-purple-600">
+              {analysis.consistencyScore !== null ? `${analysis.consistencyScore}/100` : '—'}
+            </p>
+            <p className="text-xs text-gray-500">
+              {analysis.bedtimeDeviation !== null
+                ? `Bedtime varies by ±${Math.round(analysis.bedtimeDeviation)} min`
+                : `Needs ${MIN_NIGHTS_FOR_CONSISTENCY} nights`}
+            </p>
           </div>
           <div className="bg-yellow-50 p-4 rounded-lg border-l-4 border-yellow-500">
-            <p className="text-sm text-gray-600">Afternoon Sleep Today</p>
-            <p className="text-2xl font-bold text-yellow-700">{totalTodayAfternoonSleep.toFixed(1)} hours</p>
+            <p className="text-sm text-gray-600">Average Bed / Wake</p>
+            <p className="text-2xl font-bold text-yellow-700">
+              {analysis.averageBedtime !== null
+                ? `${formatClockMinutes(analysis.averageBedtime)} / ${formatClockMinutes(analysis.averageWakeTime)}`
+                : '—'}
+            </p>
+            {analysis.averageQuality !== null && (
+              <p className="text-xs text-gray-500">Quality {analysis.averageQuality.toFixed(1)} / 5</p>
+            )}
           </div>
         </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600 mb-6">
+          Target
+          <input
+            type="number"
+            step="0.5"
+            min="1"
+            max="24"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            onBlur={handleTargetBlur}
+            className="w-20 px-2 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+          />
+          hours per night
+        </label>
 
         {/* Add Sleep Form */}
         <div className="space-y-3 mb-6 p-4 bg-gray-50 rounded-lg">
           <h3 className="font-bold mb-2">Log New Sleep Session</h3>
-          <input
-            type="number"
-            step="0.1"
-            value={duration}
-            onChange={(e) => setDuration(e.target.value)}
-            placeholder="Duration in hours (e.g., 7.5)"
-            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
-          />
-          <div className="flex items-center gap-2">
-            <input
-              type="checkbox"
-              id="isAfternoon"
-              checked={isAfternoon}
-              onChange={(e) => setIsAfternoon(e.target.checked)}
-              className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
-            />
-            <label htmlFor="isAfternoon" className="text-gray-700">
-              Was this an afternoon nap?
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            <label className="flex flex-col gap-1 text-sm text-gray-600">
+              {isAfternoon ? 'Fell asleep' : 'Bedtime'}
+              <input
+                type="datetime-local"
+                value={start}
+                onChange={(e) => setStart(e.target.value)}
+                className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-sm text-gray-600">
+              Woke up
+              <input
+                type="datetime-local"
+                value={end}
+                onChange={(e) => setEnd(e.target.value)}
+                className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
             </label>
           </div>
+          <div className="flex flex-wrap items-center gap-4">
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                id="isAfternoon"
+                checked={isAfternoon}
+                onChange={(e) => setIsAfternoon(e.target.checked)}
+                className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+              />
+              <label htmlFor="isAfternoon" className="text-gray-700">
+                Was this a nap?
+              </label>
+            </div>
+            <select
+              value={quality}
+              onChange={(e) => setQuality(e.target.value)}
+              className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+            >
+              <option value="">Quality (optional)</option>
+              {SLEEP_QUALITY_LABELS.map((label, index) => (
+                <option key={label} value={index + 1}>{index + 1} – {label}</option>
+              ))}
+            </select>
+            {pendingHours > 0 && (
+              <span className="text-sm text-gray-600">
+                {pendingHours.toFixed(1)} hours · counts towards the night of {describeNight(getSleepNight(new Date(start), isAfternoon))}
+              </span>
+            )}
+          </div>
           <button 
             onClick={handleAdd} 
             className="w-full bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2 transition"
@@ -1219,17 +8703,72 @@ function SleepTracker({ sleepSessions, onAdd, onDelete }) {
 
       {/* Sleep Chart */}
       <div className="mt-6">
-        <h3 className="text-xl font-bold mb-4">Sleep Over Time</h3>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h3 className="text-xl font-bold">Sleep Over Time</h3>
+          <div className="flex flex-wrap items-center gap-2">
+            {[...Object.keys(SLEEP_CHART_RANGES), 'custom'].map(p => (
+              <button
+                key={p}
+                onClick={() => setChartPeriod(p)}
+                className={`px-3 py-1 rounded-lg text-sm capitalize transition ${
+                  chartPeriod === p ? 'bg-blue-600 text-white' : 'bg-gray-100 hover:bg-gray-200'
+                }`}
+              >
+                {p}
+              </button>
+            ))}
+            {chartPeriod === 'custom' && (
+              <>
+                <input
+                  type="date"
+                  value={customFrom}
+                  onChange={(e) => e.target.value && setCustomFrom(e.target.value)}
+                  title="From night"
+                  className="px-2 py-1 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+                />
+                <input
+                  type="date"
+                  value={customTo}
+                  onChange={(e) => e.target.value && setCustomTo(e.target.value)}
+                  title="To night"
+                  className="px-2 py-1 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+                />
+              </>
+            )}
+          </div>
+        </div>
         <ResponsiveContainer width="100%" height={300}>
-          <BarChart data={sleepChartData}>
+          <ComposedChart data={sleepChartData}>
             <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="date" />
+            <XAxis
+              dataKey="night"
+              tickFormatter={(night) => fromDateInputValue(night).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+            />
             <YAxis label={{ value: 'Hours', angle: -90, position: 'insideLeft' }} />
-            <Tooltip />
+            <Tooltip
+              labelFormatter={(night) => `Night of ${describeNight(night)}`}
+              formatter={(value) => (typeof value === 'number' ? `${value.toFixed(1)} h` : '—')}
+            />
             <Legend />
             <Bar dataKey="nightSleep" stackId="a" name="Night Sleep" fill="#3b82f6" />
-            <Bar dataKey="afternoonSleep" stackId="a" name="Afternoon Sleep" fill="#f59e0b" />
-          </BarChart>
+            <Bar dataKey="afternoonSleep" stackId="a" name="Naps" fill="#f59e0b" />
+            <Line
+              type="monotone"
+              dataKey="average"
+              name={`${ROLLING_AVERAGE_NIGHTS}-night average`}
+              stroke="#7c3aed"
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+            <ReferenceLine
+              y={targetHours}
+              ifOverflow="extendDomain"
+              stroke="#10b981"
+              strokeDasharray="6 3"
+              label={{ value: `Target ${targetHours} h`, position: 'insideTopRight', fill: '#10b981' }}
+            />
+          </ComposedChart>
         </ResponsiveContainer>
       </div>
 
@@ -1240,18 +8779,33 @@ function SleepTracker({ sleepSessions, onAdd, onDelete }) {
           <p className="text-gray-500 text-center py-4">No sleep sessions recorded yet</p>
         ) : (
           <div className="space-y-3">
-            {sleepSessions.slice().reverse().map(session => (
+            {sortedSessions.map(session => (
               <div key={session.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
                 <div className="flex-1">
-                  <p className="font-medium">{session.duration.toFixed(1)} hours</p>
+                  <p className="font-medium">
+                    {session.duration.toFixed(1)} hours
+                    <span className="text-sm font-normal text-gray-500">
+                      {' '}· {session.isAfternoon
+                        ? `Nap on ${describeNight(toDateInputValue(new Date(session.start)))}`
+                        : `Night of ${describeNight(session.night)}`}
+                    </span>
+                  </p>
                   <p className="text-sm text-gray-500">
-                    {new Date(session.date).toLocaleString()}
+                    {new Date(session.start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                    {' → '}
+                    {new Date(session.end).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                    {session.estimated && ' (estimated from an older entry)'}
                   </p>
                 </div>
-                <div className="text-right">
+                <div className="text-right flex items-center gap-2">
+                  {session.quality && (
+                    <span className="text-xs text-gray-600" title={SLEEP_QUALITY_LABELS[session.quality - 1]}>
+                      {'★'.repeat(session.quality)}{'☆'.repeat(5 - session.quality)}
+                    </span>
+                  )}
                   {session.isAfternoon && (
                     <span className="px-2 py-1 rounded-full text-xs bg-yellow-200 text-yellow-800">
-                      Afternoon
+                      Nap
                     </span>
                   )}
                 </div>
@@ -1265,4 +8819,4 @@ function SleepTracker({ sleepSessions, onAdd, onDelete }) {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
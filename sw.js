@@ -0,0 +1,96 @@
+// Service worker for Soumik's Lifestyle. Caches the app shell and static assets so the
+// app opens offline.
+//
+// The page registers this worker as `sw.js?build=<id>`, where the id is derived from the
+// asset URLs its HTML references (see getBuildId in Website.jsx). Bundlers put a content
+// hash in those file names, so every deploy gets a new worker URL and its own cache,
+// without editing this file. A new worker installs in the background and waits until
+// the page asks it to take over.
+//
+// Only the caches below are ever cleared. Tracker data lives in IndexedDB, which this
+// worker never touches, so it is kept across updates.
+const CACHE_PREFIX = 'soumik-lifestyle-';
+const BUILD_ID = new URL(self.location.href).searchParams.get('build') || 'dev';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD_ID}`;
+
+const START_URL = './';
+const STATIC_FILES = ['./manifest.webmanifest', './icon.svg'];
+const STATIC_DESTINATIONS = ['script', 'style', 'image', 'font', 'manifest'];
+
+// Script and stylesheet URLs in an HTML page; keep in step with findAssetUrls in Website.jsx
+function findAssetUrls(html) {
+  return [...html.matchAll(/<(script|link)\b[^>]*>/gi)].flatMap(([tag, name]) => {
+    const attribute = (key) => tag.match(new RegExp(`\\s${key}=["']?([^"'\\s>]+)`, 'i'))?.[1];
+    if (name.toLowerCase() === 'script') return attribute('src') ? [attribute('src')] : [];
+    return attribute('rel')?.toLowerCase() === 'stylesheet' && attribute('href') ? [attribute('href')] : [];
+  });
+}
+
+// Precaches the start page together with the assets it references
+async function cacheAppShell() {
+  const cache = await caches.open(CACHE_NAME);
+  const response = await fetch(START_URL, { cache: 'reload' });
+  if (!response.ok) throw new Error(`Could not fetch the app shell (${response.status})`);
+  const html = await response.clone().text();
+  await cache.put(START_URL, response);
+  const assets = findAssetUrls(html).map(url => new URL(url, response.url || self.registration.scope).href)
+    .filter(url => new URL(url).origin === self.location.origin);
+  await cache.addAll([...STATIC_FILES, ...assets]);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheAppShell());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Pages: network first so a deploy shows up when online. Each page is cached under its
+// own URL; offline, an unknown URL falls back to the start page.
+async function handleNavigation(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || (await cache.match(START_URL)) || Response.error();
+  }
+}
+
+// Assets: this build's cache first. Their URLs carry a content hash, so a cached copy is
+// never stale; anything else is fetched and kept for offline use.
+async function handleAsset(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    return Response.error();
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (STATIC_DESTINATIONS.includes(request.destination)) {
+    event.respondWith(handleAsset(request));
+  }
+});